@@ -0,0 +1,78 @@
+// accounts.js
+// Player accounts and the cosmetics they are entitled to, for the Node server (index.js).
+//
+// An account is an email plus a secret key handed out by an operator (/account create).
+// Players enter both in the main menu; the hello carries them and the server looks up the
+// cosmetics here, so a client can't grant itself anything by editing its own copy of game.js.
+//
+//   accounts.json  { email: { salt, hash, cosmetics: Cosmetics } }   (hash = scrypt of the key)
+// Cosmetics: see Protocol.readCosmetics.
+// Names unlock nothing on their own: the dark red cape agare's name used to get from game.js is
+// granted like any other, /cosmetic <email> cape #770011 on that player's account.
+const crypto = require('crypto');
+const Protocol = require('./protocol');
+
+const KEY_BYTES = 12;
+
+class Accounts {
+    constructor(storage) {
+        this.storage = storage;
+        this.accounts = new Map(Object.entries(storage.readJson('accounts.json', {})));
+    }
+
+    save() {
+        try {
+            this.storage.writeJson('accounts.json', Object.fromEntries(this.accounts));
+        } catch (e) {
+            console.error('Failed to save accounts:', e.message);
+        }
+    }
+
+    hashKey(key, salt) {
+        return crypto.scryptSync(String(key), salt, 32).toString('hex');
+    }
+
+    // Returns { account (the lowercase email), cosmetics } when email and key match, otherwise null.
+    // Only the account vouches for who a player is; admin.js gives rights to accounts, not names.
+    authenticate(email, key) {
+        if (typeof email !== 'string' || typeof key !== 'string' || !key) return null;
+        const id = email.trim().toLowerCase();
+        const account = this.accounts.get(id);
+        if (!account) return null;
+        const expected = Buffer.from(account.hash, 'hex');
+        const actual = Buffer.from(this.hashKey(key, account.salt), 'hex');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+        return { account: id, cosmetics: Protocol.readCosmetics(account.cosmetics) };
+    }
+
+    // Creates the account (or replaces its key) and returns the new key
+    create(email) {
+        const id = email.toLowerCase();
+        const key = crypto.randomBytes(KEY_BYTES).toString('hex');
+        const salt = crypto.randomBytes(16).toString('hex');
+        const existing = this.accounts.get(id);
+        this.accounts.set(id, { salt, hash: this.hashKey(key, salt), cosmetics: existing ? existing.cosmetics : {} });
+        this.save();
+        return key;
+    }
+
+    remove(email) {
+        const removed = this.accounts.delete(email.toLowerCase());
+        if (removed) this.save();
+        return removed;
+    }
+
+    has(email) {
+        return this.accounts.has(email.toLowerCase());
+    }
+
+    // value null removes the cosmetic; returns the account's cosmetics after the change
+    setCosmetic(email, field, value) {
+        const account = this.accounts.get(email.toLowerCase());
+        account.cosmetics = Protocol.readCosmetics({ ...account.cosmetics, [field]: value });
+        this.save();
+        return account.cosmetics;
+    }
+}
+
+module.exports = Accounts;
@@ -0,0 +1,264 @@
+// admin.js
+// Operator, whitelist and ban lists plus the admin slash commands for the Node server (index.js).
+//
+// Lists live next to the world data and are written as soon as they change:
+//   ops.json        [email]                             (accounts, see accounts.js; lowercase)
+//   whitelist.json  { enabled, accounts: [email] }
+//   bans.json       { accounts: { email: reason }, ips: { ip: reason } }
+// The files can also be edited by hand while the server is stopped, e.g. to add the first operator.
+// Everything goes by account, never by the name a client picks: an operator has to join with its
+// account's email and key, guests can't use commands and can't join while the whitelist is on, and
+// banning a guest bans its address. Commands that take a player accept the name of someone online
+// (meaning its account) or an account email.
+// Commands typed into the server console run with operator rights.
+// /account and /cosmetic manage the account list in accounts.js; account keys are only ever shown to
+// whoever ran the command, so create accounts from the console or a private op session.
+// /record writes a room's replay (see replay.js); players default to their own room, the console
+// has to name one.
+// /gamemode overrides the room's survival/creative setting for one player and is remembered with
+// the player's position in that room.
+const Protocol = require('./protocol');
+const MobManager = require('./mobs');
+
+const { RejectReason } = Protocol;
+
+class AdminTools {
+    // server: { storage, accounts, findPlayer(name), listPlayers(), playerIp(id), playerAccount(id),
+    //          kick(id, reason, message),
+    //          notice(text), summon(kind, nearPlayer), setSurvival(playerId, survival), findRoom(name),
+    //          roomOf(playerId) }
+    // Players are looked up across every room; notices go to all of them.
+    constructor(server) {
+        this.server = server;
+        const { storage } = server;
+        this.ops = new Set(storage.readJson('ops.json', []).map(email => email.toLowerCase()));
+        const whitelist = storage.readJson('whitelist.json', {});
+        this.whitelistEnabled = !!whitelist.enabled;
+        this.whitelist = new Set((whitelist.accounts || []).map(email => email.toLowerCase()));
+        const bans = storage.readJson('bans.json', {});
+        this.bannedAccounts = new Map(Object.entries(bans.accounts || {}));
+        this.bannedIps = new Map(Object.entries(bans.ips || {}));
+    }
+
+    save() {
+        const { storage } = this.server;
+        try {
+            storage.writeJson('ops.json', [...this.ops]);
+            storage.writeJson('whitelist.json', { enabled: this.whitelistEnabled, accounts: [...this.whitelist] });
+            storage.writeJson('bans.json', {
+                accounts: Object.fromEntries(this.bannedAccounts),
+                ips: Object.fromEntries(this.bannedIps)
+            });
+        } catch (e) {
+            console.error('Failed to save admin lists:', e.message);
+        }
+    }
+
+    // account: the email a player authenticated with, null for guests
+    isOp(account) {
+        return !!account && this.ops.has(account);
+    }
+
+    // Returns null when the player may join, otherwise { reason, message } for the reject message
+    checkJoin(account, ip) {
+        if (account && this.bannedAccounts.has(account)) {
+            return { reason: RejectReason.BANNED, message: `You are banned from this server: ${this.bannedAccounts.get(account)}` };
+        }
+        if (this.bannedIps.has(ip)) {
+            return { reason: RejectReason.BANNED, message: `Your address is banned from this server: ${this.bannedIps.get(ip)}` };
+        }
+        if (this.whitelistEnabled && !this.whitelist.has(account) && !this.isOp(account)) {
+            return { reason: RejectReason.NOT_WHITELISTED, message: 'You are not on the whitelist of this server' };
+        }
+        return null;
+    }
+
+    // The account a command argument means: an online player's (null for a guest) or an account email
+    resolveAccount(arg) {
+        const target = this.server.findPlayer(arg);
+        if (target) return this.server.playerAccount(target.id);
+        const email = arg.toLowerCase();
+        return this.server.accounts.has(email) ? email : null;
+    }
+
+    // Run a slash command; sender is { name, account } of a player or null for the server console.
+    // reply(text) answers only the sender.
+    runCommand(sender, text, reply) {
+        const [command, ...args] = text.slice(1).trim().split(/\s+/);
+        const name = (command || '').toLowerCase();
+        const reason = args.slice(1).join(' ') || 'No reason given';
+
+        if (name === 'help') {
+            reply('Admin commands: /kick <name> [reason], /ban <name|email> [reason], /ban-ip <ip|name> [reason], /unban <email|ip>, ' +
+                '/op <name|email>, /deop <name|email>, /whitelist <on|off|list|add|remove> [name|email], /broadcast <message>, ' +
+                '/account <create|remove> <email>, /cosmetic <email> <nameColor|cape|tint> <#rrggbb|off>, ' +
+                '/summon <pigman|minutor|priest> [near player], /gamemode <survival|creative> [player], /record <start|stop> [room]');
+            return;
+        }
+        const commands = ['kick', 'ban', 'ban-ip', 'unban', 'op', 'deop', 'whitelist', 'broadcast', 'account', 'cosmetic', 'summon', 'gamemode', 'record'];
+        if (!commands.includes(name)) {
+            reply(`Unknown command: /${command} (try /help)`);
+            return;
+        }
+        if (sender !== null && !this.isOp(sender.account)) {
+            reply(`You don't have permission to use /${name}`);
+            return;
+        }
+        const by = sender ? sender.name : 'console';
+        console.log(`[admin] ${by}: ${text}`);
+
+        switch (name) {
+            case 'kick': {
+                const target = this.server.findPlayer(args[0] || '');
+                if (!target) { reply(`No player named ${args[0] || '?'} is online`); return; }
+                this.server.kick(target.id, RejectReason.KICKED, `Kicked by ${by}: ${reason}`);
+                this.server.notice(`${target.name} was kicked`);
+                break;
+            }
+            case 'ban': {
+                if (!args[0]) { reply('Usage: /ban <name|email> [reason]'); return; }
+                const target = this.server.findPlayer(args[0]);
+                const account = this.resolveAccount(args[0]);
+                if (!target && !account) { reply(`${args[0]} is neither online nor an account`); return; }
+                // A guest could come back under any name, so its address is banned instead
+                const ip = account ? null : this.server.playerIp(target.id);
+                if (account) this.bannedAccounts.set(account, reason);
+                else this.bannedIps.set(ip, reason);
+                this.save();
+                for (const player of this.server.listPlayers()) {
+                    const banned = account ? this.server.playerAccount(player.id) === account : this.server.playerIp(player.id) === ip;
+                    if (banned) this.server.kick(player.id, RejectReason.BANNED, `Banned by ${by}: ${reason}`);
+                }
+                this.server.notice(`${target ? target.name : account} was banned`);
+                break;
+            }
+            case 'ban-ip': {
+                if (!args[0]) { reply('Usage: /ban-ip <ip|name> [reason]'); return; }
+                // An online player's name bans the address they are connected from
+                const target = this.server.findPlayer(args[0]);
+                const ip = target ? this.server.playerIp(target.id) : args[0];
+                this.bannedIps.set(ip, reason);
+                this.save();
+                for (const player of this.server.listPlayers()) {
+                    if (this.server.playerIp(player.id) === ip) this.server.kick(player.id, RejectReason.BANNED, `Banned by ${by}: ${reason}`);
+                }
+                reply(`Banned address ${ip}`);
+                break;
+            }
+            case 'unban': {
+                if (!args[0]) { reply('Usage: /unban <email|ip>'); return; }
+                const removedAccount = this.bannedAccounts.delete(args[0].toLowerCase());
+                const removedIp = this.bannedIps.delete(args[0]);
+                this.save();
+                reply(removedAccount || removedIp ? `Unbanned ${args[0]}` : `${args[0]} was not banned`);
+                break;
+            }
+            case 'op':
+            case 'deop': {
+                if (!args[0]) { reply(`Usage: /${name} <name|email>`); return; }
+                // Removing also works for an account that no longer exists
+                const account = this.resolveAccount(args[0]) || (name === 'deop' ? args[0].toLowerCase() : null);
+                if (!account) { reply(`${args[0]} has no account; operators need one (see /account)`); return; }
+                if (name === 'op') this.ops.add(account);
+                else this.ops.delete(account);
+                this.save();
+                reply(name === 'op' ? `${account} is now an operator` : `${account} is no longer an operator`);
+                break;
+            }
+            case 'whitelist': {
+                const action = (args[0] || '').toLowerCase();
+                if (action === 'on' || action === 'off') {
+                    this.whitelistEnabled = action === 'on';
+                    reply(`Whitelist ${action}`);
+                } else if ((action === 'add' || action === 'remove') && args[1]) {
+                    const account = this.resolveAccount(args[1]) || (action === 'remove' ? args[1].toLowerCase() : null);
+                    if (!account) { reply(`${args[1]} has no account; the whitelist only takes accounts (see /account)`); return; }
+                    if (action === 'add') this.whitelist.add(account);
+                    else this.whitelist.delete(account);
+                    reply(`${action === 'add' ? 'Added' : 'Removed'} ${account}`);
+                } else if (action === 'list') {
+                    reply(`Whitelist (${this.whitelistEnabled ? 'on' : 'off'}): ${[...this.whitelist].join(', ') || 'empty'}`);
+                    return;
+                } else {
+                    reply('Usage: /whitelist <on|off|list|add|remove> [name|email]');
+                    return;
+                }
+                this.save();
+                break;
+            }
+            case 'broadcast': {
+                const message = args.join(' ');
+                if (!message) { reply('Usage: /broadcast <message>'); return; }
+                this.server.notice(message);
+                break;
+            }
+            case 'summon': {
+                const kind = (args[0] || '').toLowerCase();
+                const near = this.server.findPlayer(args[1] || (sender && sender.name) || '');
+                if (!MobManager.KINDS.includes(kind)) {
+                    reply(`Usage: /summon <${MobManager.KINDS.join('|')}> [near player]`);
+                    return;
+                }
+                if (!near) { reply(`No player named ${args[1] || '?'} is online`); return; }
+                const mob = this.server.summon(kind, near);
+                reply(`Summoned ${kind} ${mob.id} near ${near.name}`);
+                break;
+            }
+            case 'gamemode': {
+                const mode = (args[0] || '').toLowerCase();
+                const target = this.server.findPlayer(args[1] || (sender && sender.name) || '');
+                if (mode !== 'survival' && mode !== 'creative') { reply('Usage: /gamemode <survival|creative> [player]'); return; }
+                if (!target) { reply(`No player named ${args[1] || '?'} is online`); return; }
+                this.server.setSurvival(target.id, mode === 'survival');
+                reply(`${target.name} is now in ${mode} mode`);
+                break;
+            }
+            case 'record': {
+                const action = (args[0] || '').toLowerCase();
+                const self = sender ? this.server.findPlayer(sender.name) : null;
+                const room = args[1] ? this.server.findRoom(args[1]) : (self && this.server.roomOf(self.id));
+                if (action !== 'start' && action !== 'stop') { reply('Usage: /record <start|stop> [room]'); return; }
+                if (!room) { reply(args[1] ? `No room named ${args[1]}` : 'Usage: /record <start|stop> <room>'); return; }
+                if (action === 'start') {
+                    const file = room.startRecording();
+                    reply(file ? `Recording ${room.name} to ${file}` : `${room.name} is already being recorded`);
+                } else {
+                    const result = room.stopRecording();
+                    reply(result
+                        ? `Stopped recording ${room.name}: ${result.events} events in ${Math.round(result.duration / 1000)}s, ${result.file}`
+                        : `${room.name} is not being recorded`);
+                }
+                break;
+            }
+            case 'account': {
+                const action = (args[0] || '').toLowerCase();
+                const email = args[1];
+                const { accounts } = this.server;
+                if (action === 'create' && email) {
+                    const key = accounts.create(email);
+                    reply(`Account ${email} key: ${key} (enter it with the email in the main menu; it can't be shown again)`);
+                } else if (action === 'remove' && email) {
+                    reply(accounts.remove(email) ? `Removed account ${email}` : `No account ${email}`);
+                } else {
+                    reply('Usage: /account <create|remove> <email>');
+                }
+                break;
+            }
+            case 'cosmetic': {
+                const [email, field, value] = args;
+                const { accounts } = this.server;
+                const validValue = value === 'off' || /^#[0-9a-f]{6}$/i.test(value || '');
+                if (!email || !Protocol.COSMETIC_FIELDS.includes(field) || !validValue) {
+                    reply(`Usage: /cosmetic <email> <${Protocol.COSMETIC_FIELDS.join('|')}> <#rrggbb|off>`);
+                    return;
+                }
+                if (!accounts.has(email)) { reply(`No account ${email} (create it with /account create)`); return; }
+                const cosmetics = accounts.setCosmetic(email, field, value === 'off' ? null : value);
+                reply(`${email} cosmetics: ${JSON.stringify(cosmetics)} (shown from their next join)`);
+                break;
+            }
+        }
+    }
+}
+
+module.exports = AdminTools;
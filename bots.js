@@ -0,0 +1,258 @@
+// bots.js
+// Headless load-test clients for the Node server (index.js). Each bot speaks the protocol the way
+// Game.connectServer does in game.js: hello, a state every STATE_INTERVAL_MS, block edits and chat.
+//
+//   node bots.js                                   50 bots against ws://localhost:8080
+//   BOTS=100 SERVER_URL=ws://host:8080 node bots.js
+//   BOT_RADIUS=48                                  how far from spawn the bots wander (blocks)
+//   BOT_ROOM=arena                                 which room to join (default: the server's first room)
+//
+// Bots walk random paths on the terrain at walking speed, so the server's movement checks
+// (movement.js) pass. They share one VoxelWorld, generated like the room's (welcome.room) and kept
+// in sync with chunk and blockChange messages.
+// They place blocks near themselves, break them again or dig into the ground, and chat now and then,
+// so point them at a server with a scratch WORLD_DIR, in a creative room (SURVIVAL=0, or survival: false
+// in rooms.json): survival players have nothing to place.
+// Every REPORT_INTERVAL_MS the totals are printed: bots connected, messages and bytes per second
+// in each direction, position corrections and rejected block edits.
+const WebSocket = require('ws');
+const Protocol = require('./protocol');
+const { VoxelWorld } = require('./world');
+
+const { MessageType } = Protocol;
+const BOT_COUNT = parseInt(process.env.BOTS, 10) || 50;
+const SERVER_URL = process.env.SERVER_URL || 'ws://localhost:8080';
+const WANDER_RADIUS = parseInt(process.env.BOT_RADIUS, 10) || 48;
+const ROOM = process.env.BOT_ROOM || null;
+const JOIN_INTERVAL_MS = 100; // Bots connect one after another, not all at once
+const REPORT_INTERVAL_MS = 10 * 1000;
+
+const WALK_STEP = 0.15 * 3; // Player.speed per frame, 3 frames per state
+const FALL_STEP = 1.2; // Below the 0.5 per frame fall cap
+const MAX_STEP_UP = 1.2; // Higher ground ahead counts as a wall
+const BLOCK_TYPES = [1, 2, 3, 6, 7, 9]; // Dirt, grass, stone, wood, bricks, clay
+const BREAK_CHANCE = 0.4; // Otherwise a build step places a block
+const REACH = 6; // The client's raycast reach
+const BEDROCK_LEVEL = 2;
+const CHAT_LINES = ['hi', 'anyone here?', 'nice build', 'brb', 'lag check', 'gg', 'where is everyone'];
+
+let world = null; // Created from the first welcome, every bot is in the same room
+
+const stats = { messagesIn: 0, bytesIn: 0, messagesOut: 0, bytesOut: 0, corrections: 0, blockCorrections: 0, rejects: 0 };
+const bots = [];
+
+// Highest solid block of a column, -1 when there is none
+function columnTop(bx, bz) {
+    for (let y = world.chunkHeight - 1; y >= 0; y--) {
+        if (world.isBlockSolid(world.getBlock(bx, y, bz))) return y;
+    }
+    return -1;
+}
+
+// Center of a player standing on the highest block under its footprint (Player.size is 0.5 wide;
+// positions are the middle of the player)
+function standingY(x, z) {
+    let top = -1;
+    for (const [ox, oz] of [[-0.25, -0.25], [0.25, -0.25], [-0.25, 0.25], [0.25, 0.25]]) {
+        top = Math.max(top, columnTop(Math.floor(x + ox), Math.floor(z + oz)));
+    }
+    return top + 2.001;
+}
+
+function randomBetween(min, max) {
+    return min + Math.random() * (max - min);
+}
+
+class Bot {
+    constructor(index) {
+        this.name = `Bot${index}`;
+        this.team = Protocol.TEAMS[index % Protocol.TEAMS.length];
+        this.id = null;
+        this.position = { x: 0, y: 70, z: 0 }; // Where the client spawns before any restore
+        this.heading = Math.random() * Math.PI * 2;
+        this.seq = 0;
+        this.correctionId = 0;
+        this.placed = []; // [{ x, y, z }] blocks this bot placed, oldest first
+        this.walkTimer = null;
+    }
+
+    connect() {
+        this.ws = new WebSocket(SERVER_URL);
+        this.ws.on('open', () => this.send(MessageType.HELLO, {
+            version: Protocol.PROTOCOL_VERSION,
+            name: this.name,
+            team: this.team,
+            room: ROOM
+        }));
+        this.ws.on('message', (data) => {
+            stats.messagesIn++;
+            stats.bytesIn += data.length;
+            const msg = Protocol.decode(data);
+            if (msg) this.handleMessage(msg);
+        });
+        this.ws.on('close', () => this.stop());
+        this.ws.on('error', (e) => console.warn(`[${this.name}] Socket error:`, e.message));
+    }
+
+    get connected() {
+        return this.id !== null;
+    }
+
+    send(type, payload) {
+        if (this.ws.readyState !== WebSocket.OPEN) return;
+        const data = Protocol.encode(type, payload);
+        stats.messagesOut++;
+        stats.bytesOut += Buffer.byteLength(data);
+        this.ws.send(data);
+    }
+
+    handleMessage(msg) {
+        switch (msg.type) {
+            case MessageType.WELCOME:
+                if (!world) {
+                    const room = msg.room || { worldType: 'default', seed: VoxelWorld.DEFAULT_SEED };
+                    world = new VoxelWorld(room.worldType, room.seed);
+                    world.lightingEnabled = false;
+                }
+                this.id = msg.id;
+                if (msg.restore) Object.assign(this.position, Protocol.readState(msg.restore));
+                this.start();
+                break;
+            case MessageType.REJECT:
+                stats.rejects++;
+                console.warn(`[${this.name}] Rejected: ${msg.reason} ${msg.message || ''}`);
+                break;
+            case MessageType.POSITION_CORRECTION:
+                stats.corrections++;
+                this.correctionId = Protocol.toNumber(msg.correction);
+                Object.assign(this.position, Protocol.readState(msg));
+                this.heading += Math.PI; // Whatever we walked into, turn around
+                break;
+            case MessageType.CHUNK:
+                if (typeof msg.blocks === 'string') world.loadChunkBlocks(Number(msg.cx), Number(msg.cz), msg.blocks);
+                break;
+            case MessageType.BLOCK_CHANGE:
+                world.setBlock(msg.x, msg.y, msg.z, msg.blockType);
+                break;
+            case MessageType.BLOCK_CORRECTION:
+                stats.blockCorrections++;
+                if (msg.blockType !== null) world.setBlock(msg.x, msg.y, msg.z, msg.blockType);
+                this.placed = this.placed.filter(p => p.x !== msg.x || p.y !== msg.y || p.z !== msg.z);
+                break;
+            default:
+                break;
+        }
+    }
+
+    start() {
+        this.walkTimer = setInterval(() => this.walk(), Protocol.STATE_INTERVAL_MS);
+        this.schedule(() => this.turn(), 2000, 6000);
+        this.schedule(() => this.build(), 2000, 5000);
+        this.schedule(() => this.chat(), 15000, 45000);
+    }
+
+    // Run fn over and over, a random delay between min and max ms apart, until disconnected
+    schedule(fn, min, max) {
+        setTimeout(() => {
+            if (!this.connected) return;
+            fn();
+            this.schedule(fn, min, max);
+        }, randomBetween(min, max));
+    }
+
+    stop() {
+        clearInterval(this.walkTimer);
+        this.id = null;
+    }
+
+    turn() {
+        const { x, z } = this.position;
+        if (Math.hypot(x, z) > WANDER_RADIUS) {
+            this.heading = Math.atan2(-x, -z) + randomBetween(-0.5, 0.5); // Head back toward spawn
+        } else {
+            this.heading += randomBetween(-Math.PI / 2, Math.PI / 2);
+        }
+    }
+
+    walk() {
+        const pos = this.position;
+        const groundY = standingY(pos.x, pos.z);
+        if (pos.y > groundY + 0.01) {
+            // Still falling from the spawn point or off a ledge
+            pos.y = Math.max(groundY, pos.y - FALL_STEP);
+        } else {
+            const nx = pos.x + Math.sin(this.heading) * WALK_STEP;
+            const nz = pos.z + Math.cos(this.heading) * WALK_STEP;
+            const nextY = standingY(nx, nz);
+            if (nextY - groundY > MAX_STEP_UP) {
+                this.turn();
+            } else {
+                pos.x = nx;
+                pos.z = nz;
+                pos.y = Math.max(nextY, pos.y - FALL_STEP);
+            }
+        }
+        this.send(MessageType.STATE, {
+            seq: ++this.seq,
+            correction: this.correctionId,
+            x: pos.x, y: pos.y, z: pos.z,
+            yaw: this.heading,
+            pitch: 0
+        });
+    }
+
+    setBlock(x, y, z, blockType) {
+        world.setBlock(x, y, z, blockType);
+        this.send(MessageType.BLOCK_CHANGE, { x, y, z, blockType });
+    }
+
+    // Place a block a couple of steps ahead, or break one: our own if we are still near it,
+    // otherwise the ground ahead
+    build() {
+        const { x: px, y: py, z: pz } = this.position;
+        this.placed = this.placed.filter(p => Math.hypot(p.x + 0.5 - px, p.y + 0.5 - py, p.z + 0.5 - pz) <= REACH);
+        const x = Math.floor(px + Math.sin(this.heading) * 2);
+        const z = Math.floor(pz + Math.cos(this.heading) * 2);
+        const y = columnTop(x, z) + 1; // The air block on top of the ground
+
+        if (Math.random() < BREAK_CHANCE) {
+            const own = this.placed.shift();
+            if (own) this.setBlock(own.x, own.y, own.z, 0);
+            else if (y - 1 >= BEDROCK_LEVEL) this.setBlock(x, y - 1, z, 0);
+            return;
+        }
+        if (world.getBlock(x, y, z) !== 0) return;
+        this.setBlock(x, y, z, BLOCK_TYPES[Math.floor(Math.random() * BLOCK_TYPES.length)]);
+        this.placed.push({ x, y, z });
+    }
+
+    chat() {
+        this.send(MessageType.CHAT, { text: CHAT_LINES[Math.floor(Math.random() * CHAT_LINES.length)] });
+    }
+}
+
+function report() {
+    const seconds = REPORT_INTERVAL_MS / 1000;
+    const connected = bots.filter(bot => bot.connected).length;
+    const rate = (value) => (value / seconds).toFixed(0);
+    const kb = (value) => (value / seconds / 1024).toFixed(1);
+    console.log(`[bots] ${connected}/${bots.length} connected | in ${rate(stats.messagesIn)} msg/s ${kb(stats.bytesIn)} KB/s | ` +
+        `out ${rate(stats.messagesOut)} msg/s ${kb(stats.bytesOut)} KB/s | ` +
+        `${stats.corrections} position corrections, ${stats.blockCorrections} block corrections, ${stats.rejects} rejects`);
+    for (const key of Object.keys(stats)) stats[key] = 0;
+}
+
+console.log(`Starting ${BOT_COUNT} bots against ${SERVER_URL}`);
+for (let i = 0; i < BOT_COUNT; i++) {
+    setTimeout(() => {
+        const bot = new Bot(i + 1);
+        bots.push(bot);
+        bot.connect();
+    }, i * JOIN_INTERVAL_MS);
+}
+setInterval(report, REPORT_INTERVAL_MS);
+
+process.on('SIGINT', () => {
+    for (const bot of bots) bot.ws.close();
+    process.exit(0);
+});
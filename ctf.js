@@ -0,0 +1,230 @@
+// ctf.js
+// Capture-the-flag rules and match lifecycle for the Node server (index.js, GAME_MODE=ctf).
+//
+// Phases: lobby -> countdown -> match -> results -> lobby
+//   lobby      waiting until both teams have at least one player
+//   countdown  COUNTDOWN_MS, then flags are placed and everyone respawns at their base
+//   match      until a team reaches CAPTURES_TO_WIN or MATCH_MS runs out
+//   results    RESULTS_MS showing the winner, then the flags are removed again
+//
+// Taking the enemy flag means breaking its flag block. A capture is carrying it back to
+// your own flag while that one is at home. Carriers who die or leave return the flag.
+const Protocol = require('./protocol');
+
+const { MessageType, FLAG_BLOCKS } = Protocol;
+
+const COUNTDOWN_MS = 10 * 1000;
+const MATCH_MS = 10 * 60 * 1000;
+const RESULTS_MS = 15 * 1000;
+const CAPTURES_TO_WIN = 3;
+const CAPTURE_RADIUS = 2;
+const BASE_DISTANCE = 24; // Flags sit this far from the origin along x
+
+class CtfMatch {
+    // server: { world, players, broadcast(type, payload), setBlock(x, y, z, blockType), notice(text),
+    //          allowTeleport(playerId, position), log(text) }
+    constructor(server, { friendlyFire = false } = {}) {
+        this.server = server;
+        this.friendlyFire = friendlyFire;
+        this.phase = 'lobby';
+        this.phaseEndsAt = 0;
+        this.scores = { red: 0, blue: 0 };
+        this.winner = null;
+        this.flags = {
+            red: this.makeFlag(-BASE_DISTANCE),
+            blue: this.makeFlag(BASE_DISTANCE)
+        };
+        // A restart mid-match leaves flag blocks in the saved world
+        this.removeFlags();
+    }
+
+    // Highest non-air block in a column
+    surfaceY(x, z) {
+        const { world } = this.server;
+        for (let y = world.chunkHeight - 1; y > 0; y--) {
+            if (world.getBlock(x, y, z) !== 0) return y;
+        }
+        return 0;
+    }
+
+    makeFlag(x) {
+        const spawnX = x < 0 ? x + 3 : x - 3; // Respawn a few blocks in front of the flag
+        return {
+            home: { x, y: this.surfaceY(x, 0) + 1, z: 0 },
+            spawn: { x: spawnX + 0.5, y: this.surfaceY(spawnX, 0) + 2, z: 0.5 },
+            carrier: null
+        };
+    }
+
+    // Payload of the match message
+    state() {
+        const flags = {};
+        for (const [team, { home, spawn, carrier }] of Object.entries(this.flags)) {
+            flags[team] = { home, spawn, carrier };
+        }
+        return {
+            phase: this.phase,
+            remaining: Math.max(0, this.phaseEndsAt - Date.now()),
+            scores: this.scores,
+            flags,
+            winner: this.winner,
+            friendlyFire: this.friendlyFire
+        };
+    }
+
+    sync() {
+        this.server.broadcast(MessageType.MATCH, this.state());
+    }
+
+    setPhase(phase, duration = 0) {
+        this.phase = phase;
+        this.phaseEndsAt = Date.now() + duration;
+        this.server.log(`Match phase: ${phase}`);
+        this.sync();
+    }
+
+    teamCounts() {
+        const counts = { red: 0, blue: 0 };
+        for (const player of Object.values(this.server.players)) counts[player.team]++;
+        return counts;
+    }
+
+    // Called a few times per second by the server
+    tick() {
+        const now = Date.now();
+        const counts = this.teamCounts();
+        const bothTeams = counts.red > 0 && counts.blue > 0;
+
+        switch (this.phase) {
+            case 'lobby':
+                if (bothTeams) this.setPhase('countdown', COUNTDOWN_MS);
+                break;
+            case 'countdown':
+                if (!bothTeams) this.setPhase('lobby');
+                else if (now >= this.phaseEndsAt) this.startMatch();
+                break;
+            case 'match':
+                if (now >= this.phaseEndsAt) this.endMatch();
+                else this.checkCaptures();
+                break;
+            case 'results':
+                if (now >= this.phaseEndsAt) {
+                    this.removeFlags();
+                    this.setPhase('lobby');
+                }
+                break;
+        }
+    }
+
+    startMatch() {
+        this.scores = { red: 0, blue: 0 };
+        this.winner = null;
+        this.placeFlag('red');
+        this.placeFlag('blue');
+        // Clients move themselves to their base when they see the match start
+        for (const player of Object.values(this.server.players)) {
+            this.server.allowTeleport(player.id, this.flags[player.team].spawn);
+        }
+        this.server.notice(`Capture the flag! First team to ${CAPTURES_TO_WIN} captures wins.`);
+        this.setPhase('match', MATCH_MS);
+    }
+
+    endMatch() {
+        const { red, blue } = this.scores;
+        this.winner = red === blue ? 'draw' : (red > blue ? 'red' : 'blue');
+        for (const team of Object.keys(this.flags)) {
+            if (this.flags[team].carrier) this.placeFlag(team);
+        }
+        this.server.notice(this.winner === 'draw' ? `Match over: draw ${red}-${blue}` : `Match over: ${this.winner} team wins ${red}-${blue}`);
+        this.setPhase('results', RESULTS_MS);
+    }
+
+    placeFlag(team) {
+        const { x, y, z } = this.flags[team].home;
+        this.flags[team].carrier = null;
+        this.server.setBlock(x, y, z, FLAG_BLOCKS[team]);
+    }
+
+    removeFlags() {
+        for (const [team, flag] of Object.entries(this.flags)) {
+            const { x, y, z } = flag.home;
+            flag.carrier = null;
+            if (this.server.world.getBlock(x, y, z) === FLAG_BLOCKS[team]) this.server.setBlock(x, y, z, 0);
+        }
+    }
+
+    flagTeamOf(blockType) {
+        return Object.keys(FLAG_BLOCKS).find(team => FLAG_BLOCKS[team] === blockType) || null;
+    }
+
+    // Only the enemy team may break a flag, and only during a match
+    canTakeFlag(player, blockType) {
+        const team = this.flagTeamOf(blockType);
+        return this.phase === 'match' && team !== null && team !== player.team && !this.flags[team].carrier;
+    }
+
+    onFlagTaken(playerId, blockType) {
+        const team = this.flagTeamOf(blockType);
+        this.flags[team].carrier = playerId;
+        this.server.notice(`${this.server.players[playerId].name} took the ${team} flag!`);
+        this.sync();
+    }
+
+    checkCaptures() {
+        for (const [team, flag] of Object.entries(this.flags)) {
+            if (!flag.carrier) continue;
+            const carrier = this.server.players[flag.carrier];
+            if (!carrier) continue;
+            const ownFlag = this.flags[carrier.team];
+            if (ownFlag.carrier) continue; // Your own flag has to be home to score
+            const { x, y, z } = ownFlag.home;
+            if (Math.hypot(carrier.x - (x + 0.5), carrier.y - y, carrier.z - (z + 0.5)) > CAPTURE_RADIUS) continue;
+
+            this.scores[carrier.team]++;
+            this.placeFlag(team);
+            this.server.notice(`${carrier.name} captured the ${team} flag! Red ${this.scores.red} - Blue ${this.scores.blue}`);
+            if (this.scores[carrier.team] >= CAPTURES_TO_WIN) {
+                this.endMatch();
+                return;
+            }
+            this.sync();
+        }
+    }
+
+    // Flags carried by this player go back to their bases
+    dropFlags(playerId) {
+        let dropped = false;
+        for (const [team, flag] of Object.entries(this.flags)) {
+            if (flag.carrier !== playerId) continue;
+            this.placeFlag(team);
+            this.server.notice(`The ${team} flag was returned`);
+            dropped = true;
+        }
+        if (dropped) this.sync();
+    }
+
+    // Friendly-fire rule: teammates can only hurt each other when friendlyFire is on
+    allowsDamage(attacker, target) {
+        return this.phase === 'match' && (this.friendlyFire || attacker.team !== target.team);
+    }
+
+    onPlayerDied(playerId, killerId) {
+        const victim = this.server.players[playerId];
+        const killer = this.server.players[killerId];
+        this.server.notice(killer ? `${victim.name} was killed by ${killer.name}` : `${victim.name} died`);
+        this.dropFlags(playerId);
+        if (this.phase === 'match') this.server.allowTeleport(playerId, this.flags[victim.team].spawn);
+    }
+
+    // Clients joining mid-match go straight to their base
+    onPlayerJoined(playerId) {
+        const player = this.server.players[playerId];
+        if (this.phase === 'match') this.server.allowTeleport(playerId, this.flags[player.team].spawn);
+    }
+
+    onPlayerLeft(playerId) {
+        this.dropFlags(playerId);
+    }
+}
+
+module.exports = CtfMatch;
@@ -6,927 +6,8 @@ console.log('game.js loaded');
 // Debug helpers per chunk
 const meshDebugHelpers = new Map();
 
-// Fallback deterministic value-noise implementation when SimplexNoise
-// from CDN is blocked (Tracking Prevention). This provides noise2D(x,y)
-// returning values in approximately -1..1 so existing code continues
-// to work unchanged.
-if (typeof SimplexNoise === 'undefined') {
-    globalThis.SimplexNoise = class SimplexNoise {
-        constructor(seed = 0) {
-            this.seed = seed | 0;
-        }
-
-        // Small integer hashing function producing 0..1
-        _hash(i, j) {
-            let n = i * 374761393 + j * 668265263 + (this.seed << 1);
-            n = (n ^ (n >>> 13)) * 1274126177;
-            return (n & 0x7fffffff) / 0x7fffffff;
-        }
-
-        // Smooth value noise based on bilinear interpolation; returns roughly -1..1
-        noise2D(x, y) {
-            const xi = Math.floor(x);
-            const yi = Math.floor(y);
-            const tx = x - xi;
-            const ty = y - yi;
-
-            const v00 = this._hash(xi, yi);
-            const v10 = this._hash(xi + 1, yi);
-            const v01 = this._hash(xi, yi + 1);
-            const v11 = this._hash(xi + 1, yi + 1);
-
-            const lerp = (a, b, t) => a + (b - a) * t;
-            const nx0 = lerp(v00, v10, tx);
-            const nx1 = lerp(v01, v11, tx);
-            const n = lerp(nx0, nx1, ty);
-
-            return n * 2 - 1;
-        }
-    };
-}
-
-class VoxelWorld {
-    constructor(worldType = 'default') {
-        this.worldType = worldType; // 'default' | 'flat' | 'islands' | 'fortress' | 'astral'
-        this.chunks = new Map();
-        this.chunkSize = 16;
-        this.chunkHeight = 128;
-        this.tileSize = 1.0; // 1.0 = each voxel is 1.0 units
-        this.maxLightLevel = 15; // Skylight/block-light max
-        this.sunlightFactor = 1.0; // Scales skylight by time-of-day
-        this.ambientMinimum = 0.25; // Fallback ambient brightness (brighter daytime)
-        // Use fixed seed so all clients generate identical terrain
-        this.noise = new SimplexNoise(42);
-        // Slightly larger scale and lower max height to reduce mountainous terrain
-        this.terrainScale = 0.06;
-        this.maxHeight = 40;
-        this.waterLevel = 30;
-
-        // Biome noise for assigning regions: forest, desert, snowy
-        this.biomeNoise = new SimplexNoise(1337);
-
-        // Astral dimension should feel bright and airy
-        if (this.worldType === 'astral') {
-            this.sunlightFactor = 1.5;
-            this.ambientMinimum = 0.45;
-        }
-    }
-
-    getTerrainHeight(x, z) {
-        // Flat world: constant baseline with 25 stone, 3 dirt, 1 grass
-        if (this.worldType === 'flat') {
-            return 30; // height produces 25 stone (height-5), 3 dirt, 1 grass
-        }
-
-        // Islands: use radial falloff to create island shapes
-        if (this.worldType === 'islands') {
-            const nx = x * this.terrainScale * 0.8;
-            const nz = z * this.terrainScale * 0.8;
-            let height = this.noise.noise2D(nx, nz) * 0.6 + 0.4; // bias up a bit
-
-            // Apply radial falloff from world origin to create islands
-            const dist = Math.hypot(x, z);
-            const falloff = Math.max(0, 1 - (dist / 200));
-            height = height * falloff;
-
-            return Math.floor(height * this.maxHeight * 0.8) + 8;
-        }
-
-        // Astral: floating islands stay higher in the sky
-        if (this.worldType === 'astral') {
-            const islandNoise = this.noise.noise2D(x * 0.08, z * 0.08);
-            if (islandNoise < 0.2) return 0; // no island here
-            const heightNoise = this.noise.noise2D(x * 0.05 + 120, z * 0.05 - 120);
-            const top = 70 + Math.floor(heightNoise * 12 + 18); // cluster around y=70-100
-            return top;
-        }
-
-        // Default (original) terrain with gentler hills
-        const nx = x * this.terrainScale;
-        const nz = z * this.terrainScale;
-        // Reduce amplitude for gentler hills
-        const height = this.noise.noise2D(nx, nz) * 0.35 + 0.65; // bias upward, smaller variation
-        return Math.floor(height * this.maxHeight) + 15; // lower baseline to flatten overall
-    }
-
-    getBiome(x, z) {
-        // Use higher-frequency noise to create more varied biome regions
-        const n = this.biomeNoise.noise2D(x * 0.015, z * 0.015); // -1..1
-        if (n < -0.25) return 'desert';
-        if (n > 0.35) return 'snowy_forest';
-        return 'forest';
-    }
-
-    getChunkKey(cx, cz) {
-        return `${cx},${cz}`;
-    }
-
-    getChunk(cx, cz) {
-        const key = this.getChunkKey(cx, cz);
-        if (!this.chunks.has(key)) {
-            const newChunk = this.generateChunk(cx, cz);
-            this.chunks.set(key, newChunk);
-            // Compute initial lighting for the newly generated chunk
-            this.computeLightingForChunk(cx, cz);
-        }
-        return this.chunks.get(key);
-    }
-
-    generateChunk(cx, cz) {
-        const chunk = {
-            cx, cz,
-            blocks: new Uint8Array(this.chunkSize * this.chunkHeight * this.chunkSize),
-            skyLight: new Uint8Array(this.chunkSize * this.chunkHeight * this.chunkSize),
-            blockLight: new Uint8Array(this.chunkSize * this.chunkHeight * this.chunkSize),
-            modified: true
-        };
-
-        // Fairia dimension: grim stone roof, grim stone and lava underground
-        if (this.worldType === 'fairia') {
-            // Grim stone roof at y = chunkHeight-1
-            for (let x = 0; x < this.chunkSize; x++) {
-                for (let z = 0; z < this.chunkSize; z++) {
-                    chunk.blocks[this.getBlockIndex(x, this.chunkHeight-1, z)] = 33; // Grim Stone roof
-                }
-            }
-            // Terrain and underground
-            for (let x = 0; x < this.chunkSize; x++) {
-                for (let z = 0; z < this.chunkSize; z++) {
-                    const worldX = cx * this.chunkSize + x;
-                    const worldZ = cz * this.chunkSize + z;
-                    const height = this.getTerrainHeight(worldX, worldZ);
-                    for (let y = 0; y < this.chunkHeight-1; y++) {
-                        const idx = this.getBlockIndex(x, y, z);
-                        if (y === this.chunkHeight-2) {
-                            chunk.blocks[idx] = 33; // Grim Stone just below roof
-                        } else if (y > height) {
-                            chunk.blocks[idx] = 0; // Air
-                        } else if (y > height - 2) {
-                            chunk.blocks[idx] = 1; // Dirt
-                        } else if (y > height - 5) {
-                            chunk.blocks[idx] = 3; // Stone
-                        } else if (y > 10) {
-                            // Mix grim stone and stone
-                            chunk.blocks[idx] = (this.noise.noise2D(worldX * 0.1, worldZ * 0.1 + y) > 0.2) ? 33 : 3;
-                        } else {
-                            // Lava pools below y=10
-                            chunk.blocks[idx] = (this.noise.noise2D(worldX * 0.2, worldZ * 0.2 + y) > 0.1) ? 34 : 33;
-                        }
-                    }
-                }
-            }
-            return chunk;
-        }
-        // Astral dimension: floating islands in the sky with air beneath
-        if (this.worldType === 'astral') {
-            // Cathedral platform dimensions (needs to be placed first)
-            const cathedralPlatformMinX = -20;
-            const cathedralPlatformMaxX = 20;
-            const cathedralPlatformMinZ = -20;
-            const cathedralPlatformMaxZ = 20;
-            const cathedralPlatformY = 74; // Base of platform
-            
-            // Cathedral building dimensions (smaller, sits on platform)
-            const cathedralMinX = -15;
-            const cathedralMaxX = 15;
-            const cathedralMinZ = -15;
-            const cathedralMaxZ = 15;
-            
-            for (let x = 0; x < this.chunkSize; x++) {
-                for (let z = 0; z < this.chunkSize; z++) {
-                    // Keep a thin bedrock layer at the bottom for safety
-                    chunk.blocks[this.getBlockIndex(x, 0, z)] = 3;
-                    chunk.blocks[this.getBlockIndex(x, 1, z)] = 3;
-
-                    const worldX = cx * this.chunkSize + x;
-                    const worldZ = cz * this.chunkSize + z;
-                    
-                    // Create solid platform for cathedral at origin
-                    if (worldX >= cathedralPlatformMinX && worldX <= cathedralPlatformMaxX && 
-                        worldZ >= cathedralPlatformMinZ && worldZ <= cathedralPlatformMaxZ) {
-                        // Build cathedral platform (10 blocks thick)
-                        for (let y = cathedralPlatformY - 10; y <= cathedralPlatformY; y++) {
-                            const idx = this.getBlockIndex(x, y, z);
-                            if (y === cathedralPlatformY) {
-                                chunk.blocks[idx] = 2; // Grass top
-                            } else if (y >= cathedralPlatformY - 2) {
-                                chunk.blocks[idx] = 1; // Dirt layer
-                            } else {
-                                chunk.blocks[idx] = 3; // Stone base
-                            }
-                        }
-                        continue; // Skip normal island generation for cathedral area
-                    }
-                    
-                    const islandNoise = this.noise.noise2D(worldX * 0.04, worldZ * 0.04);
-                    if (islandNoise < 0.1) continue; // Mostly empty sky
-
-                    const heightNoise = this.noise.noise2D(worldX * 0.05 + 120, worldZ * 0.05 - 120);
-                    const topY = 70 + Math.floor(heightNoise * 12 + 18); // ~70-100 range
-                    const thickness = 8 + Math.floor((islandNoise + 1) * 5); // 8-18 blocks thick
-                    const startY = Math.max(2, topY - thickness);
-                    const endY = Math.min(this.chunkHeight - 1, topY);
-
-                    for (let y = startY; y <= endY; y++) {
-                        const idx = this.getBlockIndex(x, y, z);
-                        if (y === endY) {
-                            chunk.blocks[idx] = 2; // Grass on the very top
-                        } else if (y >= endY - 2) {
-                            chunk.blocks[idx] = 1; // Dirt near surface
-                        } else {
-                            chunk.blocks[idx] = 3; // Stone core
-                        }
-                    }
-                }
-            }
-
-            // Cathedral structure (using platform variables)
-            const cathedralFloorY = 75;
-            const cathedralRoofY = 95;
-
-            for (let x = 0; x < this.chunkSize; x++) {
-                for (let z = 0; z < this.chunkSize; z++) {
-                    const worldX = cx * this.chunkSize + x;
-                    const worldZ = cz * this.chunkSize + z;
-
-                    if (worldX >= cathedralMinX && worldX <= cathedralMaxX && worldZ >= cathedralMinZ && worldZ <= cathedralMaxZ) {
-                        // Cathedral structure
-                        for (let y = cathedralFloorY; y <= cathedralRoofY; y++) {
-                            const idx = this.getBlockIndex(x, y, z);
-                            
-                            // Floor
-                            if (y === cathedralFloorY) {
-                                chunk.blocks[idx] = 7; // Brick floor
-                                continue;
-                            }
-
-                            // Roof
-                            if (y === cathedralRoofY) {
-                                chunk.blocks[idx] = 7; // Brick roof
-                                continue;
-                            }
-
-                            // Walls (outer perimeter)
-                            if (worldX === cathedralMinX || worldX === cathedralMaxX || worldZ === cathedralMinZ || worldZ === cathedralMaxZ) {
-                                // Leave entrance on north side (minZ) centered at x=0
-                                if (worldZ === cathedralMinZ && worldX >= -3 && worldX <= 3 && y <= cathedralFloorY + 5) {
-                                    chunk.blocks[idx] = 0; // Door opening
-                                } else {
-                                    chunk.blocks[idx] = 7; // Brick walls
-                                }
-                                continue;
-                            }
-
-                            // Plank pews - rows of planks facing the podium
-                            const relX = worldX;
-                            const relZ = worldZ;
-                            // Pews in rows, leaving center aisle at x=0
-                            if (y === cathedralFloorY + 1 && relZ >= -10 && relZ <= 5) {
-                                // Left pews (x: -12 to -4)
-                                if (relX >= -12 && relX <= -4 && relZ % 3 === 0) {
-                                    chunk.blocks[idx] = 13; // Plank pews
-                                    continue;
-                                }
-                                // Right pews (x: 4 to 12)
-                                if (relX >= 4 && relX <= 12 && relZ % 3 === 0) {
-                                    chunk.blocks[idx] = 13; // Plank pews
-                                    continue;
-                                }
-                            }
-
-                            // Brick podium at the south end (maxZ side)
-                            if (relZ >= 10 && relZ <= 13 && Math.abs(relX) <= 5 && y <= cathedralFloorY + 2) {
-                                chunk.blocks[idx] = 7; // Brick podium
-                                continue;
-                            }
-
-                            // Torches at the four corners
-                            if (y === cathedralFloorY + 2) {
-                                if ((worldX === cathedralMinX + 1 && worldZ === cathedralMinZ + 1) ||
-                                    (worldX === cathedralMaxX - 1 && worldZ === cathedralMinZ + 1) ||
-                                    (worldX === cathedralMinX + 1 && worldZ === cathedralMaxZ - 1) ||
-                                    (worldX === cathedralMaxX - 1 && worldZ === cathedralMaxZ - 1)) {
-                                    chunk.blocks[idx] = 25; // Torch
-                                    continue;
-                                }
-                            }
-
-                            // Interior is air
-                            chunk.blocks[idx] = 0;
-                        }
-                    }
-                }
-            }
-
-            return chunk;
-        }
-        let dungeonEntryHeight = null;
-        // Generate terrain
-        for (let x = 0; x < this.chunkSize; x++) {
-            for (let z = 0; z < this.chunkSize; z++) {
-                const worldX = cx * this.chunkSize + x;
-                const worldZ = cz * this.chunkSize + z;
-
-                // Fortress mode: construct a 64x64x64 stone cube centered at origin
-                if (this.worldType === 'fortress') {
-                    for (let y = 0; y < this.chunkHeight; y++) {
-                        const worldY = y;
-                        // Cube bounds: from -32..31 in X and Z, and 0..63 in Y
-                        if (worldX >= -32 && worldX < 32 && worldZ >= -32 && worldZ < 32 && worldY >= 0 && worldY < 64) {
-                            // Fill with stone
-                            chunk.blocks[this.getBlockIndex(x, y, z)] = 3; // Stone
-                        } else {
-                            // outside fortress is air
-                            chunk.blocks[this.getBlockIndex(x, y, z)] = 0;
-                        }
-                    }
-                    continue;
-                }
-
-                const height = this.getTerrainHeight(worldX, worldZ);
-                if (worldX === 0 && worldZ === 0) dungeonEntryHeight = height;
-                const biome = (this.worldType === 'default') ? this.getBiome(worldX, worldZ) : 'forest';
-
-                for (let y = 0; y < this.chunkHeight; y++) {
-                    const worldY = y;
-
-                    // Bedrock
-                    if (worldY < 2) {
-                        chunk.blocks[this.getBlockIndex(x, y, z)] = 3; // Bedrock
-                        continue;
-                    }
-
-                    // Solid stone deep below surface
-                    if (worldY < height - 3) {
-                        // Coal ore spawns randomly in stone (45% chance)
-                        const oreNoise = this.noise.noise2D(worldX * 0.1 + worldY, worldZ * 0.1 + worldY);
-                        const r = (oreNoise + 1) / 2; // Convert -1..1 to 0..1
-                        
-                        // Grim Stone appears deeper (below y=15)
-                        if (worldY < 15) {
-                            chunk.blocks[this.getBlockIndex(x, y, z)] = 33; // Grim Stone
-                        } else if (r < 0.08) {
-                            // Lava pockets underground (below y=15)
-                            chunk.blocks[this.getBlockIndex(x, y, z)] = 34; // Lava
-                        } else if (r < 0.45) {
-                            chunk.blocks[this.getBlockIndex(x, y, z)] = 24; // Coal
-                        } else {
-                            chunk.blocks[this.getBlockIndex(x, y, z)] = 3; // Stone
-                        }
-                        continue;
-                    }
-
-                    // Surface/sub-surface layers (vary by biome)
-                    if (worldY < height) {
-                        if (biome === 'desert') {
-                            // Desert: mostly sand to a few layers
-                            if (worldY >= height - 3) chunk.blocks[this.getBlockIndex(x, y, z)] = 4; // Sand
-                            else chunk.blocks[this.getBlockIndex(x, y, z)] = 3; // Stone beneath
-                        } else if (biome === 'snowy_forest') {
-                            // Snowy forest: dirt under snow cap
-                            chunk.blocks[this.getBlockIndex(x, y, z)] = 1; // Dirt
-                        } else {
-                            // Forest/others: normal dirt; shoreline handling near water
-                            if ((this.worldType === 'default' || this.worldType === 'islands') && height <= this.waterLevel + 1) {
-                                if (worldY >= height - 1) chunk.blocks[this.getBlockIndex(x, y, z)] = 4; // Sand
-                                else if (worldY >= height - 4) chunk.blocks[this.getBlockIndex(x, y, z)] = 9; // Clay
-                                else chunk.blocks[this.getBlockIndex(x, y, z)] = 1; // Dirt
-                            } else {
-                                chunk.blocks[this.getBlockIndex(x, y, z)] = 1; // Dirt
-                            }
-                        }
-                        continue;
-                    }
-
-                    // Surface block (top) varies by biome
-                    if (worldY === height) {
-                        if (biome === 'desert') {
-                            chunk.blocks[this.getBlockIndex(x, y, z)] = 4; // Sand
-                        } else if (biome === 'snowy_forest') {
-                            // Use grass with a snowy cap: map to grass for now; could add snow block type if available
-                            chunk.blocks[this.getBlockIndex(x, y, z)] = 2; // Grass
-                        } else {
-                            if ((this.worldType === 'default' || this.worldType === 'islands') && height <= this.waterLevel + 1) {
-                                chunk.blocks[this.getBlockIndex(x, y, z)] = 4; // Sand near water
-                            } else {
-                                chunk.blocks[this.getBlockIndex(x, y, z)] = 2; // Grass
-                            }
-                        }
-                        continue;
-                    }
-
-                    // Water and underwater areas (leave water blocks intact)
-                    if (worldY < this.waterLevel) {
-                        // In snowy biomes, consider icy water (if we had an ice block). For now, keep water.
-                        chunk.blocks[this.getBlockIndex(x, y, z)] = 5; // Water
-                        continue;
-                    }
-                }
-
-                // Tree placement after column generated
-                if ((biome === 'forest' || biome === 'snowy_forest') && height > this.waterLevel + 1) {
-                    // Use seeded noise for deterministic tree placement across clients
-                    const treeNoise = this.noise.noise2D(worldX * 0.3, worldZ * 0.3);
-                    const r = (treeNoise + 1) / 2; // Convert -1..1 to 0..1
-                    if (r < 0.08) {
-                        // Place a trunk of wood (block 6) and a leaf canopy using leafs (block 11)
-                        const trunkHeight = 4 + Math.floor(Math.abs(this.noise.noise2D(worldX * 0.5, worldZ * 0.5)) * 2); // 4-5 blocks
-                        
-                        // Wood trunk
-                        for (let ty = 0; ty < trunkHeight; ty++) {
-                            const wy = height + ty + 1; // start above surface
-                            if (wy < this.chunkHeight) {
-                                chunk.blocks[this.getBlockIndex(x, wy, z)] = 6; // Wood
-                            }
-                        }
-                        
-                        // Leaf canopy (2-3 blocks tall)
-                        const topY = height + trunkHeight + 1;
-                        const leafHeight = 2 + Math.floor(Math.abs(this.noise.noise2D(worldX * 0.7, worldZ * 0.7)) * 1.5);
-                        
-                        for (let ly = 0; ly < leafHeight; ly++) {
-                            const canopyY = topY + ly;
-                            // Leaf radius decreases toward top
-                            const leafRadius = ly === leafHeight - 1 ? 1 : 2;
-                            
-                            for (let lx = -leafRadius; lx <= leafRadius; lx++) {
-                                for (let lz = -leafRadius; lz <= leafRadius; lz++) {
-                                    // Spherical shape roughly
-                                    const dist = Math.sqrt(lx * lx + lz * lz);
-                                    if (dist > leafRadius + 0.5) continue;
-                                    
-                                    const ax = x + lx;
-                                    const az = z + lz;
-                                    
-                                    // Within chunk bounds and not overwriting trunk
-                                    if (ax >= 0 && ax < this.chunkSize && az >= 0 && az < this.chunkSize && canopyY < this.chunkHeight) {
-                                        if (!(lx === 0 && lz === 0 && ly === 0)) {
-                                            chunk.blocks[this.getBlockIndex(ax, canopyY, az)] = 11; // Leafs
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        }
-
-        // Carve dungeon/maze near spawn
-        this.carveDungeonInChunk(chunk, cx, cz, dungeonEntryHeight !== null ? dungeonEntryHeight : this.getTerrainHeight(0, 0));
-
-        return chunk;
-    }
-
-    carveDungeonInChunk(chunk, cx, cz, surfaceHeightAtEntry) {
-        // Dungeon footprint: x,z in [-16,15], floor y=19, corridors at y=20..22, ceiling y=23, room at y=19..21
-        const minX = -16, maxX = 15;
-        const minZ = -16, maxZ = 15;
-        const floorY = 19;
-        const ceilingY = 23;
-        const roomY = 19;
-
-        const worldYStartShaft = surfaceHeightAtEntry + 3; // start a bit above ground
-        const shaftHalf = 0; // 1x1 shaft
-
-        // Pick a random corner for the room
-        const corners = [
-            { x: -12, z: -12 }, // southwest
-            { x: -12, z: 11 },  // northwest
-            { x: 11, z: -12 },  // southeast
-            { x: 11, z: 11 }    // northeast
-        ];
-        const noiseVal = (this.noise.noise2D(cx * 7.3, cz * 8.1) + 1) * 0.5; // map -1..1 to 0..1
-        const cornerIndex = Math.floor(noiseVal * corners.length) % corners.length;
-        const roomCorner = corners[cornerIndex];
-        const roomCenterX = roomCorner.x;
-        const roomCenterZ = roomCorner.z;
-
-        for (let x = 0; x < this.chunkSize; x++) {
-            for (let z = 0; z < this.chunkSize; z++) {
-                const worldX = cx * this.chunkSize + x;
-                const worldZ = cz * this.chunkSize + z;
-
-                // Skip if outside footprint and not the shaft
-                const inFootprint = worldX >= minX && worldX <= maxX && worldZ >= minZ && worldZ <= maxZ;
-                const inShaft = Math.abs(worldX) <= shaftHalf && Math.abs(worldZ) <= shaftHalf;
-                if (!inFootprint && !inShaft) continue;
-
-                for (let y = 0; y < this.chunkHeight; y++) {
-                    const idx = this.getBlockIndex(x, y, z);
-                    const worldY = y;
-
-                    // Entrance shaft from surface down to corridor top so it always meets the maze
-                    if (inShaft && worldY <= worldYStartShaft && worldY >= floorY + 1) {
-                        chunk.blocks[idx] = 0; // air
-                        chunk.modified = true;
-                        chunk.playerModified = true;
-                        continue;
-                    }
-
-                    if (!inFootprint) continue;
-
-                    // Stairs/walkway connecting maze to room
-                    const toRoomX = worldX - roomCenterX;
-                    const toRoomZ = worldZ - roomCenterZ;
-                    const distToRoom = Math.sqrt(toRoomX * toRoomX + toRoomZ * toRoomZ);
-                    const inStair = distToRoom >= 5 && distToRoom <= 8 && Math.abs(toRoomX) <= 1 && Math.abs(toRoomZ) <= 8;
-                    if (inStair) {
-                        const stairFloor = floorY; // keep stairs level to meet room floor cleanly
-                        if (worldY === stairFloor) {
-                            chunk.blocks[idx] = 3; // walkway/step surface
-                            chunk.modified = true;
-                            chunk.playerModified = true;
-                            continue;
-                        }
-                        if (worldY > stairFloor && worldY < ceilingY) {
-                            chunk.blocks[idx] = 0; // air above steps
-                            chunk.modified = true;
-                            chunk.playerModified = true;
-                            continue;
-                        }
-                        // keep stone below the walkway for support
-                        if (worldY < stairFloor) {
-                            chunk.blocks[idx] = 3;
-                            continue;
-                        }
-                    }
-
-                    // Base floor and ceiling
-                    if (worldY === floorY) {
-                        chunk.blocks[idx] = 3; // stone floor
-                        continue;
-                    }
-                    if (worldY === ceilingY) {
-                        chunk.blocks[idx] = 3; // stone ceiling
-                        continue;
-                    }
-
-                    // Room carving at random corner
-                    const roomDx = worldX - roomCenterX;
-                    const roomDz = worldZ - roomCenterZ;
-                    const inRoom = Math.abs(roomDx) <= 4 && Math.abs(roomDz) <= 4 && worldY >= roomY && worldY <= roomY + 2;
-                    if (inRoom) {
-                        if (worldY === roomY) {
-                            chunk.blocks[idx] = 3; // stone floor
-                        } else {
-                            // Place a chest at room center on floor+1
-                            if (roomDx === 0 && roomDz === 0 && worldY === roomY + 1) {
-                                chunk.blocks[idx] = 26; // chest block
-                            } else {
-                                chunk.blocks[idx] = 0; // air
-                            }
-                        }
-                        chunk.modified = true;
-                        chunk.playerModified = true;
-                        continue;
-                    }
-
-                    // Maze corridors at y=20..22 (air), walls elsewhere remain stone
-                    if (worldY > floorY && worldY < ceilingY) {
-                        // Grid maze: 3-wide corridors on 7-block grid with noise variation
-                        const gx = ((worldX % 7) + 7) % 7;
-                        const gz = ((worldZ % 7) + 7) % 7;
-                        const n = this.noise.noise2D(worldX * 0.25, worldZ * 0.25);
-                        // Carve 3-wide corridors: center (0) and ±1 from grid lines
-                        const carve = (gx <= 1 || gx >= 6) || (gz <= 1 || gz >= 6) || n > 0.35;
-                        if (carve) {
-                            chunk.blocks[idx] = 0; // corridor air
-                            chunk.modified = true;
-                            chunk.playerModified = true;
-
-                        }
-                    }
-                }
-            }
-        }
-    }
-
-    getBlockIndex(x, y, z) {
-        return y * this.chunkSize * this.chunkSize + z * this.chunkSize + x;
-    }
-
-    getLightIndex(x, y, z) {
-        return y * this.chunkSize * this.chunkSize + z * this.chunkSize + x;
-    }
-
-    getBlock(wx, wy, wz) {
-        if (wy < 0 || wy >= this.chunkHeight) return 0; // Out of bounds = air
-
-        const cx = Math.floor(wx / this.chunkSize);
-        const cz = Math.floor(wz / this.chunkSize);
-        const lx = ((wx % this.chunkSize) + this.chunkSize) % this.chunkSize;
-        const lz = ((wz % this.chunkSize) + this.chunkSize) % this.chunkSize;
-
-        const chunk = this.getChunk(cx, cz);
-        return chunk.blocks[this.getBlockIndex(lx, wy, lz)] || 0;
-    }
-
-    setBlock(wx, wy, wz, blockType) {
-        if (wy < 0 || wy >= this.chunkHeight) return;
-
-        const cx = Math.floor(wx / this.chunkSize);
-        const cz = Math.floor(wz / this.chunkSize);
-        const lx = ((wx % this.chunkSize) + this.chunkSize) % this.chunkSize;
-        const lz = ((wz % this.chunkSize) + this.chunkSize) % this.chunkSize;
-
-        const chunk = this.getChunk(cx, cz);
-        const idx = this.getBlockIndex(lx, wy, lz);
-        const prevBlock = chunk.blocks[idx];
-        chunk.blocks[idx] = blockType;
-        chunk.modified = true;
-        chunk.playerModified = true; // Mark this chunk as modified by player action
-
-        // Recompute skylight for this and neighbors
-        this.recomputeLightingAround(cx, cz);
-
-        // If a torch/magic candle was added or removed, only recompute lighting around it (not globally)
-        const isEmissive = (b) => b === 25 || b === 29;
-        if (isEmissive(prevBlock) || isEmissive(blockType)) {
-            // Only recompute block lights in nearby chunks to avoid global recalc lag
-            this.propagateBlockLightLocalAround(wx, wy, wz);
-        }
-    }
-
-    propagateBlockLightLocalAround(wx, wy, wz) {
-        // Recompute block lights only in a 3x3 area of chunks around the light source
-        const cx = Math.floor(wx / this.chunkSize);
-        const cz = Math.floor(wz / this.chunkSize);
-        
-        for (let ocx = cx - 1; ocx <= cx + 1; ocx++) {
-            for (let ocz = cz - 1; ocz <= cz + 1; ocz++) {
-                const chunk = this.getChunk(ocx, ocz);
-                if (chunk && chunk.blockLight) {
-                    // Clear blockLight in this chunk
-                    chunk.blockLight.fill(0);
-                }
-            }
-        }
-        
-        // Propagate from sources in nearby chunks only
-        for (let ocx = cx - 1; ocx <= cx + 1; ocx++) {
-            for (let ocz = cz - 1; ocz <= cz + 1; ocz++) {
-                const chunk = this.getChunk(ocx, ocz);
-                if (chunk) {
-                    try {
-                        this.propagateBlockLightFromSources(chunk, ocx, ocz);
-                    } catch (e) {
-                        console.error(`Error propagating block light at chunk (${ocx}, ${ocz}):`, e);
-                    }
-                }
-            }
-        }
-    }
-
-    isTransparentForLight(blockType) {
-        // Non-solid and light-permeable blocks allow light through
-        return !this.isBlockSolid(blockType);
-    }
-
-    getChunkAndLocal(wx, wy, wz) {
-        const cx = Math.floor(wx / this.chunkSize);
-        const cz = Math.floor(wz / this.chunkSize);
-        const lx = ((wx % this.chunkSize) + this.chunkSize) % this.chunkSize;
-        const lz = ((wz % this.chunkSize) + this.chunkSize) % this.chunkSize;
-        const chunk = this.chunks.get(this.getChunkKey(cx, cz));
-        if (!chunk) return null;
-        return { chunk, cx, cz, lx, ly: wy, lz };
-    }
-
-    getSkyLight(wx, wy, wz) {
-        if (wy < 0 || wy >= this.chunkHeight) return 0;
-        const data = this.getChunkAndLocal(wx, wy, wz);
-        if (!data) return 0;
-        return data.chunk.skyLight[this.getLightIndex(data.lx, wy, data.lz)] || 0;
-    }
-
-    getBlockLight(wx, wy, wz) {
-        if (wy < 0 || wy >= this.chunkHeight) return 0;
-        const data = this.getChunkAndLocal(wx, wy, wz);
-        if (!data) return 0;
-        return data.chunk.blockLight[this.getLightIndex(data.lx, wy, data.lz)] || 0;
-    }
-
-    getCombinedLight(wx, wy, wz) {
-        const skyRaw = this.getSkyLight(wx, wy, wz) / this.maxLightLevel;
-        const sky = skyRaw * (this.sunlightFactor || 1.0);
-        const blockRaw = this.getBlockLight(wx, wy, wz) / this.maxLightLevel;
-        // Brighter block lights in Astral; allow higher-than-normal brightness
-        const blockBoost = (this.worldType === 'astral') ? 1.5 : 1.35;
-        const block = blockRaw * blockBoost;
-        // Let block light dominate, skylight provides base
-        let combined = Math.max(block, sky);
-        // Permit up to 1.50 brightness in Astral
-        const maxCombined = (this.worldType === 'astral') ? 1.5 : 1.0;
-        combined = Math.min(maxCombined, combined);
-        // Always ensure at least ambient floor
-        const ambient = this.ambientMinimum || 0.15;
-        return Math.max(combined, ambient);
-    }
-
-    computeSkylightForChunk(chunk, cx, cz) {
-        const cs = this.chunkSize;
-        const ch = this.chunkHeight;
-        chunk.skyLight.fill(0);
-
-        // Simple vertical skylight: open sky columns get max light that decays downward until blocked
-        for (let x = 0; x < cs; x++) {
-            for (let z = 0; z < cs; z++) {
-                let light = this.maxLightLevel;
-                for (let y = ch - 1; y >= 0; y--) {
-                    const idx = this.getLightIndex(x, y, z);
-                    const blockType = chunk.blocks[idx];
-                    if (this.isTransparentForLight(blockType)) {
-                        chunk.skyLight[idx] = light;
-                        // Decay per block; astral stays brighter/deeper
-                        const decay = (this.worldType === 'astral') ? 0.995 : 0.98;
-                        if (light > 0) light *= decay;
-                    } else {
-                        // Opaque blocks block skylight; reset below
-                        light = 0;
-                        chunk.skyLight[idx] = 0;
-                    }
-                }
-            }
-        }
-
-        // Horizontal/vertical skylight flood-fill so side-exposed blocks receive sky light
-        const queue = [];
-        for (let x = 0; x < cs; x++) {
-            for (let z = 0; z < cs; z++) {
-                for (let y = 0; y < ch; y++) {
-                    const level = chunk.skyLight[this.getLightIndex(x, y, z)];
-                    if (level > 1) {
-                        queue.push({ wx: cx * cs + x, wy: y, wz: cz * cs + z, level });
-                    }
-                }
-            }
-        }
-
-        const dirs = [
-            [1, 0, 0], [-1, 0, 0],
-            [0, 1, 0], [0, -1, 0],
-            [0, 0, 1], [0, 0, -1]
-        ];
-
-        while (queue.length > 0) {
-            const { wx, wy, wz, level } = queue.shift();
-            const nextLevel = level - 1;
-            if (nextLevel <= 0) continue;
-
-            for (const [dx, dy, dz] of dirs) {
-                const nx = wx + dx;
-                const ny = wy + dy;
-                const nz = wz + dz;
-                if (ny < 0 || ny >= this.chunkHeight) continue;
-                const target = this.getChunkAndLocal(nx, ny, nz);
-                if (!target) continue;
-                const tidx = this.getLightIndex(target.lx, ny, target.lz);
-                const blockType = target.chunk.blocks[tidx];
-                if (!this.isTransparentForLight(blockType)) continue;
-                if ((target.chunk.skyLight[tidx] || 0) >= nextLevel) continue;
-                target.chunk.skyLight[tidx] = nextLevel;
-                queue.push({ wx: nx, wy: ny, wz: nz, level: nextLevel });
-            }
-        }
-    }
-
-    propagateBlockLightFromSources(chunk, cx, cz) {
-        const cs = this.chunkSize;
-        const ch = this.chunkHeight;
-        chunk.blockLight.fill(0);
-
-        const queue = [];
-        const pushLight = (wx, wy, wz, level) => {
-            if (wy < 0 || wy >= ch || level <= 0) return;
-            const target = this.getChunkAndLocal(wx, wy, wz);
-            if (!target) return;
-            const idx = this.getLightIndex(target.lx, wy, target.lz);
-            if (target.chunk.blockLight[idx] >= level) return;
-            target.chunk.blockLight[idx] = level;
-            queue.push({ wx, wy, wz, level });
-        };
-
-        // Seed with torches and emissive blocks (torch=25, magic candle=29)
-        for (let x = 0; x < cs; x++) {
-            for (let z = 0; z < cs; z++) {
-                for (let y = 0; y < ch; y++) {
-                    const idx = this.getLightIndex(x, y, z);
-                    const blockType = chunk.blocks[idx];
-                    if (blockType === 25 || blockType === 29) {
-                        const wx = cx * cs + x;
-                        const wz = cz * cs + z;
-                        const wy = y;
-                        pushLight(wx, wy, wz, this.maxLightLevel);
-                    }
-                }
-            }
-        }
-
-        // 6-direction flood fill with decay
-        const dirs = [
-            [1, 0, 0], [-1, 0, 0],
-            [0, 1, 0], [0, -1, 0],
-            [0, 0, 1], [0, 0, -1]
-        ];
-
-        while (queue.length > 0) {
-            const { wx, wy, wz, level } = queue.shift();
-            const nextLevel = level - 1;
-            if (nextLevel <= 0) continue;
-
-            for (const [dx, dy, dz] of dirs) {
-                const nx = wx + dx;
-                const ny = wy + dy;
-                const nz = wz + dz;
-                const neighbor = this.getChunkAndLocal(nx, ny, nz);
-                if (!neighbor) continue;
-                const nIdx = this.getLightIndex(neighbor.lx, ny, neighbor.lz);
-                const blockType = neighbor.chunk.blocks[nIdx];
-                if (!this.isTransparentForLight(blockType)) continue;
-                if (neighbor.chunk.blockLight[nIdx] >= nextLevel) continue;
-                neighbor.chunk.blockLight[nIdx] = nextLevel;
-                queue.push({ wx: nx, wy: ny, wz: nz, level: nextLevel });
-            }
-        }
-    }
-
-    computeLightingForChunk(cx, cz) {
-        const key = this.getChunkKey(cx, cz);
-        const chunk = this.chunks.get(key);
-        if (!chunk) return;
-        this.computeSkylightForChunk(chunk, cx, cz);
-        this.propagateBlockLightFromSources(chunk, cx, cz);
-    }
-
-    recomputeLightingAround(cx, cz) {
-        // Recompute this chunk and its immediate neighbors for light continuity
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dz = -1; dz <= 1; dz++) {
-                const k = this.getChunkKey(cx + dx, cz + dz);
-                if (this.chunks.has(k)) {
-                    this.computeLightingForChunk(cx + dx, cz + dz);
-                }
-            }
-        }
-    }
-
-    // Recompute block lights across all loaded chunks.
-    // Clears existing blockLight and re-propagates from all emissive sources (torch=25, candle=29).
-    recomputeAllBlockLights() {
-        // Clear blockLight in all chunks first to avoid stale values
-        for (const chunk of this.chunks.values()) {
-            if (chunk && chunk.blockLight) {
-                chunk.blockLight.fill(0);
-            }
-        }
-        // Propagate from sources in every chunk; propagation crosses chunk boundaries
-        for (const chunk of this.chunks.values()) {
-            if (!chunk) continue;
-            const { cx, cz } = chunk;
-            this.propagateBlockLightFromSources(chunk, cx, cz);
-        }
-    }
-
-    isBlockSolid(blockType) {
-        // Treat water (5), lava (34), leafs (11), torch (25), magic candle (29) as non-solid for face culling/collision
-        return blockType > 0 && blockType !== 5 && blockType !== 34 && blockType !== 11 && blockType !== 25 && blockType !== 29;
-    }
-
-    getVisibleBlocksInChunk(cx, cz) {
-        const chunk = this.getChunk(cx, cz);
-        const visibleBlocks = [];
-
-        for (let x = 0; x < this.chunkSize; x++) {
-            for (let y = 0; y < this.chunkHeight; y++) {
-                for (let z = 0; z < this.chunkSize; z++) {
-                    const blockType = chunk.blocks[this.getBlockIndex(x, y, z)];
-                    if (blockType === 0) continue; // Skip air
-
-                    // Check if any face is exposed
-                    const wx = cx * this.chunkSize + x;
-                    const wy = y;
-                    const wz = cz * this.chunkSize + z;
-
-                    let hasVisibleFace = false;
-                    // Check 6 neighbors
-                    if (this.getBlock(wx + 1, wy, wz) === 0) hasVisibleFace = true;
-                    if (this.getBlock(wx - 1, wy, wz) === 0) hasVisibleFace = true;
-                    if (this.getBlock(wx, wy + 1, wz) === 0) hasVisibleFace = true;
-                    if (this.getBlock(wx, wy - 1, wz) === 0) hasVisibleFace = true;
-                    if (this.getBlock(wx, wy, wz + 1) === 0) hasVisibleFace = true;
-                    if (this.getBlock(wx, wy, wz - 1) === 0) hasVisibleFace = true;
-
-                    if (hasVisibleFace) {
-                        visibleBlocks.push({ x: wx, y: wy, z: wz, blockType });
-                    }
-                }
-            }
-        }
-
-        return visibleBlocks;
-    }
-}
+// Playback speeds of the replay viewer ([ and ] step through them)
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
 
 class BlockMesher {
     constructor(world, textureAtlas) {
@@ -954,7 +35,10 @@ class BlockMesher {
             30: { x: 2, y: 0 },     // Chisel uses stone tile
             31: { x: 1, y: 2 },     // Cloud Pillow uses snow tile
             33: { x: 2, y: 0 },     // Grim Stone (use stone texture)
-            34: { x: 0, y: 1 }      // Lava (use water texture as placeholder)
+            34: { x: 0, y: 1 },     // Lava (use water texture as placeholder)
+            37: { x: 3, y: 1 },     // Red Flag (use ruby texture)
+            38: { x: 3, y: 2 },     // Blue Flag (use sapphire texture)
+            39: { x: 0, y: 1 }      // Ice (use water texture, but solid)
         };
         
         this.textureGridSize = 4; // 4x4 grid in atlas
@@ -1508,6 +592,7 @@ class Player {
         this.health = 20;
         this.isDead = false;
         this.invulnerableUntil = 0; // Damage cooldown
+        this.pvpEnabled = false; // Set during CTF matches so creative players can be hurt too
 
         // Input state
         this.keys = {};
@@ -1956,7 +1041,7 @@ class Player {
     }
 
     takeDamage(amount, attacker = null) {
-        if (!this.survivalMode || this.isDead) return;
+        if ((!this.survivalMode && !this.pvpEnabled) || this.isDead) return;
         
         const now = performance.now ? performance.now() : Date.now();
         // Invulnerability period (0.5s)
@@ -3391,7 +2476,8 @@ class DroppedItem {
                 33: '#2c2c2c', // Grim Stone (very dark gray)
                 34: '#FF4500', // Lava (orange-red)
                 35: '#FFB6C1', // Smiteth Scroll (light pink)
-                36: '#1a1a2e'  // Gloom (very dark blue/black)
+                36: '#1a1a2e', // Gloom (very dark blue/black)
+                39: '#A5F2F3'  // Ice (pale blue)
             };
 
             const color = colors[this.itemType] || '#FFFFFF';
@@ -3588,13 +2674,15 @@ class ItemManager {
 }
 
 class Game {
-    constructor(worldType = 'default', isMultiplayer = false, team = 'red', playerName = 'Player', survivalMode = false, playerColor = null, playerEmail = null) {
+    constructor(worldType = 'default', isMultiplayer = false, team = 'red', playerName = 'Player', survivalMode = false, playerColor = null, playerEmail = null, accountKey = null, seed = VoxelWorld.DEFAULT_SEED) {
         console.log('Game constructor started');
         
         this.playerName = playerName;
-        this.playerEmail = playerEmail; // Store email
+        this.playerEmail = playerEmail; // Account email, sent to servers with accountKey
+        this.accountKey = accountKey;
         this.survivalMode = survivalMode;
         this.customPlayerColor = playerColor; // Store custom color
+        this.chatOpen = false;
         
         // Game music setup (plays randomly)
         this.gameMusic = new Audio('Posey.ogg');
@@ -3649,7 +2737,10 @@ class Game {
             33: 'Grim Stone',
             34: 'Lava',
             35: 'Smiteth Scroll',
-            36: 'Gloom'
+            36: 'Gloom',
+            37: 'Red Flag',
+            38: 'Blue Flag',
+            39: 'Ice'
         };
         
         // Lair system - hierarchical organization of items
@@ -3745,8 +2836,8 @@ class Game {
         this.textureAtlas = null;
         this.loadTextureAtlas();
 
-        console.log('Creating world... (type:', worldType + ', multiplayer:', isMultiplayer, ', team:', team, ', survival:', survivalMode + ')');
-        this.world = new VoxelWorld(worldType);
+        console.log('Creating world... (type:', worldType + ', seed:', seed + ', multiplayer:', isMultiplayer, ', team:', team, ', survival:', survivalMode + ')');
+        this.world = new VoxelWorld(worldType, seed);
         this.isMultiplayer = !!isMultiplayer;
         this.team = team === 'blue' ? 'blue' : 'red';
         this.mesher = null; // Will be created after texture loads
@@ -3792,6 +2883,9 @@ class Game {
         this.pigmanPriest = null; // Boss mob
         this.minutors = [];
         this.spawnMinutors(2); // Spawn 2 Minutors in the maze
+        // Online, the server runs the mobs instead (see startServerMobs)
+        this.serverMobsActive = false;
+        this.serverMobs = new Map(); // {id -> {id, kind, mob, snapshots}}
         
         // Mount
         this.phinox = null;
@@ -3870,72 +2964,202 @@ class Game {
         this.animate();
     }
 
-    // Connect to an online WebSocket server
-    connectServer(host = 'localhost', port = 8080) {
+    // Connect to an online WebSocket server (message protocol lives in protocol.js)
+    // room: one of the server's rooms (GET /rooms), null for its first room
+    connectServer(host = defaultServerAddress().host, port = defaultServerAddress().port, room = null) {
+        this.serverHost = host;
+        this.serverPort = port;
+        this.serverRoom = room;
+        this.reconnectAttempts = 0;
+        this._serverRejected = false;
+        this._needsResync = false; // Set once a session is lost; the next welcome rebuilds the world
+        clearTimeout(this._reconnectTimer);
+        this.openServerSocket();
+    }
+
+    // Open (or reopen) the socket to serverHost:serverPort; reconnects with backoff when it drops
+    openServerSocket() {
         try {
-            const url = `ws://${host}:${port}`;
+            // Pages served over https can only open secure sockets
+            const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+            const url = `${scheme}://${this.serverHost}:${this.serverPort}`;
             console.log('Connecting to server:', url);
+            this.setConnectionStatus('connecting');
             this.ws = new WebSocket(url);
-            this.remotePlayers = new Map(); // {id -> {x,y,z,yaw,name,team}}
+            this.playerId = null; // Assigned by the server in welcome
+            this.pendingBlockEdits = new Map(); // 'x,y,z' -> {previous, requested} awaiting server ack
+            this.remotePlayers = new Map(); // {id -> {x,y,z,yaw,pitch,name,team,snapshots}}
             this.remotePlayerModels = new Map(); // {id -> THREE.Group}
+            this.serverClockOffset = null; // Smoothed (local time - server time) in ms
+            this.interpolationDelay = 100; // Remote players are drawn this many ms in the past
+            this.entityInterpolationDelay = 200; // Mobs update less often (every 100 ms), so buffer two updates
+            this.stateSeq = 0;
+            this.stateHistory = []; // [{seq, x, y, z}] positions we reported, for reconciliation
+            this.lastStateSentAt = 0;
+            this.correctionId = 0; // Last positionCorrection applied
+            this.reconcileOffset = new THREE.Vector3(); // Correction still being blended in
+            this.pingSeq = 0;
+            this.pingsSent = new Map(); // ping n -> performance.now() when sent, until its pong arrives
+            this.lastPingSentAt = 0;
+            this.latency = null; // Our latest round trip in ms
+            this.playerPings = new Map(); // {id -> round trip in ms} as the server last reported them
+            this.containerSeq = 0;
+            this.pendingContainerEdits = new Map(); // seq -> {key, changes, inventory} moves awaiting server ack
+            this.containerBaselines = new Map(); // 'x,y,z' -> slots as of the last server update or move we sent
+            this._containerInventoryBaseline = null; // Inventory as of the same moment, to see what a move took
+            const { MessageType } = Protocol;
 
             this.ws.onopen = () => {
                 console.log('Connected to server');
-                // Send hello with player info
-                try {
-                    this.ws.send(JSON.stringify({ type: 'hello', name: this.playerName, team: this.team }));
-                } catch {}
+                // Send hello with player info; the server checks the protocol version
+                this.sendServerMessage(MessageType.HELLO, {
+                    version: Protocol.PROTOCOL_VERSION,
+                    name: this.playerName,
+                    team: this.team,
+                    room: this.serverRoom || undefined,
+                    // Account credentials; the server decides which cosmetics they unlock
+                    account: this.playerEmail || undefined,
+                    key: this.accountKey || undefined
+                });
             };
 
             this.ws.onmessage = (evt) => {
+                const msg = Protocol.decode(evt.data);
+                if (!msg) {
+                    console.warn('Bad server message', evt.data);
+                    return;
+                }
                 try {
-                    const msg = JSON.parse(evt.data);
                     switch (msg.type) {
-                        case 'welcome':
-                            // Sync existing players
+                        case MessageType.WELCOME:
+                            this.playerId = msg.id;
+                            this.reconnectAttempts = 0;
+                            this.setConnectionStatus('connected');
+                            // Edits made while we were away (ours or others') are unknown; start from the server's copy.
+                            // The room's world may also differ from the one we started with.
+                            if (msg.room) this.serverRoom = msg.room.name; // Reconnects come back to the same room
+                            if (this._needsResync || (msg.room && (msg.room.worldType !== this.world.worldType || msg.room.seed !== this.world.seed))) {
+                                this.resyncWorldFromServer(msg.room);
+                            }
+                            // The server picks our game mode and starts us without a Phinox
+                            if (typeof msg.survival === 'boolean') this.setSurvivalMode(msg.survival);
+                            if (this.phinox) this.recallPhinox();
+                            if (msg.restore) this.applyServerRestore(msg.restore);
+                            this.startServerMobs();
+                            // Everyone connected; models appear for the nearby ones as enterView arrives
                             for (const p of msg.players || []) {
-                                if (p.id !== msg.id) { // Don't render ourselves
+                                if (p.id === msg.id) {
+                                    // Our own entry carries the cosmetics our account is entitled to
+                                    if (this.playerModel) this.applyCosmetics(this.playerModel, p.cosmetics, this.playerName);
+                                } else { // Don't render ourselves
                                     this.remotePlayers.set(p.id, p);
-                                    this.createRemotePlayerModel(p);
                                 }
                             }
                             break;
-                        case 'join':
+                        case MessageType.REJECT:
+                            console.warn(`Server rejected connection (${msg.reason}): ${msg.message || ''}`);
+                            this._serverRejected = true; // Retrying would only be rejected again
+                            this.setConnectionStatus('lost', msg.message || msg.reason);
+                            // Back to the main menu, which shows why (banned, kicked, not whitelisted...)
+                            sessionStorage.setItem('serverRejection', JSON.stringify({
+                                reason: msg.reason,
+                                message: msg.message || '',
+                                server: `${this.serverHost}:${this.serverPort}`
+                            }));
+                            setTimeout(() => window.location.reload(), 100);
+                            break;
+                        case MessageType.JOIN:
                             if (msg.player && !this.remotePlayers.has(msg.player.id)) {
                                 this.remotePlayers.set(msg.player.id, msg.player);
-                                this.createRemotePlayerModel(msg.player);
+                                if (this.playerListOpen) this.renderPlayerList();
                             }
                             break;
-                        case 'leave':
+                        case MessageType.ENTER_VIEW:
+                            if (msg.player) this.showRemotePlayer(msg.player);
+                            else if (msg.entity) this.addServerMob(msg.entity);
+                            break;
+                        case MessageType.LEAVE_VIEW:
+                            if (this.remotePlayers.has(msg.id)) this.hideRemotePlayer(msg.id);
+                            else this.removeServerMob({ id: msg.id });
+                            break;
+                        case MessageType.LEAVE:
                             if (msg.id) {
                                 this.remotePlayers.delete(msg.id);
                                 this.removeRemotePlayerModel(msg.id);
+                                if (this.playerListOpen) this.renderPlayerList();
                             }
                             break;
-                        case 'state':
-                            if (msg.id) {
-                                const p = this.remotePlayers.get(msg.id) || { id: msg.id };
-                                p.x = msg.x; p.y = msg.y; p.z = msg.z; p.yaw = msg.yaw;
-                                this.remotePlayers.set(msg.id, p);
-                            }
+                        case MessageType.PONG:
+                            this.handlePong(msg);
                             break;
-                        case 'blockChange':
-                            // Apply block changes from other players
-                            if (msg.x !== undefined && msg.y !== undefined && msg.z !== undefined && msg.blockType !== undefined) {
-                                this.world.setBlock(msg.x, msg.y, msg.z, msg.blockType);
-                                const cx = Math.floor(msg.x / this.world.chunkSize);
-                                const cz = Math.floor(msg.z / this.world.chunkSize);
-                                this.updateChunkMesh(cx, cz);
-                                // Update adjacent chunks if on edge
-                                if (msg.x % this.world.chunkSize === 0) this.updateChunkMesh(cx - 1, cz);
-                                if (msg.z % this.world.chunkSize === 0) this.updateChunkMesh(cx, cz - 1);
+                        case MessageType.STATE:
+                            if (msg.id) this.pushRemoteSnapshot(msg);
+                            break;
+                        case MessageType.POSITION_CORRECTION:
+                            this.handlePositionCorrection(msg);
+                            break;
+                        case MessageType.BLOCK_CHANGE: {
+                            const change = Protocol.readBlockChange(msg);
+                            if (!change) break;
+                            if (msg.id && msg.id === this.playerId) {
+                                // Our own edit was accepted; it is already applied locally
+                                this.pendingBlockEdits.delete(`${change.x},${change.y},${change.z}`);
+                                break;
                             }
+                            // Apply block changes from other players
+                            this.applyServerBlock(change.x, change.y, change.z, change.blockType);
+                            break;
+                        }
+                        case MessageType.BLOCK_CORRECTION:
+                            this.handleBlockCorrection(msg);
+                            break;
+                        case MessageType.CHUNK:
+                            this.applyServerChunk(msg);
+                            break;
+                        case MessageType.MATCH:
+                            this.applyMatchState(msg);
+                            break;
+                        case MessageType.DAMAGE:
+                            if (this.serverMobs.has(msg.attacker)) this.handleMobDamage(msg);
+                            else this.handlePvpDamage(msg);
+                            break;
+                        case MessageType.ENTITY_SPAWN:
+                            this.addServerMob(msg.entity);
+                            break;
+                        case MessageType.ENTITY_UPDATE:
+                            this.applyEntityUpdate(msg);
+                            break;
+                        case MessageType.ENTITY_DESPAWN:
+                            this.removeServerMob(msg);
+                            break;
+                        case MessageType.CHAT:
+                            this.addServerChatMessage(msg);
+                            break;
+                        case MessageType.CONTAINER: {
+                            const update = Protocol.readContainer(msg);
+                            if (update) this.applyServerContainer(`${update.x},${update.y},${update.z}`, update.kind, update.slots);
+                            break;
+                        }
+                        case MessageType.CONTAINER_CHANGE:
+                            this.applyServerContainerChange(msg);
+                            break;
+                        case MessageType.CONTAINER_CORRECTION:
+                            this.handleContainerCorrection(msg);
+                            break;
+                        case MessageType.INVENTORY:
+                            this.applyServerInventory(msg.slots);
+                            break;
+                        case MessageType.GAME_MODE:
+                            this.setSurvivalMode(!!msg.survival);
+                            break;
+                        case MessageType.MOUNT:
+                            this.applyServerMount(msg);
                             break;
                         default:
                             break;
                     }
                 } catch (e) {
-                    console.warn('Bad server message', e);
+                    console.warn('Failed to handle server message', msg.type, e);
                 }
             };
 
@@ -3945,10 +3169,767 @@ class Game {
                 for (const id of this.remotePlayerModels.keys()) {
                     this.removeRemotePlayerModel(id);
                 }
+                this.clearServerMobs(); // The next welcome lists the mobs again
+                if (this.playerId) this._needsResync = true;
+                this.playerId = null;
+                if (this._serverRejected) return;
+                this.setConnectionStatus('lost');
+                this.scheduleReconnect();
             };
         } catch (e) {
             console.error('Failed to connect to server', e);
+            this.scheduleReconnect();
+        }
+    }
+
+    // Exponential backoff: 1s, 2s, 4s ... capped at 30s, with some jitter so clients don't retry in lockstep
+    scheduleReconnect() {
+        clearTimeout(this._reconnectTimer);
+        const delay = Math.min(30000, 1000 * Math.pow(2, this.reconnectAttempts)) * (0.8 + Math.random() * 0.4);
+        this.reconnectAttempts++;
+        this.setConnectionStatus('retrying', `in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})`);
+        this._reconnectTimer = setTimeout(() => this.openServerSocket(), delay);
+    }
+
+    // Throw away the local world and let the server stream its edits again.
+    // room (from welcome) says which world to generate; without it the current one is kept.
+    resyncWorldFromServer(room = null) {
+        console.log('Resyncing world from server');
+        // Drop container UIs without sending our possibly stale contents
+        this.openChestPos = null;
+        this.opencandlePos = null;
+        this.closeChestUI();
+        this.closecandleUI();
+
+        this.clearChunkMeshes();
+        this.clearTorchLights();
+        const previousType = this.world.worldType;
+        this.world = room ? new VoxelWorld(room.worldType, room.seed) : new VoxelWorld(previousType, this.world.seed);
+        this.mesher = new BlockMesher(this.world, this.textureAtlas);
+        if (this.itemManager) this.itemManager.world = this.world;
+        if (this.world.worldType !== previousType) this.applyWorldAtmosphere();
+        this.chestStorage = new Map();
+        this.candleStorage = new Map();
+        this.chunkMeshes = new Map();
+        this.chunkBounds = new Map();
+        this.chunkMeshQueue = [];
+        this.generateInitialChunks();
+        this._needsResync = false;
+    }
+
+    // Sky, fog, lights and music for the current world type: fairia is the red-fogged hell dimension
+    applyWorldAtmosphere() {
+        const fairia = this.world.worldType === 'fairia';
+        if (fairia) {
+            this.scene.background = new THREE.Color(0x000000); // black sky
+            this.scene.fog = new THREE.FogExp2(0xFF0000, 0.02); // red fog
+            this.ambientLight.intensity = 0.7;
+            this.sunLight.intensity = 0.7;
+        } else {
+            this.scene.background = new THREE.Color(0x87CEEB); // sky blue
+            // Restore default fog settings
+            const savedFogEnabled = localStorage.getItem('fogEnabled');
+            const fogEnabled = savedFogEnabled === null ? true : savedFogEnabled !== 'false';
+            const fogDensityRaw = parseFloat(localStorage.getItem('fogDensity'));
+            const density = Number.isFinite(fogDensityRaw) ? Math.min(Math.max(fogDensityRaw, 0.0), 0.05) : 0.01;
+            this.scene.fog = fogEnabled ? new THREE.FogExp2(0x87CEEB, density) : null;
+            this.ambientLight.intensity = 0.8;
+            this.sunLight.intensity = 1.0;
+        }
+        // Hell's Kingdom in fairia, Posey everywhere else
+        const track = fairia ? 'Hells Kingdom.ogg' : 'Posey.ogg';
+        if (this.gameMusic.src.endsWith(encodeURI(track))) return;
+        this.gameMusic.pause();
+        this.gameMusic.currentTime = 0;
+        this.gameMusic.src = track;
+        setTimeout(() => {
+            this.gameMusic.play().catch(e => console.log('World music play failed:', e));
+        }, 100);
+    }
+
+    // Watch a server recording (replay.js) instead of playing: the camera flies freely while the
+    // recorded players, mobs and edits go through the same handlers as a live server's messages.
+    // Returns false when text is not a recording.
+    startReplay(text) {
+        const lines = text.split('\n').filter(line => line.trim());
+        let header = null;
+        try {
+            header = JSON.parse(lines[0]);
+        } catch (e) {
+            console.warn('Bad replay header', e);
+        }
+        if (!header || header.replay !== 1 || !header.room) return false;
+        const events = [];
+        for (const line of lines.slice(1)) {
+            // The last line may be cut short if the server died mid-write
+            try {
+                events.push(JSON.parse(line));
+            } catch (e) {
+                console.warn('Skipping bad replay line:', line.slice(0, 80));
+            }
+        }
+        console.log(`Replay of ${header.room.name}: ${events.length} events`);
+
+        this.replay = {
+            header,
+            events, // [{ at, type, ...payload }], at = ms since header.startedAt
+            duration: events.length ? events[events.length - 1].at : 0,
+            index: 0, // Next event to apply
+            time: 0, // Playback position in ms
+            speed: 1,
+            paused: false,
+            seeking: false,
+            dirtyChunks: new Set() // Chunks to remesh after a seek
+        };
+        this.remotePlayers = new Map();
+        this.remotePlayerModels = new Map();
+        this.pendingBlockEdits = new Map();
+        this.pendingContainerEdits = new Map();
+        this.containerBaselines = new Map();
+        this.serverClockOffset = null;
+        this.interpolationDelay = 100;
+        this.entityInterpolationDelay = 200;
+
+        // Free camera, starting above the first recorded player
+        this.player.flyMode = true;
+        this.thirdPerson = false;
+        if (this.handBlock) this.handBlock.visible = false;
+        const first = (header.players || [])[0];
+        if (first) this.player.position.set(Protocol.toNumber(first.x), Protocol.toNumber(first.y, 70) + 5, Protocol.toNumber(first.z));
+
+        this.startServerMobs();
+        this.resetReplay();
+        this.createReplayUI();
+        this.updateReplayUI();
+        return true;
+    }
+
+    // Back to the start of the recording: the room as it was when recording began
+    resetReplay() {
+        const { header } = this.replay;
+        for (const id of [...this.remotePlayerModels.keys()]) this.removeRemotePlayerModel(id);
+        this.remotePlayers.clear();
+        this.clearServerMobs();
+        this.resyncWorldFromServer(header.room);
+        for (const chunk of header.chunks || []) this.applyServerChunk(chunk);
+        for (const player of header.players || []) this.showRemotePlayer(player);
+        for (const entity of header.entities || []) this.addServerMob(entity);
+        if (header.match) this.applyMatchState(header.match);
+        this.replay.index = 0;
+        this.replay.time = 0;
+    }
+
+    // Move the playback position on by a frame and apply the events it passed
+    updateReplay(deltaTime) {
+        const replay = this.replay;
+        if (!replay.paused) {
+            replay.time = Math.min(replay.duration, replay.time + deltaTime * 1000 * replay.speed);
+            if (replay.time >= replay.duration) replay.paused = true;
+        }
+        this.applyReplayEvents();
+        this.updateReplayUI();
+    }
+
+    applyReplayEvents() {
+        const replay = this.replay;
+        while (replay.index < replay.events.length && replay.events[replay.index].at <= replay.time) {
+            const event = replay.events[replay.index++];
+            try {
+                this.applyReplayEvent(event);
+            } catch (e) {
+                console.warn('Failed to replay event', event.type, e);
+            }
+        }
+    }
+
+    // Jump to time ms into the recording. Going back starts over from the header; either way the
+    // events up to time are applied at once, remeshing each touched chunk only once at the end.
+    seekReplay(time) {
+        const replay = this.replay;
+        time = Math.max(0, Math.min(replay.duration, time));
+        if (time < replay.time) this.resetReplay();
+        replay.time = time;
+        replay.seeking = true;
+        this.applyReplayEvents();
+        replay.seeking = false;
+        for (const key of replay.dirtyChunks) {
+            const [cx, cz] = key.split(',').map(Number);
+            if (this.chunkMeshes.has(key)) this.updateChunkMesh(cx, cz);
+        }
+        replay.dirtyChunks.clear();
+        this.updateReplayUI();
+    }
+
+    // One recorded event; see replay.js for what the server writes
+    applyReplayEvent(event) {
+        const { MessageType } = Protocol;
+        const { seeking, dirtyChunks } = this.replay;
+        const nameOf = (id) => {
+            if (this.remotePlayers.has(id)) return this.remotePlayers.get(id).name;
+            if (this.serverMobs.has(id)) return this.serverMobs.get(id).kind;
+            return '?';
+        };
+        switch (event.type) {
+            case MessageType.JOIN:
+                if (event.player) this.showRemotePlayer(event.player);
+                break;
+            case MessageType.LEAVE:
+                this.remotePlayers.delete(event.id);
+                this.removeRemotePlayerModel(event.id);
+                break;
+            case MessageType.STATE:
+                if (event.id) this.pushRemoteSnapshot(event);
+                break;
+            case MessageType.BLOCK_CHANGE: {
+                const change = Protocol.readBlockChange(event);
+                if (!change) break;
+                if (!seeking) {
+                    this.applyServerBlock(change.x, change.y, change.z, change.blockType);
+                    break;
+                }
+                this.world.setBlock(change.x, change.y, change.z, change.blockType);
+                const size = this.world.chunkSize;
+                const cx = Math.floor(change.x / size), cz = Math.floor(change.z / size);
+                dirtyChunks.add(`${cx},${cz}`);
+                if (change.x % size === 0) dirtyChunks.add(`${cx - 1},${cz}`);
+                if (change.z % size === 0) dirtyChunks.add(`${cx},${cz - 1}`);
+                break;
+            }
+            case MessageType.CONTAINER_CHANGE:
+                this.applyServerContainerChange(event);
+                break;
+            case MessageType.MATCH:
+                this.applyMatchState(event);
+                break;
+            case MessageType.ENTITY_SPAWN:
+                this.addServerMob(event.entity);
+                break;
+            case MessageType.ENTITY_UPDATE:
+                this.applyEntityUpdate(event);
+                break;
+            case MessageType.ENTITY_DESPAWN:
+                this.removeServerMob({ id: event.id });
+                break;
+            case MessageType.CHAT:
+                if (!seeking) this.addServerChatMessage(event);
+                break;
+            case MessageType.DAMAGE:
+                // Hits on mobs show as their red flash; hits on players go to the chat log
+                if (!seeking && this.remotePlayers.has(event.target)) {
+                    this.addChatMessage(`${nameOf(event.attacker)} hit ${nameOf(event.target)} (${Protocol.toNumber(event.amount)})`, '#fc8');
+                }
+                break;
+            case MessageType.DIED:
+                if (!seeking) this.addChatMessage(`${nameOf(event.id)} died${event.by ? ` (${nameOf(event.by)})` : ''}`, '#f88');
+                break;
+            default:
+                break;
+        }
+    }
+
+    toggleReplayPause() {
+        const replay = this.replay;
+        // Play again from the start once the end was reached
+        if (replay.paused && replay.time >= replay.duration) this.seekReplay(0);
+        replay.paused = !replay.paused;
+        this.updateReplayUI();
+    }
+
+    stepReplaySpeed(direction) {
+        const index = REPLAY_SPEEDS.indexOf(this.replay.speed) + direction;
+        if (index < 0 || index >= REPLAY_SPEEDS.length) return;
+        this.replay.speed = REPLAY_SPEEDS[index];
+        this.updateReplayUI();
+    }
+
+    // Playback bar along the bottom of the screen
+    createReplayUI() {
+        if (this._replayBarEl) return;
+        const bar = document.createElement('div');
+        bar.id = 'replay-bar';
+        bar.style.position = 'absolute';
+        bar.style.bottom = '90px';
+        bar.style.left = '50%';
+        bar.style.transform = 'translateX(-50%)';
+        bar.style.width = '640px';
+        bar.style.padding = '8px 12px';
+        bar.style.background = 'rgba(0,0,0,0.7)';
+        bar.style.border = '1px solid #555';
+        bar.style.borderRadius = '6px';
+        bar.style.color = '#fff';
+        bar.style.fontFamily = 'Arial, sans-serif';
+        bar.style.fontSize = '13px';
+        bar.style.zIndex = '160';
+
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '8px';
+
+        const playBtn = document.createElement('button');
+        playBtn.style.width = '60px';
+        playBtn.style.padding = '4px';
+        playBtn.style.background = '#00aa00';
+        playBtn.style.color = '#fff';
+        playBtn.style.border = 'none';
+        playBtn.style.borderRadius = '3px';
+        playBtn.style.cursor = 'pointer';
+        playBtn.addEventListener('click', () => this.toggleReplayPause());
+        row.appendChild(playBtn);
+
+        const seek = document.createElement('input');
+        seek.type = 'range';
+        seek.min = '0';
+        seek.max = String(this.replay.duration);
+        seek.step = '100';
+        seek.style.flex = '1';
+        // Seek on release; going back replays from the start, too slow to do while dragging
+        seek.addEventListener('input', () => { this._replaySeekDragging = true; });
+        seek.addEventListener('change', () => {
+            this._replaySeekDragging = false;
+            this.seekReplay(Number(seek.value));
+            seek.blur(); // Arrow keys fly the camera, not the slider
+        });
+        row.appendChild(seek);
+
+        const timeLabel = document.createElement('span');
+        timeLabel.style.minWidth = '90px';
+        timeLabel.style.textAlign = 'right';
+        row.appendChild(timeLabel);
+
+        const speedSelect = document.createElement('select');
+        for (const speed of REPLAY_SPEEDS) {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.textContent = `${speed}x`;
+            speedSelect.appendChild(option);
+        }
+        speedSelect.addEventListener('change', () => {
+            this.replay.speed = Number(speedSelect.value);
+            speedSelect.blur(); // Keys go back to the camera
+        });
+        row.appendChild(speedSelect);
+        bar.appendChild(row);
+
+        const { room } = this.replay.header;
+        const info = document.createElement('div');
+        info.style.marginTop = '4px';
+        info.style.color = '#aaa';
+        info.style.fontSize = '12px';
+        info.textContent = `Replay: ${room.name} (${room.worldType}, ${room.mode}), ${new Date(this.replay.header.startedAt).toLocaleString()}` +
+            ' - P pause, [ ] speed, , . skip 5s, WASD/Space/Shift fly, Esc frees the mouse';
+        bar.appendChild(info);
+
+        document.body.appendChild(bar);
+        this._replayBarEl = bar;
+        this._replayControls = { playBtn, seek, timeLabel, speedSelect };
+    }
+
+    updateReplayUI() {
+        if (!this._replayControls) return;
+        const { playBtn, seek, timeLabel, speedSelect } = this._replayControls;
+        const { time, duration, paused, speed } = this.replay;
+        const format = (ms) => {
+            const seconds = Math.floor(ms / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        playBtn.textContent = paused ? 'Play' : 'Pause';
+        if (!this._replaySeekDragging) seek.value = String(time);
+        timeLabel.textContent = `${format(time)} / ${format(duration)}`;
+        speedSelect.value = String(speed);
+    }
+
+    createConnectionStatusUI() {
+        if (this._connectionStatusEl) return;
+        const el = document.createElement('div');
+        el.id = 'connection-status';
+        el.style.position = 'absolute';
+        el.style.top = '20px';
+        el.style.right = '20px';
+        el.style.padding = '6px 12px';
+        el.style.background = 'rgba(0,0,0,0.7)';
+        el.style.borderRadius = '4px';
+        el.style.fontFamily = 'Arial, sans-serif';
+        el.style.fontSize = '13px';
+        el.style.zIndex = '150';
+        el.style.pointerEvents = 'none';
+        document.body.appendChild(el);
+        this._connectionStatusEl = el;
+    }
+
+    // status: 'connecting' | 'connected' | 'lost' | 'retrying'
+    setConnectionStatus(status, detail = '') {
+        this.connectionStatus = status;
+        this.createConnectionStatusUI();
+        const labels = {
+            connecting: ['#ffcc00', 'Connecting...'],
+            connected: ['#66ff66', 'Connected'],
+            lost: ['#ff5555', 'Connection lost'],
+            retrying: ['#ff9933', 'Connection lost, retrying']
+        };
+        const [color, label] = labels[status] || ['#fff', status];
+        this._connectionStatusEl.style.color = color;
+        this._connectionStatusEl.textContent = `\u25CF ${label}${detail ? ' ' + detail : ''}`;
+        console.log(`Connection status: ${status}${detail ? ' ' + detail : ''}`);
+    }
+
+    // Send a protocol message if the socket is open; silently dropped otherwise
+    sendServerMessage(type, payload = {}) {
+        if (!this.ws || this.ws.readyState !== 1) return;
+        try {
+            this.ws.send(Protocol.encode(type, payload));
+        } catch {}
+    }
+
+    // Measure our round trip; the pong also carries everyone else's for the player list
+    sendPing() {
+        const n = ++this.pingSeq;
+        this.pingsSent.set(n, performance.now());
+        // Pongs lost with a dropped connection never come back
+        for (const old of this.pingsSent.keys()) {
+            if (old <= n - 10) this.pingsSent.delete(old);
+        }
+        const payload = { n };
+        if (this.latency !== null) payload.rtt = this.latency;
+        this.sendServerMessage(Protocol.MessageType.PING, payload);
+    }
+
+    handlePong(msg) {
+        const n = Protocol.toNumber(msg.n);
+        const sentAt = this.pingsSent.get(n);
+        if (sentAt === undefined) return;
+        this.pingsSent.delete(n);
+        this.latency = Math.round(performance.now() - sentAt);
+        this.playerPings = new Map(Object.entries(msg.pings || {}).map(([id, ms]) => [id, Protocol.toNumber(ms)]));
+        if (this.playerId) this.playerPings.set(this.playerId, this.latency); // Fresher than the server's copy
+        if (this.playerListOpen) this.renderPlayerList();
+    }
+
+    // Report our position; remembered by seq so server corrections can be reconciled
+    sendPlayerState() {
+        const { x, y, z } = this.player.position;
+        const seq = ++this.stateSeq;
+        this.stateHistory.push({ seq, x, y, z });
+        if (this.stateHistory.length > 100) this.stateHistory.shift();
+        this.sendServerMessage(Protocol.MessageType.STATE, {
+            seq, correction: this.correctionId,
+            x, y, z,
+            yaw: this.player.yaw,
+            pitch: this.player.pitch
+        });
+    }
+
+    // Buffer a timestamped remote state; models are drawn interpolated between snapshots
+    pushRemoteSnapshot(msg) {
+        const state = Protocol.readState(msg);
+        const t = Protocol.toNumber(msg.t, Date.now());
+        // Offset includes one-way latency, which the interpolation delay absorbs
+        const offset = Date.now() - t;
+        this.serverClockOffset = this.serverClockOffset === null ? offset : this.serverClockOffset * 0.95 + offset * 0.05;
+
+        const p = this.remotePlayers.get(msg.id) || { id: msg.id };
+        Object.assign(p, state);
+        if (!p.snapshots) p.snapshots = [];
+        p.snapshots.push({ t, ...state });
+        // Keep about a second of history
+        while (p.snapshots.length > 2 && p.snapshots[0].t < t - 1000) p.snapshots.shift();
+        this.remotePlayers.set(msg.id, p);
+    }
+
+    // Server time to draw remote players and mobs at, delay ms behind the latest updates.
+    // A replay draws at its playback position instead.
+    serverRenderTime(delay) {
+        if (this.replay) return this.replay.header.startedAt + this.replay.time - delay;
+        return Date.now() - (this.serverClockOffset || 0) - delay;
+    }
+
+    // Position/orientation of a remote player at server time renderTime
+    interpolateRemotePlayer(playerData, renderTime) {
+        const snaps = playerData.snapshots;
+        if (!snaps || !snaps.length) return playerData;
+        if (renderTime <= snaps[0].t) return snaps[0];
+
+        for (let i = snaps.length - 1; i >= 0; i--) {
+            const a = snaps[i];
+            if (a.t > renderTime) continue;
+            const b = snaps[i + 1];
+            if (!b) return a; // Newest snapshot is already in the past: hold it rather than extrapolate
+            const alpha = (renderTime - a.t) / Math.max(1, b.t - a.t);
+            const lerpAngle = (from, to) => from + Math.atan2(Math.sin(to - from), Math.cos(to - from)) * alpha;
+            return {
+                x: a.x + (b.x - a.x) * alpha,
+                y: a.y + (b.y - a.y) * alpha,
+                z: a.z + (b.z - a.z) * alpha,
+                yaw: lerpAngle(a.yaw, b.yaw),
+                pitch: a.pitch + (b.pitch - a.pitch) * alpha
+            };
+        }
+        return snaps[snaps.length - 1];
+    }
+
+    // Server moved us: keep the movement we predicted since the corrected state on top of its position
+    handlePositionCorrection(msg) {
+        const seq = Protocol.toNumber(msg.seq);
+        const target = new THREE.Vector3(Protocol.toNumber(msg.x), Protocol.toNumber(msg.y, 70), Protocol.toNumber(msg.z));
+        const entry = this.stateHistory.find(h => h.seq === seq);
+        this.stateHistory = this.stateHistory.filter(h => h.seq > seq);
+        this.correctionId = Math.max(this.correctionId, Protocol.toNumber(msg.correction));
+        console.warn(`Position corrected by server: ${msg.reason}`);
+
+        if (entry) {
+            target.x += this.player.position.x - entry.x;
+            target.y += this.player.position.y - entry.y;
+            target.z += this.player.position.z - entry.z;
+        }
+        const error = target.sub(this.player.position);
+        if (!entry || error.length() > 4) {
+            // Too far to blend: snap
+            this.player.position.add(error);
+            this.player.velocity.set(0, 0, 0);
+            this.reconcileOffset.set(0, 0, 0);
+        } else {
+            this.reconcileOffset.add(error);
+        }
+    }
+
+    // Ask the server to apply an edit we already predicted locally.
+    // Must be called before the local inventory is touched so the server sees the same order.
+    requestBlockChange(x, y, z, blockType, previous) {
+        if (!this.ws || this.ws.readyState !== 1) return;
+        this.pendingBlockEdits.set(`${x},${y},${z}`, { previous, requested: blockType });
+        this.sendServerMessage(Protocol.MessageType.BLOCK_CHANGE, { x, y, z, blockType });
+    }
+
+    // Set a block from server data and remesh the affected chunks
+    applyServerBlock(x, y, z, blockType) {
+        const previous = this.world.getBlock(x, y, z);
+        if ((previous === 26 || previous === 29) && previous !== blockType) {
+            // Another player broke a chest/candle; its contents went with it
+            const key = `${x},${y},${z}`;
+            if (this.openChestPos === key) this.closeChestUI();
+            if (this.opencandlePos === key) this.closecandleUI();
+            this.chestStorage.delete(key);
+            this.candleStorage.delete(key);
+        }
+        this.world.setBlock(x, y, z, blockType);
+        const cx = Math.floor(x / this.world.chunkSize);
+        const cz = Math.floor(z / this.world.chunkSize);
+        this.updateChunkMesh(cx, cz);
+        // Update adjacent chunks if on edge
+        if (x % this.world.chunkSize === 0) this.updateChunkMesh(cx - 1, cz);
+        if (z % this.world.chunkSize === 0) this.updateChunkMesh(cx, cz - 1);
+    }
+
+    // Returning player: continue from the position the server saved
+    applyServerRestore(restore) {
+        const state = Protocol.readState(restore);
+        this.player.position.set(state.x, state.y, state.z);
+        this.player.velocity.set(0, 0, 0);
+        this.player.yaw = state.yaw;
+        this.player.pitch = state.pitch;
+    }
+
+    // Replace a whole chunk with the server's copy (edits made before we joined or while we were away)
+    applyServerChunk(msg) {
+        const cx = Number(msg.cx), cz = Number(msg.cz);
+        if (!Number.isInteger(cx) || !Number.isInteger(cz) || typeof msg.blocks !== 'string') return;
+        this.world.loadChunkBlocks(cx, cz, msg.blocks);
+
+        // Keep our own edits that the server has not acknowledged yet
+        for (const [key, pending] of this.pendingBlockEdits) {
+            const [x, y, z] = key.split(',').map(Number);
+            if (Math.floor(x / this.world.chunkSize) === cx && Math.floor(z / this.world.chunkSize) === cz) {
+                this.world.setBlock(x, y, z, pending.requested);
+            }
+        }
+
+        for (const [key, container] of Object.entries(msg.containers || {})) {
+            const [x, y, z] = key.split(',').map(Number);
+            const update = Protocol.readContainer({ x, y, z, ...container });
+            if (update) this.applyServerContainer(key, update.kind, update.slots);
+        }
+
+        // Remesh the chunk and its neighbors (shared faces) if they are already on screen
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                if (this.chunkMeshes.has(`${cx + dx},${cz + dz}`)) this.updateChunkMesh(cx + dx, cz + dz);
+            }
+        }
+        if (this.useRuntimeTorchLights) {
+            try { this.rebuildTorchLights(); } catch {}
+        }
+    }
+
+    // Take chest/candle contents from the server and refresh the UI if we have it open
+    applyServerContainer(key, kind, slots) {
+        const storage = kind === 'candle' ? this.candleStorage : this.chestStorage;
+        storage.set(key, slots);
+        this.containerBaselines.set(key, this.cloneSlots(slots));
+        if (this.openChestPos === key || this.opencandlePos === key) {
+            this.refreshContainerUI(key);
+        }
+    }
+
+    // A move in a chest/candle: another player's, or the server acknowledging ours
+    applyServerContainerChange(msg) {
+        const key = `${msg.x},${msg.y},${msg.z}`;
+        if (msg.id === this.playerId) this.pendingContainerEdits.delete(Protocol.toNumber(msg.seq));
+        const slots = this.chestStorage.get(key) || this.candleStorage.get(key);
+        if (!slots || !Array.isArray(msg.changes)) return; // Not known here yet; containerOpen or a chunk brings it
+        let changed = false;
+        for (const change of msg.changes) {
+            const slot = Number(change && change.slot);
+            if (!Number.isInteger(slot) || slot < 0 || slot >= slots.length) continue;
+            const item = Protocol.readSlots([change.item], 1)[0];
+            if (Protocol.sameItem(slots[slot], item)) continue;
+            slots[slot] = item;
+            changed = true;
+        }
+        if (!changed) return;
+        this.containerBaselines.set(key, this.cloneSlots(slots));
+        if (this.openChestPos === key || this.opencandlePos === key) this.refreshContainerUI(key);
+    }
+
+    // The server refused one of our moves (someone else got to the items first): undo what it did
+    // to our inventory and show the real contents
+    handleContainerCorrection(msg) {
+        const key = `${msg.x},${msg.y},${msg.z}`;
+        const seq = Protocol.toNumber(msg.seq);
+        const edit = this.pendingContainerEdits.get(seq);
+        this.pendingContainerEdits.delete(seq);
+        if (edit) {
+            for (const { index, before, after } of edit.inventory) {
+                if (Protocol.sameItem(this.player.inventory[index], after)) this.player.inventory[index] = this.cloneSlots([before])[0];
+            }
+            this._containerInventoryBaseline = this.cloneSlots(this.player.inventory);
+            this.updateInventoryUI();
+            this.updateHotbar();
+        }
+
+        const kind = this.candleStorage.has(key) ? 'candle' : 'chest';
+        const storage = kind === 'candle' ? this.candleStorage : this.chestStorage;
+        if (Array.isArray(msg.slots)) {
+            const update = Protocol.readContainer({ x: msg.x, y: msg.y, z: msg.z, kind, slots: msg.slots });
+            if (update) this.applyServerContainer(key, kind, update.slots);
+        } else if (edit && storage.has(key)) {
+            // Not open on the server (or out of reach): put the slots back as they were
+            const slots = storage.get(key);
+            for (const { slot, from } of edit.changes) slots[slot] = from;
+            this.applyServerContainer(key, kind, slots);
+        }
+    }
+
+    // Online the server owns chest/candle contents: ask for them and start tracking our moves
+    sendContainerOpen(key) {
+        if (!this.ws || this.ws.readyState !== 1) return;
+        const slots = this.chestStorage.get(key) || this.candleStorage.get(key);
+        this.containerBaselines.set(key, this.cloneSlots(slots));
+        this._containerInventoryBaseline = this.cloneSlots(this.player.inventory);
+        const [x, y, z] = key.split(',').map(Number);
+        this.sendServerMessage(Protocol.MessageType.CONTAINER_OPEN, { x, y, z });
+    }
+
+    sendContainerClose(key) {
+        if (!key) return;
+        const [x, y, z] = key.split(',').map(Number);
+        this.sendServerMessage(Protocol.MessageType.CONTAINER_CLOSE, { x, y, z });
+    }
+
+    // Send the move just made in a chest/candle UI as one containerChange: every slot that differs
+    // from the baseline, plus (kept locally) the inventory slots it changed in case it is refused.
+    // Called after every UI action that can move items in or out of a container.
+    commitContainerEdits(key) {
+        if (!this.ws || this.ws.readyState !== 1) return;
+        const slots = this.chestStorage.get(key) || this.candleStorage.get(key);
+        const baseline = this.containerBaselines.get(key);
+        if (!slots || !baseline) return;
+
+        const changes = [];
+        slots.forEach((item, slot) => {
+            if (!Protocol.sameItem(item, baseline[slot])) changes.push({ slot, from: baseline[slot], to: this.cloneSlots([item])[0] });
+        });
+        const inventoryBefore = this._containerInventoryBaseline || [];
+        const inventory = [];
+        this.player.inventory.forEach((item, index) => {
+            const before = inventoryBefore[index] || 0;
+            if (!Protocol.sameItem(item, before)) inventory.push({ index, before, after: this.cloneSlots([item])[0] });
+        });
+        this.containerBaselines.set(key, this.cloneSlots(slots));
+        this._containerInventoryBaseline = this.cloneSlots(this.player.inventory);
+        if (changes.length === 0) return;
+
+        const seq = ++this.containerSeq;
+        const [x, y, z] = key.split(',').map(Number);
+        this.pendingContainerEdits.set(seq, { key, changes, inventory });
+        this.sendServerMessage(Protocol.MessageType.CONTAINER_CHANGE, { seq, x, y, z, changes });
+    }
+
+    // Deep copy of slot entries (items are changed in place by the inventory code)
+    cloneSlots(slots) {
+        return JSON.parse(JSON.stringify(slots || []));
+    }
+
+    // Server rejected one of our edits: restore the real block and undo the inventory change
+    handleBlockCorrection(msg) {
+        const key = `${msg.x},${msg.y},${msg.z}`;
+        const pending = this.pendingBlockEdits.get(key);
+        this.pendingBlockEdits.delete(key);
+        console.warn(`Block change at ${key} rejected by server: ${msg.reason}`);
+
+        const restored = Number.isInteger(msg.blockType) ? msg.blockType : (pending ? pending.previous : null);
+        if (restored !== null) this.applyServerBlock(msg.x, msg.y, msg.z, restored);
+
+        if (this.survivalMode && pending) {
+            if (pending.requested !== 0) {
+                this.addToInventory(pending.requested, 1); // Refund the placed block
+            } else {
+                this.removeFromInventory(pending.previous, 1); // Take back the block we collected
+            }
+            this.updateInventoryUI();
+        }
+    }
+
+    // Online the server decides between survival and creative: in welcome, and when an op uses /gamemode
+    setSurvivalMode(survival) {
+        if (survival === this.survivalMode) return;
+        this.survivalMode = survival;
+        this.player.survivalMode = survival;
+        this.player.health = this.player.maxHealth;
+        if (survival) {
+            this.player.flyMode = false;
+            this.player.inventory = new Array(Protocol.INVENTORY_SLOTS).fill(0); // The server's copy follows
+            this.createHealthBar();
+            this.updateHealthBar();
+        } else {
+            this.player.inventory = new Player(false).inventory; // The creative starter blocks
+        }
+        if (this._healthBarEl) this._healthBarEl.style.display = survival ? '' : 'none';
+        if (this._inventoryEl) {
+            // Built again on next open: the crafting list only exists in survival
+            this._inventoryEl.remove();
+            if (this._ctrlCursorIndicator) this._ctrlCursorIndicator.remove();
+            this._inventoryEl = null;
+            this.inventoryOpen = false;
+        }
+        this.updateHotbar();
+    }
+
+    // The server refused a Phinox action or dismounted us (we died); follow its view
+    applyServerMount(msg) {
+        if (!msg.riding && this.isMountedOnPhinox) {
+            this.isMountedOnPhinox = false;
+            this.phinox.dismount(); // Stay where we are rather than hop off beside it
         }
+        if (!msg.phinox && this.phinox) this.recallPhinox();
+    }
+
+    // The server's copy of our survival inventory wins (on join, and after a refused craft or edit)
+    applyServerInventory(slots) {
+        if (!this.survivalMode) return;
+        this.player.inventory = Protocol.readInventory(slots);
+        if (this._containerInventoryBaseline) this._containerInventoryBaseline = this.cloneSlots(this.player.inventory);
+        this.updateInventoryUI();
+        this.updateHotbar();
     }
 
     createRemotePlayerModel(playerData) {
@@ -3964,6 +3945,7 @@ class Game {
         const torsoGeo = new THREE.BoxGeometry(0.6, 1.0, 0.4);
         const torso = new THREE.Mesh(torsoGeo, material);
         torso.castShadow = true;
+        torso.userData.isBody = true;
         group.add(torso);
 
         // Head
@@ -3971,6 +3953,7 @@ class Game {
         const head = new THREE.Mesh(headGeo, material);
         head.position.y = 0.9;
         head.castShadow = true;
+        head.userData.isBody = true;
         group.add(head);
 
         // Legs
@@ -3978,19 +3961,12 @@ class Game {
         const legs = new THREE.Mesh(legsGeo, material);
         legs.position.y = -0.9;
         legs.castShadow = true;
+        legs.userData.isBody = true;
         group.add(legs);
 
         // Name label
         const canvas = document.createElement('canvas');
-        canvas.width = 256;
-        canvas.height = 64;
-        const ctx = canvas.getContext('2d');
-        ctx.fillStyle = 'rgba(0,0,0,0.7)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        ctx.fillStyle = '#ffffff';
-        ctx.font = 'Bold 40px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText(playerData.name || 'Player', 128, 45);
+        this.drawNameTag(canvas, playerData.name || 'Player', '#ffffff');
         
         const nameTexture = new THREE.CanvasTexture(canvas);
         const nameMaterial = new THREE.MeshBasicMaterial({ map: nameTexture, transparent: true });
@@ -4002,11 +3978,92 @@ class Game {
 
         group.position.set(playerData.x || 0, playerData.y || 70, playerData.z || 0);
         group.rotation.y = playerData.yaw || 0;
+        this.applyCosmetics(group, playerData.cosmetics, playerData.name || 'Player');
 
         this.scene.add(group);
         this.remotePlayerModels.set(playerData.id, group);
     }
 
+    // Name label canvas: dark box with the name in the given color
+    drawNameTag(canvas, name, color) {
+        canvas.width = 256;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = 'rgba(0,0,0,0.7)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = color;
+        ctx.font = 'Bold 40px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(name, 128, 45);
+    }
+
+    // Cape hanging behind the torso; the local player's cape waves (see animate)
+    createCape(color) {
+        const capeWidth = 0.6;
+        const capeHeight = 1.0;
+        const capeGeo = new THREE.PlaneGeometry(capeWidth, capeHeight, 1, 8);
+        // Pivot the plane at the top so it hangs down
+        capeGeo.translate(0, -capeHeight / 2 + 0.12, 0);
+
+        const capeMat = new THREE.MeshLambertMaterial({ color, side: THREE.DoubleSide });
+        const cape = new THREE.Mesh(capeGeo, capeMat);
+        // Position cape slightly behind the torso
+        cape.position.set(0, 0.45, 0.28);
+        // Make sure cape faces away from the back (flip if needed)
+        cape.rotation.y = Math.PI; 
+        cape.castShadow = true;
+        cape.userData.isCape = true;
+
+        // Store base positions for animation
+        const posAttr = cape.geometry.getAttribute('position');
+        cape.userData.basePositions = new Float32Array(posAttr.array.length);
+        cape.userData.basePositions.set(posAttr.array);
+        return cape;
+    }
+
+    // Render the cosmetics the server granted (Protocol.readCosmetics): name color, cape and model tint.
+    // Nothing here is decided by the client itself.
+    applyCosmetics(group, cosmetics, name) {
+        const { nameColor, cape, tint } = Protocol.readCosmetics(cosmetics);
+        group.children.forEach(child => {
+            if (child.userData.isNameLabel) {
+                this.drawNameTag(child.material.map.image, name, nameColor || '#ffffff');
+                child.material.map.needsUpdate = true;
+            }
+        });
+        if (tint) {
+            // Body parts share one material; a tint multiplies the skin texture
+            const body = group.children.find(child => child.userData.isBody);
+            if (body) body.material.color.set(tint);
+        }
+        if (cape) {
+            let capeMesh = group.children.find(child => child.userData.isCape);
+            if (capeMesh) {
+                capeMesh.material.color.set(cape);
+            } else {
+                capeMesh = this.createCape(cape);
+                group.add(capeMesh);
+            }
+            if (group === this.playerModel) this.playerCape = capeMesh;
+        }
+    }
+
+    // A player came near: start drawing it from its current state (old snapshots are stale)
+    showRemotePlayer(player) {
+        const p = this.remotePlayers.get(player.id) || {};
+        Object.assign(p, player, { snapshots: [] });
+        this.remotePlayers.set(player.id, p);
+        this.createRemotePlayerModel(p);
+    }
+
+    // Went out of range: keep it in the player list, stop drawing it
+    hideRemotePlayer(id) {
+        const p = this.remotePlayers.get(id);
+        if (p) p.snapshots = [];
+        this.removeRemotePlayerModel(id);
+    }
+
     removeRemotePlayerModel(id) {
         const model = this.remotePlayerModels.get(id);
         if (model) {
@@ -4257,6 +4314,7 @@ class Game {
         const torso = new THREE.Mesh(torsoGeo, material);
         torso.position.y = 0.0;
         torso.castShadow = true;
+        torso.userData.isBody = true;
         group.add(torso);
 
         // Head
@@ -4264,6 +4322,7 @@ class Game {
         const head = new THREE.Mesh(headGeo, material);
         head.position.y = 0.9;
         head.castShadow = true;
+        head.userData.isBody = true;
         group.add(head);
 
         // Legs (single block for simplicity)
@@ -4271,27 +4330,12 @@ class Game {
         const legs = new THREE.Mesh(legsGeo, material);
         legs.position.y = -0.9;
         legs.castShadow = true;
+        legs.userData.isBody = true;
         group.add(legs);
 
-        // Add name label above player
+        // Add name label above player (white until the server grants a name color, see applyCosmetics)
         const canvas = document.createElement('canvas');
-        canvas.width = 256;
-        canvas.height = 64;
-        const ctx = canvas.getContext('2d');
-        ctx.fillStyle = 'rgba(0,0,0,0.7)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        // Check if email is the special email and use gold color for name
-        if (this.playerEmail && this.playerEmail.toLowerCase() === 'christopherwamsley@gmail.com') {
-            ctx.fillStyle = '#ffd700'; // Gold
-            console.log('Gold name activated for email:', this.playerEmail);
-        } else {
-            ctx.fillStyle = '#ffffff'; // White
-            console.log('Regular name for email:', this.playerEmail);
-        }
-        ctx.font = 'Bold 40px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText(this.playerName, 128, 45);
+        this.drawNameTag(canvas, this.playerName, '#ffffff');
         
         const nameTexture = new THREE.CanvasTexture(canvas);
         const nameMaterial = new THREE.MeshBasicMaterial({ map: nameTexture, transparent: true });
@@ -4309,36 +4353,6 @@ class Game {
         this.scene.add(group);
         this.playerModel = group;
 
-        // If player is named 'agare', add a cape to their model
-        try {
-            if (this.playerName && this.playerName.toLowerCase() === 'agare') {
-                const capeWidth = 0.6;
-                const capeHeight = 1.0;
-                const capeGeo = new THREE.PlaneGeometry(capeWidth, capeHeight, 1, 8);
-                // Pivot the plane at the top so it hangs down
-                capeGeo.translate(0, -capeHeight / 2 + 0.12, 0);
-
-                const capeMat = new THREE.MeshLambertMaterial({ color: 0x770011, side: THREE.DoubleSide });
-                const cape = new THREE.Mesh(capeGeo, capeMat);
-                // Position cape slightly behind the torso
-                cape.position.set(0, 0.45, 0.28);
-                // Make sure cape faces away from the back (flip if needed)
-                cape.rotation.y = Math.PI; 
-                cape.castShadow = true;
-                cape.userData.isCape = true;
-
-                // Store base positions for animation
-                const posAttr = cape.geometry.getAttribute('position');
-                cape.userData.basePositions = new Float32Array(posAttr.array.length);
-                cape.userData.basePositions.set(posAttr.array);
-
-                group.add(cape);
-                this.playerCape = cape;
-            }
-        } catch (e) {
-            console.warn('Failed to create cape:', e);
-        }
-
         // If player is named 'iverstim', add floating music notes around their head
         try {
             if (this.playerName && this.playerName.toLowerCase() === 'iverstim') {
@@ -4544,7 +4558,7 @@ class Game {
     }
 
     spawnPigmanAt(x, z) {
-        if (!this.world) return null;
+        if (!this.world || this.serverMobsActive) return null;
         let surfaceY = this.world.getTerrainHeight(Math.floor(x), Math.floor(z));
         // If below water, clamp to water surface so spawn still succeeds
         if (surfaceY < this.world.waterLevel - 1) {
@@ -4569,6 +4583,10 @@ class Game {
             console.error('[spawnPigmanAtExact] No scene available!');
             return null;
         }
+        if (this.serverMobsActive) {
+            console.log('[spawnPigmanAtExact] Mobs are run by the server while online');
+            return null;
+        }
         
         try {
             const pos = new THREE.Vector3(x, y, z);
@@ -4622,7 +4640,7 @@ class Game {
     }
 
     spawnAstralPigmen(count = 5) {
-        if (!this.world || !this.scene) return;
+        if (!this.world || !this.scene || this.serverMobsActive) return;
         // Spawn pigmen around the cathedral exterior
         // Cathedral is at x: -15 to 15, z: -15 to 15
         for (let i = 0; i < count; i++) {
@@ -4649,7 +4667,7 @@ class Game {
     }
 
     spawnPigmanPriest() {
-        if (!this.world || !this.scene) return;
+        if (!this.world || !this.scene || this.serverMobsActive) return;
         // Spawn priest on top of the podium (podium is at y: 74-76, center z: 11, x: -5 to 5)
         const pos = new THREE.Vector3(0, 77.5, 11);
         this.pigmanPriest = new PigmanPriest(pos, this.survivalMode);
@@ -4663,6 +4681,11 @@ class Game {
             console.log('Phinox already exists!');
             return;
         }
+        // Servers let survival players fly only on a Phinox summoned from the ground
+        if (this.serverHost && this.survivalMode && !this.player.onGround) {
+            console.log('Summon your Phinox on solid ground');
+            return;
+        }
         
         // Spawn directly at player position
         const spawnPos = this.player.position.clone();
@@ -4671,6 +4694,7 @@ class Game {
         this.phinox.createMesh();
         if (this.phinox.mesh) {
             this.scene.add(this.phinox.mesh);
+            this.sendServerMessage(Protocol.MessageType.MOUNT, { action: 'summon' }); // Mounts us too
             console.log('Phinox summoned!');
             
             // Automatically mount the player
@@ -4684,6 +4708,7 @@ class Game {
         this.isMountedOnPhinox = true;
         this.phinox.mount(this.player);
         this.phinox.yaw = this.player.yaw;
+        this.sendServerMessage(Protocol.MessageType.MOUNT, { action: 'mount' });
         console.log('Mounted on Phinox!');
     }
 
@@ -4692,6 +4717,7 @@ class Game {
         
         this.isMountedOnPhinox = false;
         this.phinox.dismount();
+        this.sendServerMessage(Protocol.MessageType.MOUNT, { action: 'dismount' });
         
         // Place player slightly to the side
         this.player.position.copy(this.phinox.position);
@@ -4715,6 +4741,7 @@ class Game {
         // Clear the phinox reference
         this.phinox = null;
         this.isMountedOnPhinox = false;
+        this.sendServerMessage(Protocol.MessageType.MOUNT, { action: 'recall' });
         console.log('Phinox recalled to inventory!');
     }
 
@@ -4736,7 +4763,7 @@ class Game {
     }
 
     spawnMinutorAt(x, y, z) {
-        if (!this.world) return null;
+        if (!this.world || this.serverMobsActive) return null;
         
         const pos = new THREE.Vector3(x + 0.5, y + 1.0, z + 0.5);
         const minutor = new Minutor(pos, this.survivalMode);
@@ -4792,60 +4819,188 @@ class Game {
         }
     }
 
+    // Connected to a server: drop the mobs this client spawned and show the server's instead,
+    // so everyone fights the same ones
+    startServerMobs() {
+        this.serverMobsActive = true;
+        for (const mob of [...this.pigmen, ...this.minutors, this.pigmanPriest]) {
+            if (mob && mob.mesh) this.scene.remove(mob.mesh);
+        }
+        this.pigmen = [];
+        this.minutors = [];
+        this.pigmanPriest = null;
+        this.clearServerMobs(); // Nearby mobs arrive as enterView
+    }
+
+    clearServerMobs() {
+        for (const { mob } of this.serverMobs.values()) {
+            if (mob.mesh) this.scene.remove(mob.mesh);
+        }
+        this.serverMobs.clear();
+    }
+
+    addServerMob(entity) {
+        if (!entity || this.serverMobs.has(entity.id)) return;
+        const state = Protocol.readState(entity);
+        const pos = new THREE.Vector3(state.x, state.y, state.z);
+        // The single-player classes only provide the meshes here; the server does the thinking
+        let mob;
+        if (entity.kind === 'minutor') mob = new Minutor(pos, true);
+        else if (entity.kind === 'priest') mob = new PigmanPriest(pos, true);
+        else mob = new Pigman(pos, true, this.pigmanTexture, this);
+        mob.yaw = state.yaw;
+        mob.health = Protocol.toNumber(entity.health, mob.maxHealth);
+        const mesh = mob.createMesh();
+        if (mesh) {
+            mesh.position.copy(pos);
+            mesh.rotation.y = mob.yaw;
+            this.scene.add(mesh);
+        }
+        this.serverMobs.set(entity.id, { id: entity.id, kind: entity.kind, mob, snapshots: [] });
+    }
+
+    applyEntityUpdate(msg) {
+        const t = Protocol.toNumber(msg.t, Date.now());
+        for (const update of msg.entities || []) {
+            const entry = this.serverMobs.get(update.id);
+            if (!entry) continue;
+            entry.snapshots.push({ t, ...Protocol.readState(update) });
+            while (entry.snapshots.length > 2 && entry.snapshots[0].t < t - 1000) entry.snapshots.shift();
+            const health = Protocol.toNumber(update.health, entry.mob.health);
+            if (health < entry.mob.health) entry.mob.damageFlashUntil = performance.now() + 200;
+            entry.mob.health = health;
+        }
+    }
+
+    removeServerMob(msg) {
+        const entry = this.serverMobs.get(msg.id);
+        if (entry) {
+            if (entry.mob.mesh) this.scene.remove(entry.mob.mesh);
+            this.serverMobs.delete(msg.id);
+        }
+        // Only the killer is sent the loot
+        if (Array.isArray(msg.drops) && this.itemManager) {
+            const dropPos = new THREE.Vector3(Protocol.toNumber(msg.x), Protocol.toNumber(msg.y) + 0.5, Protocol.toNumber(msg.z));
+            msg.drops.forEach((drop, i) => {
+                const type = Protocol.toNumber(drop && drop.type);
+                const amount = Protocol.toNumber(drop && drop.amount);
+                if (type > 0 && amount > 0) this.itemManager.dropItem(dropPos.clone().add(new THREE.Vector3(i * 0.5, 0, 0)), type, amount);
+            });
+        }
+    }
+
+    // Move server mob meshes along their interpolated path and flash them red when hurt
+    updateServerMobs() {
+        if (this.serverMobs.size === 0) return;
+        const renderTime = this.serverRenderTime(this.entityInterpolationDelay);
+        const now = performance.now();
+        for (const { mob, snapshots } of this.serverMobs.values()) {
+            if (!mob.mesh) continue;
+            if (snapshots.length) {
+                const state = this.interpolateRemotePlayer({ snapshots }, renderTime);
+                mob.position.set(state.x, state.y, state.z);
+                mob.yaw = state.yaw;
+            }
+            mob.mesh.position.copy(mob.position);
+            mob.mesh.rotation.y = mob.yaw;
+
+            const flashing = now < mob.damageFlashUntil;
+            if (flashing !== !!mob._flashing) {
+                mob._flashing = flashing;
+                mob.mesh.traverse(child => {
+                    if (child.isMesh && child.material && child.material.emissive) {
+                        child.material.emissive.setHex(flashing ? 0xff0000 : 0x000000);
+                        child.material.emissiveIntensity = flashing ? 0.8 : 0;
+                    }
+                });
+            }
+        }
+    }
+
+    // Melee hit on a server mob: same cone as attackPigman, the server applies the damage
+    attackServerMob() {
+        const camera = this.player.getCamera();
+        const direction = new THREE.Vector3(0, 0, -1);
+        direction.applyQuaternion(camera.quaternion);
+        const attackRange = 4;
+
+        let closest = null;
+        let closestDistance = attackRange;
+        for (const [id, { mob }] of this.serverMobs) {
+            const toMob = mob.position.clone().sub(camera.position);
+            const distance = toMob.length();
+            if (distance > closestDistance) continue;
+            if (direction.dot(toMob.normalize()) > 0.7) {
+                closest = id;
+                closestDistance = distance;
+            }
+        }
+        if (!closest) return false;
+        this.sendServerMessage(Protocol.MessageType.ATTACK, { target: closest, damage: this.player.getAttackDamage() });
+        return true;
+    }
+
+    // A server mob hit us
+    handleMobDamage(msg) {
+        // A wood shield reflection goes back to the mob through the server
+        const attacker = {
+            takeDamage: (amount) => this.sendServerMessage(Protocol.MessageType.ATTACK, { target: msg.attacker, damage: amount })
+        };
+        this.player.takeDamage(Protocol.toNumber(msg.amount), attacker);
+        if (this.survivalMode) this.updateHealthBar();
+    }
+
     setupInput() {
         // Keyboard
         document.addEventListener('keydown', (e) => {
-            // Toggle fairia dimension with F7
+            // The chat input handles its own keys
+            if (this.chatOpen) return;
+
+            // Replay viewer: playback keys, and none of the ones that play the game
+            if (this.replay) {
+                const key = e.key.toLowerCase();
+                if (key === 'p') {
+                    this.toggleReplayPause();
+                    return;
+                }
+                if (key === '[' || key === ']') {
+                    this.stepReplaySpeed(key === ']' ? 1 : -1);
+                    return;
+                }
+                if (key === ',' || key === '.') {
+                    this.seekReplay(this.replay.time + (key === '.' ? 5000 : -5000));
+                    return;
+                }
+                if (['t', 'enter', 'e', 'c', 'v', 'f5', 'f6', 'f7'].includes(key)) {
+                    e.preventDefault();
+                    return;
+                }
+            }
+
+            // Open chat with T or Enter
+            if ((e.key === 't' || e.key === 'T' || e.key === 'Enter') && !this.pauseMenuOpen && !this.inventoryOpen) {
+                e.preventDefault();
+                this.openChat();
+                return;
+            }
+
+            // Toggle fairia dimension with F7 (not online: the server's room decides the world)
             if (e.key === 'F7') {
                 e.preventDefault();
+                if (this.serverHost) return;
                 // Save current position
                 const pos = this.player.position.clone();
                 // Clear existing chunk meshes first
                 this.clearChunkMeshes();
                 this.clearTorchLights();
                 // Toggle world type
-                if (this.world.worldType !== 'fairia') {
-                    this.world = new VoxelWorld('fairia');
-                    this.mesher = new BlockMesher(this.world, this.textureAtlas);
-                    if (this.itemManager) this.itemManager.world = this.world;
-                    this.player.position.copy(pos);
-                    this.player.velocity.set(0, 0, 0);
-                    this.scene.background = new THREE.Color(0x000000); // black sky
-                    this.scene.fog = new THREE.FogExp2(0xFF0000, 0.02); // red fog
-                    this.ambientLight.intensity = 0.7;
-                    this.sunLight.intensity = 0.7;
-                    // Switch to Hell's Kingdom music
-                    this.gameMusic.pause();
-                    this.gameMusic.currentTime = 0;
-                    this.gameMusic.src = 'Hells Kingdom.ogg';
-                    setTimeout(() => {
-                        this.gameMusic.play().catch(e => console.log('Fairia music play failed:', e));
-                    }, 100);
-                    console.log('Switched to fairia dimension');
-                } else {
-                    this.world = new VoxelWorld('default');
-                    this.mesher = new BlockMesher(this.world, this.textureAtlas);
-                    if (this.itemManager) this.itemManager.world = this.world;
-                    this.player.position.copy(pos);
-                    this.player.velocity.set(0, 0, 0);
-                    this.scene.background = new THREE.Color(0x87CEEB); // sky blue
-                    // Restore default fog settings
-                    const savedFogEnabled = localStorage.getItem('fogEnabled');
-                    const fogEnabled = savedFogEnabled === null ? true : savedFogEnabled !== 'false';
-                    const fogDensityRaw = parseFloat(localStorage.getItem('fogDensity'));
-                    const density = Number.isFinite(fogDensityRaw) ? Math.min(Math.max(fogDensityRaw, 0.0), 0.05) : 0.01;
-                    this.scene.fog = fogEnabled ? new THREE.FogExp2(0x87CEEB, density) : null;
-                    this.ambientLight.intensity = 0.8;
-                    this.sunLight.intensity = 1.0;
-                    // Switch back to Posey music
-                    this.gameMusic.pause();
-                    this.gameMusic.currentTime = 0;
-                    this.gameMusic.src = 'Posey.ogg';
-                    setTimeout(() => {
-                        this.gameMusic.play().catch(e => console.log('Default music play failed:', e));
-                    }, 100);
-                    console.log('Returned to default dimension');
-                }
+                this.world = new VoxelWorld(this.world.worldType !== 'fairia' ? 'fairia' : 'default', this.world.seed);
+                this.mesher = new BlockMesher(this.world, this.textureAtlas);
+                if (this.itemManager) this.itemManager.world = this.world;
+                this.player.position.copy(pos);
+                this.player.velocity.set(0, 0, 0);
+                this.applyWorldAtmosphere();
+                console.log(this.world.worldType === 'fairia' ? 'Switched to fairia dimension' : 'Returned to default dimension');
                 // Force chunk reload
                 this.chunkMeshes = new Map();
                 this.chunkBounds = new Map();
@@ -4891,6 +5046,11 @@ class Game {
             // Toggle fly mode
             if (e.key === 'F6') {
                 e.preventDefault();
+                // Servers only let creative players fly
+                if (this.serverHost && this.survivalMode) {
+                    console.log('Fly mode is creative-only on servers');
+                    return;
+                }
                 this.player.flyMode = !this.player.flyMode;
                 this.player.velocity.y = 0; // Reset vertical velocity when toggling
                 console.log('Fly mode:', this.player.flyMode);
@@ -4898,6 +5058,13 @@ class Game {
             }
 
             this.player.keys[e.key.toLowerCase()] = true;
+
+            // Player list while L is held (online only)
+            if (e.key.toLowerCase() === 'l' && this.serverHost) {
+                e.preventDefault();
+                if (!this.playerListOpen) this.showPlayerList();
+                return;
+            }
             
             // Toggle inventory with E
             if (e.key.toLowerCase() === 'e') {
@@ -4971,6 +5138,7 @@ class Game {
 
         document.addEventListener('keyup', (e) => {
             this.player.keys[e.key.toLowerCase()] = false;
+            if (e.key.toLowerCase() === 'l' && this.playerListOpen) this.hidePlayerList();
         });
 
         // Mouse
@@ -4983,10 +5151,13 @@ class Game {
         });
 
         document.addEventListener('click', (e) => {
+            if (this.chatOpen) return;
             // Don't request pointer lock if clicking on inventory UI
             if (this._inventoryEl && this._inventoryEl.contains(e.target)) {
                 return;
             }
+            // Or on the replay controls
+            if (this._replayBarEl && this._replayBarEl.contains(e.target)) return;
             
             try {
                 const el = this.renderer && this.renderer.domElement;
@@ -5001,9 +5172,13 @@ class Game {
 
         // Mouse buttons
         document.addEventListener('mousedown', (e) => {
+            if (this.chatOpen || this.replay) return; // Replays are only watched
             if (e.button === 0) {
                 // Don't destroy block if chest or candle UI is open
                 if (this.openChestPos || this.opencandlePos) return;
+
+                // During a CTF match, hitting another player takes priority
+                if (this.attackRemotePlayer()) return;
                 
                 // In survival mode, try to attack pigman first
                 if (this.survivalMode) {
@@ -5598,9 +5773,13 @@ class Game {
         
         this.world.setBlock(hit.x, hit.y, hit.z, 0); // Set to air
         this.setCrosshairProgress(0);
+
+        // Sync block destruction to server
+        this.requestBlockChange(hit.x, hit.y, hit.z, 0, hit.blockType);
         
         // In survival mode, add broken block to inventory
-        if (this.survivalMode && hit.blockType !== 0 && hit.blockType !== 5) {
+        const isFlag = Object.values(Protocol.FLAG_BLOCKS).includes(hit.blockType); // Carried, not collected
+        if (this.survivalMode && hit.blockType !== 0 && hit.blockType !== 5 && !isFlag) {
             // Try to add to existing stack of same block type
             let added = false;
             for (let i = 0; i < this.player.inventory.length; i++) {
@@ -5637,22 +5816,137 @@ class Game {
         // Queue updates for adjacent chunks if on edge
         if (hit.x % this.world.chunkSize === 0) this.queueChunkMeshUpdate(cx - 1, cz);
         if (hit.z % this.world.chunkSize === 0) this.queueChunkMeshUpdate(cx, cz - 1);
+    }
 
-        // Sync block destruction to server
-        if (this.ws && this.ws.readyState === 1) {
-            try {
-                this.ws.send(JSON.stringify({
-                    type: 'blockChange',
-                    x: hit.x,
-                    y: hit.y,
-                    z: hit.z,
-                    blockType: 0
-                }));
-            } catch {}
+    // Melee hit on the closest remote player in front of us (CTF matches only)
+    attackRemotePlayer() {
+        if (!this.match || this.match.phase !== 'match' || !this.remotePlayerModels) return false;
+        const now = performance.now();
+        if (now - (this._lastPlayerAttackTime || 0) < 500) return false;
+
+        const camera = this.player.getCamera();
+        const direction = new THREE.Vector3(0, 0, -1);
+        direction.applyQuaternion(camera.quaternion);
+
+        const attackRange = 4;
+        let closestId = null;
+        let closestDistance = attackRange;
+        for (const [id, model] of this.remotePlayerModels) {
+            const data = this.remotePlayers.get(id);
+            if (!data) continue;
+            if (data.team === this.team && !this.match.friendlyFire) continue;
+
+            const toPlayer = model.position.clone().sub(camera.position);
+            const distance = toPlayer.length();
+            if (distance > attackRange) continue;
+            toPlayer.normalize();
+            if (direction.dot(toPlayer) > 0.7 && distance < closestDistance) { // ~45 degree cone
+                closestId = id;
+                closestDistance = distance;
+            }
         }
+        if (!closestId) return false;
+
+        this._lastPlayerAttackTime = now;
+        this.sendServerMessage(Protocol.MessageType.ATTACK, { target: closestId, damage: this.player.getAttackDamage() });
+        return true;
+    }
+
+    // Match state from a CTF server: phase changes, scores and flag carriers
+    applyMatchState(msg) {
+        const previousPhase = this.match ? this.match.phase : null;
+        this.match = { ...msg, endsAt: Date.now() + Protocol.toNumber(msg.remaining) };
+        this.player.pvpEnabled = msg.phase === 'match';
+        if (msg.phase === 'match' && previousPhase !== 'match' && !this.replay) this.respawnAtBase();
+        this.updateScoreboardUI();
+    }
+
+    respawnAtBase() {
+        const flag = this.match && this.match.flags && this.match.flags[this.team];
+        if (!flag) return;
+        this.player.position.set(flag.spawn.x, flag.spawn.y, flag.spawn.z);
+        this.player.velocity.set(0, 0, 0);
+        this.player.health = this.player.maxHealth;
+        this.player.isDead = false;
+        if (this.survivalMode) this.updateHealthBar();
+    }
+
+    // Another player hit us; the server already checked range and friendly-fire rules
+    handlePvpDamage(msg) {
+        if (!this.match || this.match.phase !== 'match') return;
+        // A wood shield reflection goes back through the server as our own attack
+        const attacker = {
+            takeDamage: (amount) => this.sendServerMessage(Protocol.MessageType.ATTACK, { target: msg.attacker, damage: amount })
+        };
+        this.player.takeDamage(Protocol.toNumber(msg.amount), attacker);
+        if (this.survivalMode) this.updateHealthBar();
+        if (this.player.isDead) {
+            if (this.isMountedOnPhinox) this.dismountPhinox();
+            this.sendServerMessage(Protocol.MessageType.DIED, { by: msg.attacker });
+            this.respawnAtBase();
+        }
+    }
+
+    createScoreboardUI() {
+        if (this._scoreboardEl) return;
+        const board = document.createElement('div');
+        board.id = 'ctf-scoreboard';
+        board.style.position = 'absolute';
+        board.style.top = '20px';
+        board.style.left = '50%';
+        board.style.transform = 'translateX(-50%)';
+        board.style.padding = '8px 20px';
+        board.style.background = 'rgba(0,0,0,0.7)';
+        board.style.borderRadius = '6px';
+        board.style.fontFamily = 'Arial, sans-serif';
+        board.style.textAlign = 'center';
+        board.style.color = '#fff';
+        board.style.zIndex = '150';
+        board.style.pointerEvents = 'none';
+        board.innerHTML = `
+            <div style="font-size:22px;font-weight:bold;">
+                <span style="color:#ff5555;">RED <span data-score="red">0</span></span>
+                &nbsp;-&nbsp;
+                <span style="color:#5599ff;"><span data-score="blue">0</span> BLUE</span>
+            </div>
+            <div data-field="status" style="font-size:14px;margin-top:4px;"></div>
+            <div data-field="flags" style="font-size:12px;margin-top:4px;color:#ccc;"></div>`;
+        document.body.appendChild(board);
+        this._scoreboardEl = board;
+    }
+
+    // Called on every match message and once per frame for the timer
+    updateScoreboardUI() {
+        if (!this.match) return;
+        this.createScoreboardUI();
+        const { phase, scores, flags, winner } = this.match;
+        const seconds = Math.max(0, Math.ceil((this.match.endsAt - Date.now()) / 1000));
+        const clock = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        const status = {
+            lobby: 'Waiting for players on both teams',
+            countdown: `Match starts in ${seconds}s`,
+            match: `Capture the flag - ${clock}`,
+            results: winner === 'draw' ? 'Draw!' : `${(winner || '').toUpperCase()} team wins!`
+        }[phase] || phase;
+
+        const flagText = (team) => {
+            const flag = flags && flags[team];
+            if (!flag || !flag.carrier) return `${team} flag: home`;
+            const carrier = flag.carrier === this.playerId ? 'you' : ((this.remotePlayers.get(flag.carrier) || {}).name || 'someone');
+            return `${team} flag: carried by ${carrier}`;
+        };
+        const text = `${scores.red}|${scores.blue}|${status}|${phase === 'match' ? flagText('red') + ' · ' + flagText('blue') : ''}`;
+        if (text === this._scoreboardText) return;
+        this._scoreboardText = text;
+
+        this._scoreboardEl.querySelector('[data-score="red"]').textContent = scores.red;
+        this._scoreboardEl.querySelector('[data-score="blue"]').textContent = scores.blue;
+        this._scoreboardEl.querySelector('[data-field="status"]').textContent = status;
+        this._scoreboardEl.querySelector('[data-field="flags"]').textContent = phase === 'match' ? `${flagText('red')} · ${flagText('blue')}` : '';
     }
 
     attackPigman() {
+        if (this.serverMobsActive) return this.attackServerMob();
         if (!this.pigmen || this.pigmen.length === 0) return false;
 
         const camera = this.player.getCamera();
@@ -5865,6 +6159,9 @@ class Game {
                 }
                 
                 this.world.setBlock(px, py, pz, this.player.selectedBlock);
+
+                // Sync block placement to server
+                this.requestBlockChange(px, py, pz, this.player.selectedBlock, 0);
                 
                 // Torch placement now relies on block-light propagation (no runtime PointLight)
                 if (this.player.selectedBlock === 25) {
@@ -5891,19 +6188,6 @@ class Game {
                 // Queue updates for adjacent chunks if on edge
                 if (px % this.world.chunkSize === 0) this.queueChunkMeshUpdate(cx - 1, cz);
                 if (pz % this.world.chunkSize === 0) this.queueChunkMeshUpdate(cx, cz - 1);
-
-                // Sync block placement to server
-                if (this.ws && this.ws.readyState === 1) {
-                    try {
-                        this.ws.send(JSON.stringify({
-                            type: 'blockChange',
-                            x: px,
-                            y: py,
-                            z: pz,
-                            blockType: this.player.selectedBlock
-                        }));
-                    } catch {}
-                }
             }
         }
     }
@@ -6370,24 +6654,8 @@ class Game {
             craftTitle.style.marginBottom = '8px';
             craftingContainer.appendChild(craftTitle);
 
-            // Store recipes on the instance so we can refresh availability later
-            this._recipes = [
-                { inputs: { 6: 1 }, result: 13, resultAmount: 2, name: '1 Wood → 2 Planks' },
-                { inputs: { 13: 2 }, result: 15, resultAmount: 1, name: '2 Planks → 1 Stick' },
-                { inputs: { 13: 1 }, result: 14, resultAmount: 1, name: '1 Plank → 1 Paper' },
-                { inputs: { 14: 1, 15: 1 }, result: 16, resultAmount: 1, name: '1 Paper + 1 Stick → 1 Scroll' },
-                { inputs: { 17: 2 }, result: 21, resultAmount: 1, name: '2 Pork → Leather Boots' },
-                { inputs: { 17: 3 }, result: 20, resultAmount: 1, name: '3 Pork → Leather Leggings' },
-                { inputs: { 17: 4 }, result: 18, resultAmount: 1, name: '4 Pork → Leather Helmet' },
-                { inputs: { 17: 5 }, result: 19, resultAmount: 1, name: '5 Pork → Leather Chestplate' },
-                { inputs: { 3: 2, 15: 1 }, result: 22, resultAmount: 1, name: '2 Stone + 1 Stick → Stone Sword' },
-                { inputs: { 15: 1, 24: 1 }, result: 25, resultAmount: 1, name: '1 Stick + 1 Coal → 1 Torch' },
-                { inputs: { 16: 1, 8: 1, 27: 1 }, result: 28, resultAmount: 1, name: '1 Scroll + 1 Ruby + 1 Mana Orb → 1 Fortitudo Scroll' },
-                { inputs: { 16: 1, 8: 1 }, result: 35, resultAmount: 1, name: '1 Scroll + 1 Ruby → 1 Smiteth Scroll' },
-                { inputs: { 1: 1, 27: 1 }, result: 36, resultAmount: 1, name: '1 Dirt + 1 Mana Orb → 1 Gloom' },
-                { inputs: { 3: 1, 13: 1 }, result: 30, resultAmount: 1, name: '1 Stone + 1 Plank → 1 Chisel' },
-                { inputs: { 1: 5 }, result: 31, resultAmount: 1, name: '5 Dirt → 1 Cloud Pillow' }
-            ];
+            // Store recipes on the instance so we can refresh availability later (shared with the server)
+            this._recipes = Protocol.RECIPES;
 
             // Create recipe list
             const recipeList = document.createElement('div');
@@ -6601,6 +6869,7 @@ class Game {
                         this.updateInventoryUI();
                         // Refresh container UI to reflect changes
                         this.refreshContainerUI(sourceData.chestKey);
+                        this.commitContainerEdits(sourceData.chestKey);
                     }
                 } catch (err) {
                     console.error('Chest drop error:', err);
@@ -7318,6 +7587,24 @@ class Game {
         }
     }
 
+    removeFromInventory(blockType, amount) {
+        // Remove items from inventory, emptying stacks as they run out
+        let remaining = amount;
+        for (let i = 0; i < this.player.inventory.length && remaining > 0; i++) {
+            const item = this.player.inventory[i];
+            if (item && typeof item === 'object' && item.type === blockType) {
+                const toTake = Math.min(item.amount, remaining);
+                item.amount -= toTake;
+                remaining -= toTake;
+                if (item.amount <= 0) this.player.inventory[i] = 0;
+            } else if (item === blockType) {
+                this.player.inventory[i] = 0;
+                remaining--;
+            }
+        }
+        return amount - remaining;
+    }
+
     setCrosshairProgress(progress) {
         const p = Math.max(0, Math.min(1, progress || 0));
         if (this.crosshairProgress === p) return;
@@ -7438,6 +7725,8 @@ class Game {
 
         // Add crafted item to inventory
         this.addToInventory(recipe.result, recipe.resultAmount);
+        // The server checks the same inputs against its copy of our inventory
+        this.sendServerMessage(Protocol.MessageType.CRAFT, { recipe: Protocol.RECIPES.indexOf(recipe) });
         console.log(`Crafted ${recipe.name}`);
         this.updateInventoryUI();
     }
@@ -7591,6 +7880,320 @@ class Game {
         }
     }
 
+    // Overlay listing everyone on the server (this room) with team color, name and ping
+    createPlayerListUI() {
+        if (this._playerListEl) return;
+        const el = document.createElement('div');
+        el.id = 'player-list';
+        el.style.position = 'absolute';
+        el.style.top = '60px';
+        el.style.left = '50%';
+        el.style.transform = 'translateX(-50%)';
+        el.style.minWidth = '280px';
+        el.style.padding = '10px 14px';
+        el.style.background = 'rgba(0,0,0,0.7)';
+        el.style.border = '1px solid #555';
+        el.style.borderRadius = '6px';
+        el.style.color = '#fff';
+        el.style.fontFamily = 'Arial, sans-serif';
+        el.style.fontSize = '14px';
+        el.style.zIndex = '160';
+        el.style.pointerEvents = 'none';
+        el.style.display = 'none';
+        document.body.appendChild(el);
+        this._playerListEl = el;
+    }
+
+    showPlayerList() {
+        this.createPlayerListUI();
+        this.playerListOpen = true;
+        this.renderPlayerList();
+        this._playerListEl.style.display = 'block';
+    }
+
+    hidePlayerList() {
+        this.playerListOpen = false;
+        if (this._playerListEl) this._playerListEl.style.display = 'none';
+    }
+
+    renderPlayerList() {
+        const el = this._playerListEl;
+        el.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '6px';
+        title.style.textAlign = 'center';
+        const room = this.serverRoom ? ` - ${this.serverRoom}` : '';
+        title.textContent = `${this.serverHost}:${this.serverPort}${room}`;
+        el.appendChild(title);
+
+        const players = [{ id: this.playerId, name: this.playerName, team: this.team, self: true }];
+        for (const p of this.remotePlayers.values()) players.push(p);
+        players.sort((a, b) => a.team === b.team ? String(a.name).localeCompare(String(b.name)) : (a.team === 'red' ? -1 : 1));
+
+        for (const p of players) {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.justifyContent = 'space-between';
+            row.style.gap = '24px';
+            row.style.padding = '2px 0';
+
+            const name = document.createElement('span');
+            name.style.color = p.team === 'blue' ? '#6699ff' : '#ff6666';
+            name.textContent = `\u25A0 ${p.name}${p.self ? ' (you)' : ''}`;
+            row.appendChild(name);
+
+            // Green under 100 ms, yellow under 250, red above
+            const ping = this.playerPings.get(p.id);
+            const latency = document.createElement('span');
+            latency.style.color = ping === undefined ? '#888' : ping < 100 ? '#66ff66' : ping < 250 ? '#ffcc00' : '#ff5555';
+            latency.textContent = ping === undefined ? '-' : `${ping} ms`;
+            row.appendChild(latency);
+
+            el.appendChild(row);
+        }
+    }
+
+    createChatUI() {
+        if (this._chatEl) return;
+
+        const chat = document.createElement('div');
+        chat.id = 'chat';
+        chat.style.position = 'absolute';
+        chat.style.left = '20px';
+        chat.style.bottom = '90px';
+        chat.style.width = '420px';
+        chat.style.zIndex = '150';
+        chat.style.fontFamily = 'Arial, sans-serif';
+        chat.style.fontSize = '14px';
+        chat.style.pointerEvents = 'none';
+
+        const log = document.createElement('div');
+        log.style.maxHeight = '240px';
+        log.style.overflowY = 'hidden';
+        log.style.display = 'flex';
+        log.style.flexDirection = 'column';
+        log.style.justifyContent = 'flex-end';
+        chat.appendChild(log);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = Protocol.MAX_CHAT_LENGTH;
+        input.placeholder = 'Say something, or /help';
+        input.style.width = '100%';
+        input.style.marginTop = '6px';
+        input.style.padding = '6px 8px';
+        input.style.background = 'rgba(0,0,0,0.7)';
+        input.style.border = '1px solid #888';
+        input.style.borderRadius = '4px';
+        input.style.color = '#fff';
+        input.style.fontSize = '14px';
+        input.style.display = 'none';
+        input.style.pointerEvents = 'auto';
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                const text = input.value;
+                this.closeChat();
+                this.submitChat(text);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeChat();
+            }
+        });
+        chat.appendChild(input);
+
+        document.body.appendChild(chat);
+        this._chatEl = chat;
+        this._chatLogEl = log;
+        this._chatInputEl = input;
+    }
+
+    openChat(prefill = '') {
+        this.createChatUI();
+        this.chatOpen = true;
+        this.player.keys = {}; // Stop walking while typing
+        this._chatInputEl.value = prefill;
+        this._chatInputEl.style.display = 'block';
+        // While typing, show the whole recent log
+        for (const line of this._chatLogEl.children) line.style.opacity = '1';
+        try { document.exitPointerLock(); } catch (e) {}
+        setTimeout(() => this._chatInputEl.focus(), 0);
+    }
+
+    closeChat() {
+        if (!this._chatEl) return;
+        this.chatOpen = false;
+        this._chatInputEl.value = '';
+        this._chatInputEl.style.display = 'none';
+        this._chatInputEl.blur();
+        for (const line of this._chatLogEl.children) {
+            if (line._faded) line.style.opacity = '0';
+        }
+        try {
+            const el = this.renderer && this.renderer.domElement;
+            if (el && document.body.contains(el) && typeof el.requestPointerLock === 'function') el.requestPointerLock();
+        } catch (e) {}
+    }
+
+    // Append a line to the chat log; it fades out after a while unless the chat is open
+    // Chat line from a server: a player's, or a notice when id is null
+    addServerChatMessage(msg) {
+        if (typeof msg.text !== 'string') return;
+        const from = msg.id ? `<${msg.name}> ` : '[Server] ';
+        this.addChatMessage(from + msg.text, msg.id ? '#fff' : '#ff8');
+    }
+
+    addChatMessage(text, color = '#fff') {
+        this.createChatUI();
+        const line = document.createElement('div');
+        line.textContent = text;
+        line.style.color = color;
+        line.style.background = 'rgba(0,0,0,0.5)';
+        line.style.padding = '2px 6px';
+        line.style.marginTop = '2px';
+        line.style.borderRadius = '3px';
+        line.style.textShadow = '1px 1px 1px #000';
+        line.style.wordBreak = 'break-word';
+        line.style.transition = 'opacity 1s';
+        this._chatLogEl.appendChild(line);
+
+        // Keep the last 50 lines
+        while (this._chatLogEl.children.length > 50) {
+            this._chatLogEl.removeChild(this._chatLogEl.firstChild);
+        }
+
+        setTimeout(() => {
+            line._faded = true;
+            if (!this.chatOpen) line.style.opacity = '0';
+        }, 10000);
+    }
+
+    // Text typed into the chat box: commands run locally in single-player; online, everything
+    // (including admin commands such as /kick) goes to the server
+    submitChat(text) {
+        const trimmed = Protocol.sanitizeChat(text);
+        if (!trimmed) return;
+
+        const online = this.ws && this.ws.readyState === 1;
+        if (trimmed.startsWith('/') && !online) {
+            this.runChatCommand(trimmed);
+            return;
+        }
+
+        if (online) {
+            // Shown when the server echoes it back
+            this.sendServerMessage(Protocol.MessageType.CHAT, { text: trimmed });
+        } else {
+            this.addChatMessage(`<${this.playerName}> ${trimmed}`);
+        }
+    }
+
+    // Look up a block/item id by number or by name from blockNames ("mana orb", "mana_orb", "27")
+    findBlockType(name) {
+        const id = Number(name);
+        if (Number.isInteger(id)) return this.blockNames[id] !== undefined && id !== 0 ? id : null;
+        const wanted = String(name).toLowerCase().replace(/_/g, ' ');
+        for (const [type, blockName] of Object.entries(this.blockNames)) {
+            if (Number(type) !== 0 && blockName.toLowerCase() === wanted) return Number(type);
+        }
+        return null;
+    }
+
+    runChatCommand(text) {
+        const [command, ...args] = text.slice(1).split(/\s+/);
+        const reply = (msg) => this.addChatMessage(msg, '#ff8');
+        const fail = (msg) => this.addChatMessage(msg, '#f88');
+        const pos = this.player.position;
+
+        switch (command.toLowerCase()) {
+            case 'help':
+                reply('/tp <x> <y> <z> (~ for current), /give <block> [n], /time set <day|noon|night|midnight|0-1>');
+                reply('/spawn <pigman|minutor|priest|phinox>, /dimension [astral|overworld]');
+                break;
+
+            case 'tp': {
+                // "~" keeps the current coordinate, "~5" is relative to it
+                const coords = args.slice(0, 3).map((arg, i) => {
+                    const current = [pos.x, pos.y, pos.z][i];
+                    if (arg && arg.startsWith('~')) return current + (arg.length > 1 ? Number(arg.slice(1)) : 0);
+                    return Number(arg);
+                });
+                if (args.length < 3 || !coords.every(Number.isFinite)) {
+                    fail('Usage: /tp <x> <y> <z>');
+                    break;
+                }
+                pos.set(coords[0], coords[1], coords[2]);
+                this.player.velocity.set(0, 0, 0);
+                reply(`Teleported to ${coords.map(c => c.toFixed(1)).join(', ')}`);
+                break;
+            }
+
+            case 'give': {
+                const amount = args.length > 1 && /^\d+$/.test(args[args.length - 1]) ? parseInt(args.pop(), 10) : 1;
+                const blockType = this.findBlockType(args.join(' '));
+                if (!args.length || blockType === null || amount < 1) {
+                    fail('Usage: /give <block name or id> [amount]');
+                    break;
+                }
+                this.giveCreativeItem(blockType, amount);
+                reply(`Gave ${amount} ${this.blockNames[blockType]}`);
+                break;
+            }
+
+            case 'time': {
+                const presets = { day: 0.25, noon: 0.5, night: 0.75, midnight: 0.0 };
+                const value = args[1] in presets ? presets[args[1]] : Number(args[1]);
+                if (args[0] !== 'set' || !Number.isFinite(value) || value < 0 || value > 1) {
+                    fail('Usage: /time set <day|noon|night|midnight|0-1>');
+                    break;
+                }
+                this.dayTime = value % 1;
+                reply(`Time set to ${args[1]}`);
+                break;
+            }
+
+            case 'spawn': {
+                const mob = (args[0] || '').toLowerCase();
+                if (mob === 'pigman') {
+                    this.spawnPigmanAt(pos.x, pos.z);
+                } else if (mob === 'minutor' || mob === 'minotaur') {
+                    this.spawnMinutorAt(pos.x, this.world.getTerrainHeight(Math.floor(pos.x), Math.floor(pos.z)), pos.z);
+                } else if (mob === 'priest') {
+                    this.spawnPigmanPriest();
+                } else if (mob === 'phinox') {
+                    this.spawnPhinox();
+                } else {
+                    fail('Usage: /spawn <pigman|minutor|priest|phinox>');
+                    break;
+                }
+                reply(`Spawned ${mob}`);
+                break;
+            }
+
+            case 'dimension': {
+                const target = (args[0] || (this.inAstralDimension ? 'overworld' : 'astral')).toLowerCase();
+                if (target === 'astral') {
+                    if (this.inAstralDimension) { fail('Already in the astral dimension'); break; }
+                    this.enterAstralDimension(true);
+                    reply('Entered the astral dimension');
+                } else if (target === 'overworld') {
+                    if (!this.inAstralDimension) { fail('Already in the overworld'); break; }
+                    this.exitAstralDimension();
+                    reply('Returned to the overworld');
+                } else {
+                    fail('Usage: /dimension [astral|overworld]');
+                }
+                break;
+            }
+
+            default:
+                fail(`Unknown command: /${command} (try /help)`);
+                break;
+        }
+    }
+
     createCreativeMenu() {
         if (this._creativeMenuEl) return;
 
@@ -7968,22 +8571,15 @@ class Game {
     openChest(cx, cy, cz) {
         const chestKey = `${cx},${cy},${cz}`;
         
-        // Initialize chest storage if not exists
+        // Initialize chest storage if not exists (the dungeon room chest comes with loot)
         if (!this.chestStorage.has(chestKey)) {
-            const chestInv = new Array(20).fill(0);
-            
-            // Add special loot to room chest (in maze at y=20)
-            if (cy === 20 && cx >= -12 && cx <= 11 && cz >= -12 && cz <= 11) {
-                chestInv[0] = { type: 27, amount: 1 }; // Mana Orb
-                chestInv[1] = { type: 27, amount: 1 }; // Mana Orb (2 total)
-            }
-            
-            this.chestStorage.set(chestKey, chestInv);
+            this.chestStorage.set(chestKey, this.world.initialContainerSlots('chest', cx, cy, cz));
         }
 
         this.createInventoryUI();
         if (this._inventoryEl) this._inventoryEl.style.display = 'block';
         this.openChestPos = chestKey;
+        this.sendContainerOpen(chestKey);
         try { document.exitPointerLock(); } catch (e) {}
         this.createChestUI(cx, cy, cz);
     }
@@ -7992,11 +8588,12 @@ class Game {
         const key = `${cx},${cy},${cz}`;
         if (!this.candleStorage.has(key)) {
             // 3 slots: armor/tools, scrolls, result
-            this.candleStorage.set(key, new Array(3).fill(0));
+            this.candleStorage.set(key, this.world.initialContainerSlots('candle', cx, cy, cz));
         }
         this.createInventoryUI();
         if (this._inventoryEl) this._inventoryEl.style.display = 'block';
         this.opencandlePos = key;
+        this.sendContainerOpen(key);
         try { document.exitPointerLock(); } catch (e) {}
         this.createcandleUI(cx, cy, cz);
     }
@@ -8135,6 +8732,7 @@ class Game {
                         slot.title = updatedAmount > 1 ? `×${updatedAmount}` : '';
                     }
                     this.updateInventoryUI();
+                    this.commitContainerEdits(chestKey);
                 }
             });
             
@@ -8372,6 +8970,7 @@ class Game {
                         slot.title = label;
                     }
                     this.updateInventoryUI();
+                    this.commitContainerEdits(candleKey);
                 }
             });
 
@@ -8401,6 +9000,7 @@ class Game {
     closeChestUI() {
         const chestWindow = document.getElementById('chest-ui');
         if (chestWindow) chestWindow.style.display = 'none';
+        this.sendContainerClose(this.openChestPos);
         this.openChestPos = null;
         if (!this.opencandlePos) this.inventoryOpen = false;
     }
@@ -8408,6 +9008,7 @@ class Game {
     closecandleUI() {
         const candleWindow = document.getElementById('candle-ui');
         if (candleWindow) candleWindow.style.display = 'none';
+        this.sendContainerClose(this.opencandlePos);
         this.opencandlePos = null;
         if (!this.openChestPos) this.inventoryOpen = false;
     }
@@ -8458,8 +9059,10 @@ class Game {
                 if (this.candleStorage.has(sourceData.chestKey)) this.tryProcesscandle(sourceData.chestKey);
 
                 this.refreshContainerUI(chestKey);
+                this.commitContainerEdits(chestKey);
                 if (sourceData.chestKey !== chestKey) {
                     this.refreshContainerUI(sourceData.chestKey);
+                    this.commitContainerEdits(sourceData.chestKey);
                 }
             }
             return;
@@ -8478,6 +9081,7 @@ class Game {
 
             this.refreshContainerUI(chestKey);
             this.updateInventoryUI();
+            this.commitContainerEdits(chestKey);
         }
     }
 
@@ -8518,7 +9122,9 @@ class Game {
         respawnBtn.style.cursor = 'pointer';
         respawnBtn.style.marginRight = '16px';
         respawnBtn.addEventListener('click', () => {
-            // Respawn player
+            // Respawn player; the server has to know before we jump back to spawn
+            if (this.isMountedOnPhinox) this.dismountPhinox();
+            this.sendServerMessage(Protocol.MessageType.DIED, { by: null }); // Dropped when offline
             this.player.health = this.player.maxHealth;
             this.player.isDead = false;
             this.player.position.set(0, 70, 0);
@@ -8550,6 +9156,7 @@ class Game {
             const saveData = {
                 version: 1,
                 worldType: this.world.worldType,
+                seed: this.world.seed,
                 survivalMode: this.survivalMode,
                 timestamp: Date.now(),
                 playerPosition: {
@@ -8575,7 +9182,7 @@ class Game {
             for (const [key, chunk] of this.world.chunks.entries()) {
                 if (chunk.modified && chunk.playerModified) {
                     // Convert to base64 to reduce JSON size
-                    const blockString = btoa(String.fromCharCode.apply(null, chunk.blocks));
+                    const blockString = this.world.encodeChunkBlocks(chunk.cx, chunk.cz);
                     saveData.chunks[key] = {
                         cx: chunk.cx,
                         cz: chunk.cz,
@@ -8756,15 +9363,16 @@ class Game {
         };
     }
 
-    enterAstralDimension() {
+    // force skips the Cloud Pillow and night-time requirements (used by /dimension)
+    enterAstralDimension(force = false) {
         if (this.inAstralDimension) return;
-        if (!this.hasCloudPillowEquipped()) return;
-        if (!this.isNightTime()) return;
+        if (!force && !this.hasCloudPillowEquipped()) return;
+        if (!force && !this.isNightTime()) return;
 
         this.astralReturnState = this.saveDimensionState();
 
         // Switch to astral world (floating islands, always night)
-        this.world = new VoxelWorld('astral');
+        this.world = new VoxelWorld('astral', this.world.seed);
         this.dayTime = 0.75;
         this.inAstralDimension = true;
         this.chunkMeshes = new Map();
@@ -8898,7 +9506,18 @@ class Game {
             
             // Update player
             this.player.update(this.world, deltaTime);
+
+            // Blend in any server position correction over a few frames
+            if (this.reconcileOffset && this.reconcileOffset.lengthSq() > 1e-6) {
+                const step = this.reconcileOffset.clone().multiplyScalar(0.2);
+                this.player.position.add(step);
+                this.reconcileOffset.sub(step);
+            }
+            // Play the recording up to the current playback position
+            if (this.replay) this.updateReplay(deltaTime);
+
             // Update hostile mobs
+            this.updateServerMobs();
             this.updatePigmen(deltaTime);
             if (this.pigmanPriest && !this.pigmanPriest.isDead) {
                 this.pigmanPriest.update(this.world, this.player, deltaTime);
@@ -9019,13 +9638,15 @@ class Game {
                 });
             }
 
-            // Update remote player models from server
+            // Update remote player models from server, interpolated between buffered snapshots
             if (this.remotePlayers && this.remotePlayerModels) {
+                const renderTime = this.serverRenderTime(this.interpolationDelay);
                 for (const [id, playerData] of this.remotePlayers.entries()) {
                     const model = this.remotePlayerModels.get(id);
                     if (model && playerData) {
-                        model.position.set(playerData.x || 0, playerData.y || 70, playerData.z || 0);
-                        model.rotation.y = playerData.yaw || 0;
+                        const state = this.interpolateRemotePlayer(playerData, renderTime);
+                        model.position.set(state.x || 0, state.y || 70, state.z || 0);
+                        model.rotation.y = state.yaw || 0;
                         // Make name label face camera
                         model.children.forEach(child => {
                             if (child.userData.isNameLabel) {
@@ -9049,6 +9670,7 @@ class Game {
             }
 
             this.updateUI();
+            if (this.match) this.updateScoreboardUI();
             
             // Update health bar in survival mode
             if (this.survivalMode) {
@@ -9057,15 +9679,15 @@ class Game {
 
             // Periodically send our player state to server
             if (this.ws && this.ws.readyState === 1) {
-                try {
-                    this.ws.send(JSON.stringify({
-                        type: 'state',
-                        x: this.player.position.x,
-                        y: this.player.position.y,
-                        z: this.player.position.z,
-                        yaw: this.player.yaw
-                    }));
-                } catch {}
+                const now = performance.now();
+                if (now - this.lastStateSentAt >= Protocol.STATE_INTERVAL_MS) {
+                    this.lastStateSentAt = now;
+                    this.sendPlayerState();
+                }
+                if (this.playerId && now - this.lastPingSentAt >= Protocol.PING_INTERVAL_MS) {
+                    this.lastPingSentAt = now;
+                    this.sendPing();
+                }
             }
         } catch (e) {
             console.error('Animation error:', e);
@@ -9073,6 +9695,15 @@ class Game {
     };
 }
 
+// Server to connect to when none was entered: the one that served this page (node index.js serves
+// the client), or localhost:8080 when the page came from somewhere else
+function defaultServerAddress() {
+    if (location.protocol === 'http:' || location.protocol === 'https:') {
+        return { host: location.hostname, port: parseInt(location.port, 10) || (location.protocol === 'https:' ? 443 : 80) };
+    }
+    return { host: 'localhost', port: 8080 };
+}
+
 // Start game when page loads
 window.addEventListener('load', () => {
     console.log('Window load event fired');
@@ -9080,7 +9711,7 @@ window.addEventListener('load', () => {
     console.log('SimplexNoise available:', typeof SimplexNoise !== 'undefined');
 
     if (location.protocol === 'file:') {
-        console.warn('Running from file:// — browser will block loading local resources (textures, audio). Start a simple local HTTP server to avoid CORS issues (example: `python -m http.server`).');
+        console.warn('Running from file:// — browser will block loading local resources (textures, audio). Start the game server with `node index.js` and open http://localhost:8080 instead.');
     }
 
     // Create menu music
@@ -9236,6 +9867,27 @@ window.addEventListener('load', () => {
     title.style.textShadow = '2px 2px 4px rgba(0,0,0,0.5)';
     menu.appendChild(title);
 
+    // Why the last server sent us back here (set by the reject handler before reloading)
+    const rejection = sessionStorage.getItem('serverRejection');
+    if (rejection) {
+        sessionStorage.removeItem('serverRejection');
+        try {
+            const { reason, message, server } = JSON.parse(rejection);
+            const banner = document.createElement('div');
+            banner.textContent = `Disconnected from ${server}: ${message || reason}`;
+            banner.style.color = '#fff';
+            banner.style.background = 'rgba(160,30,30,0.85)';
+            banner.style.border = '1px solid #f66';
+            banner.style.borderRadius = '4px';
+            banner.style.padding = '8px 12px';
+            banner.style.margin = '-24px auto 20px';
+            banner.style.maxWidth = '360px';
+            menu.appendChild(banner);
+        } catch (e) {
+            console.warn('Bad rejection info:', e);
+        }
+    }
+
     // Main menu container (initially visible)
     const mainMenuContainer = document.createElement('div');
     mainMenuContainer.id = 'main-menu-container';
@@ -9321,6 +9973,21 @@ window.addEventListener('load', () => {
     emailInput.style.marginLeft = '4px';
     emailLabel.appendChild(emailInput);
     emailRow.appendChild(emailLabel);
+    // Key handed out by a server operator (/account create); unlocks that server's cosmetics
+    const keyLabel = document.createElement('label');
+    keyLabel.style.color = '#fff';
+    keyLabel.style.display = 'block';
+    keyLabel.style.marginTop = '6px';
+    keyLabel.textContent = 'Account key: ';
+    const keyInput = document.createElement('input');
+    keyInput.type = 'password';
+    keyInput.id = 'account-key-input';
+    keyInput.placeholder = 'From the server operator';
+    keyInput.value = localStorage.getItem('accountKey') || '';
+    keyInput.style.padding = '4px';
+    keyInput.style.marginLeft = '4px';
+    keyLabel.appendChild(keyInput);
+    emailRow.appendChild(keyLabel);
     settingsContainer.appendChild(emailRow);
 
     // Email toggle button
@@ -9485,6 +10152,7 @@ window.addEventListener('load', () => {
     settingsContainer.appendChild(serverLabel);
 
     // Server host input
+    const defaultServer = defaultServerAddress();
     const hostRow = document.createElement('div');
     hostRow.style.margin = '8px 0';
     hostRow.style.display = 'none';
@@ -9495,8 +10163,8 @@ window.addEventListener('load', () => {
     const hostInput = document.createElement('input');
     hostInput.type = 'text';
     hostInput.id = 'menu-server-host';
-    hostInput.placeholder = 'localhost';
-    hostInput.value = localStorage.getItem('serverHost') || 'localhost';
+    hostInput.placeholder = defaultServer.host;
+    hostInput.value = localStorage.getItem('serverHost') || defaultServer.host;
     hostInput.style.padding = '4px';
     hostInput.style.marginLeft = '4px';
     hostInput.style.width = '150px';
@@ -9515,8 +10183,8 @@ window.addEventListener('load', () => {
     const portInput = document.createElement('input');
     portInput.type = 'number';
     portInput.id = 'menu-server-port';
-    portInput.placeholder = '8080';
-    portInput.value = localStorage.getItem('serverPort') || '8080';
+    portInput.placeholder = String(defaultServer.port);
+    portInput.value = localStorage.getItem('serverPort') || defaultServer.port;
     portInput.style.padding = '4px';
     portInput.style.marginLeft = '4px';
     portInput.style.width = '100px';
@@ -9566,6 +10234,62 @@ window.addEventListener('load', () => {
     serverList.id = 'server-list';
     serverList.style.marginTop = '8px';
     
+    // Start an online game on host:port; room null joins the server's first room
+    function joinServer(host, port, room = null) {
+        const playerName = document.getElementById('player-name-input').value || 'Player';
+        const playerEmail = document.getElementById('player-email-input').value || '';
+        const accountKey = document.getElementById('account-key-input').value || '';
+        localStorage.setItem('playerName', playerName);
+        localStorage.setItem('playerEmail', playerEmail);
+        localStorage.setItem('accountKey', accountKey);
+        localStorage.setItem('serverHost', host);
+        localStorage.setItem('serverPort', port);
+        document.body.removeChild(menu);
+        const game = new Game('default', false, 'red', playerName, false, null, playerEmail, accountKey);
+        window._game = game;
+        game.connectServer(host, port, room);
+    }
+
+    // List a server's rooms (GET /rooms) under its entry, each with its own Join button.
+    // Servers that can't be reached (or predate rooms) just show no list.
+    function loadServerRooms(server, roomList) {
+        const scheme = location.protocol === 'https:' ? 'https' : 'http';
+        fetch(`${scheme}://${server.host}:${server.port}/rooms`)
+            .then(res => res.ok ? res.json() : [])
+            .then(rooms => {
+                if (!Array.isArray(rooms)) return;
+                rooms.forEach(room => {
+                    const roomDiv = document.createElement('div');
+                    roomDiv.style.display = 'flex';
+                    roomDiv.style.justifyContent = 'space-between';
+                    roomDiv.style.alignItems = 'center';
+                    roomDiv.style.margin = '3px 0 0 10px';
+
+                    const label = document.createElement('span');
+                    label.style.color = '#888';
+                    label.style.fontSize = '10px';
+                    const count = Number(room.players) || 0;
+                    label.textContent = `${room.name} (${room.worldType}, ${room.mode}) - ${count} player${count === 1 ? '' : 's'}`;
+                    roomDiv.appendChild(label);
+
+                    const roomJoinBtn = document.createElement('button');
+                    roomJoinBtn.textContent = 'Join';
+                    roomJoinBtn.style.padding = '1px 6px';
+                    roomJoinBtn.style.fontSize = '10px';
+                    roomJoinBtn.style.background = '#00aa00';
+                    roomJoinBtn.style.color = '#fff';
+                    roomJoinBtn.style.border = 'none';
+                    roomJoinBtn.style.borderRadius = '3px';
+                    roomJoinBtn.style.cursor = 'pointer';
+                    roomJoinBtn.addEventListener('click', () => joinServer(server.host, server.port, room.name));
+                    roomDiv.appendChild(roomJoinBtn);
+
+                    roomList.appendChild(roomDiv);
+                });
+            })
+            .catch(() => {});
+    }
+
     function renderSavedServers() {
         serverList.innerHTML = '';
         if (savedServers.length === 0) {
@@ -9618,19 +10342,8 @@ window.addEventListener('load', () => {
                 joinBtn.style.border = 'none';
                 joinBtn.style.borderRadius = '3px';
                 joinBtn.style.cursor = 'pointer';
-                joinBtn.addEventListener('click', () => {
-                    // Start game and connect to this server
-                    const playerName = document.getElementById('player-name-input').value || 'Player';
-                    const playerEmail = document.getElementById('player-email-input').value || '';
-                    localStorage.setItem('playerName', playerName);
-                    localStorage.setItem('playerEmail', playerEmail);
-                    localStorage.setItem('serverHost', server.host);
-                    localStorage.setItem('serverPort', server.port);
-                    document.body.removeChild(menu);
-                    const game = new Game('default', false, 'red', playerName);
-                    window._game = game;
-                    game.connectServer(server.host, server.port);
-                });
+                // Start game and connect to this server (its default room)
+                joinBtn.addEventListener('click', () => joinServer(server.host, server.port));
                 serverDiv.appendChild(joinBtn);
                 
                 const delBtn = document.createElement('button');
@@ -9650,6 +10363,11 @@ window.addEventListener('load', () => {
                 serverDiv.appendChild(delBtn);
                 
                 serverList.appendChild(serverDiv);
+
+                const roomList = document.createElement('div');
+                roomList.style.marginBottom = '4px';
+                serverList.appendChild(roomList);
+                loadServerRooms(server, roomList);
             });
         }
     }
@@ -9674,8 +10392,8 @@ window.addEventListener('load', () => {
     saveBtn.style.borderRadius = '3px';
     saveBtn.style.cursor = 'pointer';
     saveBtn.addEventListener('click', () => {
-        const host = document.getElementById('menu-server-host').value || 'localhost';
-        const port = parseInt(document.getElementById('menu-server-port').value, 10) || 8080;
+        const host = document.getElementById('menu-server-host').value || defaultServer.host;
+        const port = parseInt(document.getElementById('menu-server-port').value, 10) || defaultServer.port;
         const name = `${host}:${port}`;
         
         // Check if already saved
@@ -9700,18 +10418,9 @@ window.addEventListener('load', () => {
     joinServerBtn.style.cursor = 'pointer';
     joinServerBtn.addEventListener('click', () => {
         // Start game and connect to this server
-        const host = document.getElementById('menu-server-host').value || 'localhost';
-        const port = parseInt(document.getElementById('menu-server-port').value, 10) || 8080;
-        const playerName = document.getElementById('player-name-input').value || 'Player';
-        const playerEmail = document.getElementById('player-email-input').value || '';
-        localStorage.setItem('playerName', playerName);
-        localStorage.setItem('playerEmail', playerEmail);
-        localStorage.setItem('serverHost', host);
-        localStorage.setItem('serverPort', port);
-        document.body.removeChild(menu);
-        const game = new Game('default', false, 'red', playerName);
-        window._game = game;
-        game.connectServer(host, port);
+        const host = document.getElementById('menu-server-host').value || defaultServer.host;
+        const port = parseInt(document.getElementById('menu-server-port').value, 10) || defaultServer.port;
+        joinServer(host, port);
     });
     btnContainer.appendChild(joinServerBtn);
 
@@ -9721,6 +10430,32 @@ window.addEventListener('load', () => {
 
     // (music removed from menu)
 
+    // World seed: a number or any text, a fresh random one each time the menu opens
+    const seedRow = document.createElement('div');
+    seedRow.style.margin = '8px 0';
+    const seedLabel = document.createElement('label');
+    seedLabel.style.color = '#fff';
+    seedLabel.textContent = 'World Seed: ';
+    const seedInput = document.createElement('input');
+    seedInput.type = 'text';
+    seedInput.id = 'world-seed-input';
+    seedInput.placeholder = 'Random';
+    seedInput.value = String(VoxelWorld.randomSeed());
+    seedInput.style.padding = '4px';
+    seedInput.style.marginLeft = '4px';
+    seedLabel.appendChild(seedInput);
+    seedRow.appendChild(seedLabel);
+    const rerollBtn = document.createElement('button');
+    rerollBtn.textContent = 'Random';
+    rerollBtn.style.marginLeft = '6px';
+    rerollBtn.style.padding = '4px 8px';
+    rerollBtn.addEventListener('click', () => {
+        playClickSound();
+        seedInput.value = String(VoxelWorld.randomSeed());
+    });
+    seedRow.appendChild(rerollBtn);
+    settingsContainer.appendChild(seedRow);
+
     // World type selection title
     const worldTypeTitle = document.createElement('h3');
     worldTypeTitle.textContent = 'Select World Type';
@@ -9752,6 +10487,51 @@ window.addEventListener('load', () => {
         showLoadWorldMenu(menu);
     });
     settingsContainer.appendChild(loadBtn);
+
+    // Watch Replay button: plays back a server recording (/record on the server, see replay.js)
+    const replayInput = document.createElement('input');
+    replayInput.type = 'file';
+    replayInput.accept = '.jsonl';
+    replayInput.style.display = 'none';
+    replayInput.addEventListener('change', () => {
+        const file = replayInput.files[0];
+        replayInput.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            let header = null;
+            try {
+                header = JSON.parse(text.split('\n', 1)[0]);
+            } catch (e) {}
+            if (!header || header.replay !== 1 || !header.room) {
+                alert('Not a replay file!');
+                return;
+            }
+            const playerName = document.getElementById('player-name-input')?.value || 'Player';
+            document.body.removeChild(menu);
+            const game = new Game(header.room.worldType || 'default', false, 'red', playerName, false, null, null, null, header.room.seed);
+            window._game = game;
+            game.startReplay(text);
+        });
+    });
+    settingsContainer.appendChild(replayInput);
+
+    const replayBtn = document.createElement('button');
+    replayBtn.textContent = 'Watch Replay';
+    replayBtn.style.width = '200px';
+    replayBtn.style.margin = '8px auto';
+    replayBtn.style.padding = '10px';
+    replayBtn.style.fontSize = '14px';
+    replayBtn.style.background = '#0066cc';
+    replayBtn.style.color = '#fff';
+    replayBtn.style.border = 'none';
+    replayBtn.style.borderRadius = '4px';
+    replayBtn.style.cursor = 'pointer';
+    replayBtn.style.display = 'block';
+    replayBtn.addEventListener('click', () => {
+        playClickSound();
+        replayInput.click();
+    });
+    settingsContainer.appendChild(replayBtn);
     
     // Back button for Play Game screen
     const backBtn = document.createElement('button');
@@ -10052,6 +10832,7 @@ window.addEventListener('load', () => {
                 infoEl.style.color = '#aaa';
                 infoEl.style.fontSize = '12px';
                 const worldType = world.data.worldType || 'default';
+                const seed = Number.isFinite(world.data.seed) ? world.data.seed : VoxelWorld.DEFAULT_SEED;
                 const posX = world.data.playerPosition?.x?.toFixed(0) || '0';
                 const posY = world.data.playerPosition?.y?.toFixed(0) || '0';
                 const posZ = world.data.playerPosition?.z?.toFixed(0) || '0';
@@ -10061,7 +10842,7 @@ window.addEventListener('load', () => {
                     const date = new Date(world.data.timestamp);
                     timeStr = `<br>Last saved: ${date.toLocaleString()}`;
                 }
-                infoEl.innerHTML = `Type: ${worldType}<br>Position: (${posX}, ${posY}, ${posZ})<br>Modified chunks: ${chunkCount}${timeStr}`;
+                infoEl.innerHTML = `Type: ${worldType}, seed ${seed}<br>Position: (${posX}, ${posY}, ${posZ})<br>Modified chunks: ${chunkCount}${timeStr}`;
                 worldDiv.appendChild(infoEl);
 
                 const btnContainer = document.createElement('div');
@@ -10143,9 +10924,10 @@ window.addEventListener('load', () => {
             const playerName = document.getElementById('player-name-input')?.value || 'Player';
             localStorage.setItem('playerName', playerName);
 
-            // Create game with saved world type and survival mode
+            // Create game with saved world type, seed and survival mode (saves from before seeds used the default one)
             const survivalMode = data.survivalMode || false;
-            const game = new Game(data.worldType || 'default', false, 'red', playerName, survivalMode);
+            const seed = Number.isFinite(data.seed) ? data.seed : VoxelWorld.DEFAULT_SEED;
+            const game = new Game(data.worldType || 'default', false, 'red', playerName, survivalMode, null, null, null, seed);
             window._game = game;
 
             // Restore player state
@@ -10177,21 +10959,9 @@ window.addEventListener('load', () => {
             // Restore chunks
             if (data.chunks) {
                 for (const [key, chunkData] of Object.entries(data.chunks)) {
-                    const chunk = game.world.getChunk(chunkData.cx, chunkData.cz);
                     if (chunkData.blocks) {
-                        // Decompress base64 if it's a string (new format), otherwise use array (old format)
-                        if (typeof chunkData.blocks === 'string') {
-                            const binaryString = atob(chunkData.blocks);
-                            const bytes = new Uint8Array(binaryString.length);
-                            for (let i = 0; i < binaryString.length; i++) {
-                                bytes[i] = binaryString.charCodeAt(i);
-                            }
-                            chunk.blocks = bytes;
-                        } else {
-                            chunk.blocks = new Uint8Array(chunkData.blocks);
-                        }
-                        chunk.modified = true;
-                        chunk.playerModified = true;
+                        // Base64 string (new format) or plain array (old format)
+                        game.world.loadChunkBlocks(chunkData.cx, chunkData.cz, chunkData.blocks);
                     }
                     // Update mesh for this chunk
                     game.updateChunkMesh(chunkData.cx, chunkData.cz);
@@ -10218,15 +10988,19 @@ window.addEventListener('load', () => {
             const team = teamEl ? teamEl.value : 'red';
             const playerName = document.getElementById('player-name-input').value || 'Player';
             const playerEmail = document.getElementById('player-email-input').value || '';
+            const accountKey = document.getElementById('account-key-input').value || '';
             const playerColor = document.getElementById('player-color-picker').value || '#4488ff';
             const useServer = !!document.getElementById('server-enabled-checkbox').checked;
-            const serverHost = document.getElementById('menu-server-host').value || 'localhost';
-            const serverPort = parseInt(document.getElementById('menu-server-port').value, 10) || 8080;
+            const serverHost = document.getElementById('menu-server-host').value || defaultServer.host;
+            const serverPort = parseInt(document.getElementById('menu-server-port').value, 10) || defaultServer.port;
             const survivalMode = !!document.getElementById('survival-checkbox').checked;
+            const seedText = document.getElementById('world-seed-input').value.trim();
+            const seed = seedText ? VoxelWorld.parseSeed(seedText) : VoxelWorld.randomSeed();
             
             // Save to localStorage
             localStorage.setItem('playerName', playerName);
             localStorage.setItem('playerEmail', playerEmail);
+            localStorage.setItem('accountKey', accountKey);
             localStorage.setItem('playerColor', playerColor);
             localStorage.setItem('serverHost', serverHost);
             localStorage.setItem('serverPort', serverPort);
@@ -10249,8 +11023,8 @@ window.addEventListener('load', () => {
             const gameCredit = document.getElementById('game-credit');
             if (gameCredit) document.body.removeChild(gameCredit);
             
-            console.log('Instantiating Game with worldType=', worldType, 'multiplayer=', isMultiplayer, 'team=', team, 'name=', playerName, 'survival=', survivalMode, 'useServer=', useServer, 'color=', playerColor);
-            const game = new Game(worldType, isMultiplayer, team, playerName, survivalMode, playerColor, playerEmail);
+            console.log('Instantiating Game with worldType=', worldType, 'seed=', seed, 'multiplayer=', isMultiplayer, 'team=', team, 'name=', playerName, 'survival=', survivalMode, 'useServer=', useServer, 'color=', playerColor);
+            const game = new Game(worldType, isMultiplayer, team, playerName, survivalMode, playerColor, playerEmail, accountKey, seed);
             // Expose for UI Connect button
             window._game = game;
             
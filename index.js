@@ -1,43 +1,277 @@
 // server.js
+// Multiplayer server: speaks the WebSocket protocol documented in protocol.js
+// HTTP: the browser client (index.html and its assets), /rooms, /health and /metrics (see metrics.js)
+// Players join one of the server's rooms (see room.js); this file does the handshake and routes messages.
 const express = require('express');
 const http = require('http');
-const socketIo = require('socket.io');
+const path = require('path');
+const readline = require('readline');
+const { WebSocketServer } = require('ws');
+const Protocol = require('./protocol');
+const { VoxelWorld } = require('./world');
+const WorldStorage = require('./storage');
+const AdminTools = require('./admin');
+const Accounts = require('./accounts');
+const Room = require('./room');
+const ServerMetrics = require('./metrics');
+
+const { MessageType, RejectReason } = Protocol;
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const DATA_DIR = process.env.WORLD_DIR || path.join(__dirname, 'world-data');
+const SAVE_INTERVAL_MS = 60 * 1000;
+const GAME_MODE = process.env.GAME_MODE || 'sandbox'; // 'sandbox' | 'ctf', for the default room
+const GAME_MODES = ['sandbox', 'ctf'];
+const WORLD_SEED = process.env.WORLD_SEED || VoxelWorld.DEFAULT_SEED; // For the default room; a number or any text
+
+// Flood protection: messages past the limit in one second are dropped, far past it the client is kicked
+const MAX_MESSAGES_PER_SECOND = 60; // state alone is 20 per second
+const FLOOD_KICK_MESSAGES = 4 * MAX_MESSAGES_PER_SECOND;
+
+// The browser client is served from the repository root next to this file. Only these files are
+// public (world data and server modules are not). Code revalidates on every load so a deploy reaches
+// everyone at once (protocol.js must match the server); media rarely changes and is cached for a day.
+const CLIENT_FILE = /^\/(index\.html|game\.js|world\.js|protocol\.js|[^/]+\.(png|gltf|ogg|mp3))$/;
+const MEDIA_MAX_AGE_S = 24 * 60 * 60;
 
 const app = express();
 const server = http.createServer(app);
-const io = socketIo(server, { cors: { origin: "*" } });
+const wss = new WebSocketServer({ server });
+
+const serveClient = express.static(__dirname, {
+    index: 'index.html',
+    dotfiles: 'ignore',
+    setHeaders: (res, file) => {
+        const isCode = /\.(html|js)$/.test(file);
+        res.setHeader('Cache-Control', isCode ? 'no-cache' : `public, max-age=${MEDIA_MAX_AGE_S}`);
+    }
+});
+app.use((req, res, next) => {
+    let file;
+    try {
+        file = req.path === '/' ? '/index.html' : decodeURIComponent(req.path);
+    } catch (e) {
+        file = ''; // Malformed escape: not one of ours
+    }
+    if (CLIENT_FILE.test(file)) serveClient(req, res, next);
+    else next();
+});
+
+const storage = new WorldStorage(DATA_DIR);
+const accounts = new Accounts(storage);
+const rooms = new Map(); // name -> Room, in rooms.json order
+const playerRooms = new Map(); // playerId -> Room, for players that completed the handshake
+let nextPlayerId = 1; // Ids are unique across rooms so admin commands can name any player
+let admin = null; // AdminTools, created on boot
+let metrics = null; // ServerMetrics, created on boot
+
+function send(socket, type, payload) {
+    if (socket.readyState !== socket.OPEN) return;
+    try {
+        const data = Protocol.encode(type, payload);
+        socket.send(data);
+        metrics.countSent(type, Buffer.byteLength(data));
+    } catch (e) {
+        console.warn('Failed to send message:', e.message);
+    }
+}
+
+function reject(socket, reason, message) {
+    send(socket, MessageType.REJECT, { reason, message });
+    socket.close();
+}
+
+function listPlayers() {
+    return [...rooms.values()].flatMap(room => Object.values(room.players));
+}
+
+function findPlayer(name) {
+    const wanted = name.toLowerCase();
+    return listPlayers().find(player => player.name.toLowerCase() === wanted) || null;
+}
+
+function kick(playerId, reason, message) {
+    const room = playerRooms.get(playerId);
+    if (room) reject(room.sessions.get(playerId).socket, reason, message);
+}
+
+// Chat line from the server itself, to every room
+function notice(text) {
+    for (const room of rooms.values()) room.notice(text);
+}
+
+// Strip the IPv4-mapped prefix so bans match what admins type
+function remoteAddress(req) {
+    return String(req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+// rooms.json in the data directory lists the rooms; without it the server runs a single room
+// like it always has. The first room keeps its world in the data directory itself, so existing
+// worlds carry on as that room; the others get rooms/<name>.
+// A room with record: true is recorded from boot to replays/ (see replay.js); /record starts and
+// stops recordings at runtime.
+// Rooms are survival unless survival: false makes them creative (SURVIVAL=0 for the default room);
+// /gamemode switches single players.
+function loadRoomConfigs() {
+    const configs = storage.readJson('rooms.json', null) || [
+        { name: 'main', worldType: 'default', seed: WORLD_SEED, mode: GAME_MODE, survival: process.env.SURVIVAL !== '0', friendlyFire: process.env.FRIENDLY_FIRE === '1' }
+    ];
+    if (!Array.isArray(configs) || configs.length === 0) throw new Error('rooms.json must be a non-empty array');
+    return configs.map((config, i) => {
+        const name = String(config.name);
+        if (!Protocol.ROOM_NAME.test(name)) throw new Error(`Bad room name in rooms.json: ${name}`);
+        if (configs.findIndex(other => String(other.name) === name) !== i) throw new Error(`Duplicate room in rooms.json: ${name}`);
+        const worldType = config.worldType || 'default';
+        if (!Protocol.WORLD_TYPES.includes(worldType)) throw new Error(`Room ${name}: unknown worldType ${worldType}`);
+        const mode = config.mode || 'sandbox';
+        if (!GAME_MODES.includes(mode)) throw new Error(`Room ${name}: unknown mode ${mode}`);
+        // Seeds may be numbers or text, like the new-world menu's (see VoxelWorld.parseSeed)
+        const seed = config.seed == null || config.seed === '' ? VoxelWorld.DEFAULT_SEED : VoxelWorld.parseSeed(config.seed);
+        const dir = i === 0 ? DATA_DIR : path.join(DATA_DIR, 'rooms', name);
+        return {
+            name, worldType, seed, mode, dir,
+            replayDir: path.join(DATA_DIR, 'replays'),
+            survival: config.survival !== false,
+            friendlyFire: !!config.friendlyFire,
+            record: !!config.record
+        };
+    });
+}
 
-let players = {};
+function saveAll() {
+    for (const room of rooms.values()) room.save();
+}
 
-io.on('connection', (socket) => {
-    console.log(`Player connected: ${socket.id}`);
+// The main menu asks every saved server which rooms it has
+app.get('/rooms', (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.json([...rooms.values()].map(room => room.info()));
+});
+
+wss.on('connection', (socket, req) => {
+    let playerId = null;
+    let room = null;
+    const ip = remoteAddress(req);
+    let messageWindowStart = 0; // Start of the current one-second flood window
+    let messageCount = 0; // Messages received in it
+
+    // Count a message against the per-second budget; true when it should be dropped
+    function isFlooding() {
+        const now = Date.now();
+        if (now - messageWindowStart >= 1000) {
+            messageWindowStart = now;
+            messageCount = 0;
+        }
+        messageCount++;
+        if (messageCount === FLOOD_KICK_MESSAGES) {
+            console.log(`Kicked ${room.players[playerId].name} (${playerId}) for flooding`);
+            kick(playerId, RejectReason.FLOODING, 'Kicked for sending too many messages');
+        }
+        return messageCount > MAX_MESSAGES_PER_SECOND;
+    }
+
+    socket.on('message', (data) => {
+        const msg = Protocol.decode(data);
+        metrics.countReceived(msg ? msg.type : null, data.length);
+        if (!msg) return;
 
-    // Add new player
-    players[socket.id] = { x: 0, y: 0 };
+        // Nothing but a hello is accepted until the handshake completes
+        if (!playerId) {
+            if (msg.type !== MessageType.HELLO) {
+                reject(socket, RejectReason.BAD_HELLO, 'Expected hello as first message');
+                return;
+            }
+            if (msg.version !== Protocol.PROTOCOL_VERSION) {
+                reject(socket, RejectReason.VERSION_MISMATCH,
+                    `Server speaks protocol v${Protocol.PROTOCOL_VERSION}, client sent v${msg.version}`);
+                return;
+            }
 
-    // Send current players to the new player
-    socket.emit('currentPlayers', players);
+            const name = Protocol.sanitizeName(msg.name);
+            // Guests (no account or a wrong key) get no cosmetics and no admin rights
+            const login = accounts.authenticate(msg.account, msg.key);
+            const account = login ? login.account : null;
+            const denied = admin.checkJoin(account, ip);
+            if (denied) {
+                console.log(`Rejected ${name} (${ip}): ${denied.reason}`);
+                reject(socket, denied.reason, denied.message);
+                return;
+            }
+            // Names aren't owned by anyone, but two players can't share one while both are online
+            if (findPlayer(name)) {
+                reject(socket, RejectReason.NAME_TAKEN, `Someone named ${name} is already playing here`);
+                return;
+            }
 
-    // Broadcast new player to others
-    socket.broadcast.emit('newPlayer', { id: socket.id, ...players[socket.id] });
+            // Clients that don't pick a room get the first one
+            room = msg.room === undefined || msg.room === null ? rooms.values().next().value : rooms.get(String(msg.room));
+            if (!room) {
+                reject(socket, RejectReason.UNKNOWN_ROOM, `This server has no room named ${msg.room}`);
+                return;
+            }
 
-    // Handle player movement
-    socket.on('move', (data) => {
-        if (players[socket.id]) {
-            players[socket.id].x = data.x;
-            players[socket.id].y = data.y;
-            socket.broadcast.emit('playerMoved', { id: socket.id, ...players[socket.id] });
+            playerId = `p${nextPlayerId++}`;
+            playerRooms.set(playerId, room);
+            room.join(playerId, socket, ip, msg, account, login ? login.cosmetics : {});
+            return;
         }
+
+        if (isFlooding()) return;
+        room.handleMessage(playerId, msg);
+    });
+
+    socket.on('close', () => {
+        if (!playerId) return;
+        room.leave(playerId);
+        playerRooms.delete(playerId);
     });
+});
 
-    // Handle disconnect
-    socket.on('disconnect', () => {
-        console.log(`Player disconnected: ${socket.id}`);
-        delete players[socket.id];
-        io.emit('playerDisconnected', socket.id);
+metrics = new ServerMetrics({ rooms });
+metrics.routes(app);
+
+for (const config of loadRoomConfigs()) {
+    const room = new Room(config, {
+        send,
+        countSent: (type, data, recipients) => metrics.countSent(type, Buffer.byteLength(data), recipients),
+        runCommand: (playerName, text, reply) => admin.runCommand(playerName, text, reply),
+        timeTick: (tick, roomName, fn) => metrics.timeTick(tick, roomName, fn)
     });
+    rooms.set(room.name, room);
+    room.load();
+    room.start();
+    if (config.record) room.startRecording();
+}
+setInterval(saveAll, SAVE_INTERVAL_MS);
+
+admin = new AdminTools({
+    storage, accounts, findPlayer, listPlayers, kick, notice,
+    playerIp: (playerId) => playerRooms.get(playerId).sessions.get(playerId).ip,
+    playerAccount: (playerId) => playerRooms.get(playerId).sessions.get(playerId).account,
+    summon: (kind, near) => playerRooms.get(near.id).mobs.summon(kind, near),
+    setSurvival: (playerId, survival) => playerRooms.get(playerId).setSurvival(playerId, survival),
+    findRoom: (name) => rooms.get(name) || null,
+    roomOf: (playerId) => playerRooms.get(playerId) || null
 });
 
-server.listen(3000, () => {
-    console.log('Server running on http://localhost:3000');
+// Server console: every line is an admin command run with operator rights
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    const text = line.trim();
+    if (!text) return;
+    admin.runCommand(null, text.startsWith('/') ? text : `/${text}`, (reply) => console.log(reply));
+});
+
+// Save before exiting on Ctrl+C or a service manager stop
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        console.log(`${signal} received, saving worlds...`);
+        saveAll();
+        for (const room of rooms.values()) room.stopRecording();
+        process.exit(0);
+    });
+}
+
+server.listen(PORT, () => {
+    const summary = [...rooms.values()].map(room => `${room.name} (${room.worldType}, ${room.mode})`).join(', ');
+    console.log(`Server running on ws://localhost:${PORT} (protocol v${Protocol.PROTOCOL_VERSION}), rooms: ${summary}`);
+    console.log(`Play at http://localhost:${PORT}/`);
 });
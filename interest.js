@@ -0,0 +1,123 @@
+// interest.js
+// Interest management for the Node server (index.js): who gets told about which players and mobs.
+//
+// A player's area is the square of chunks within INTEREST_RADIUS of the chunk it stands in, the
+// same square the client loads with renderDistance. Movement and mob updates only go to players
+// whose area covers the mover. As a player or mob crosses the edge of someone's area, that
+// someone gets enterView (with the full state) or leaveView. join/leave still go to everyone:
+// they are about who is connected, not who is nearby.
+//
+// Block and container updates use the same test (see sendChunkUpdate in index.js).
+const Protocol = require('./protocol');
+
+const { MessageType } = Protocol;
+
+const INTEREST_RADIUS = 3; // Chunks; matches the client's renderDistance
+
+class InterestManager {
+    // server: { world, players, mobs, sendTo(playerId, type, payload) }
+    constructor(server) {
+        this.server = server;
+        this.visible = new Map(); // playerId -> Set of player and entity ids it was told about
+    }
+
+    chunkOf(x, z) {
+        const { chunkSize } = this.server.world;
+        return { cx: Math.floor(x / chunkSize), cz: Math.floor(z / chunkSize) };
+    }
+
+    // Does the player's area include world position x, z?
+    covers(playerId, x, z) {
+        const player = this.server.players[playerId];
+        if (!player) return false;
+        const a = this.chunkOf(player.x, player.z);
+        const b = this.chunkOf(x, z);
+        return Math.abs(a.cx - b.cx) <= INTEREST_RADIUS && Math.abs(a.cz - b.cz) <= INTEREST_RADIUS;
+    }
+
+    // Tell viewerId about id coming into or going out of view; returns whether it is in view now
+    setVisible(viewerId, id, inView, enterPayload) {
+        const seen = this.visible.get(viewerId);
+        if (!seen) return false;
+        if (inView && !seen.has(id)) {
+            seen.add(id);
+            this.server.sendTo(viewerId, MessageType.ENTER_VIEW, enterPayload());
+        } else if (!inView && seen.has(id)) {
+            seen.delete(id);
+            this.server.sendTo(viewerId, MessageType.LEAVE_VIEW, { id });
+        }
+        return inView;
+    }
+
+    playerJoined(playerId) {
+        this.visible.set(playerId, new Set());
+        this.refresh(playerId);
+    }
+
+    playerLeft(playerId) {
+        this.visible.delete(playerId);
+        for (const seen of this.visible.values()) seen.delete(playerId);
+    }
+
+    // Recheck everything the player could see, after it joined or moved into another chunk
+    refresh(playerId) {
+        const { players, mobs } = this.server;
+        for (const other of Object.values(players)) {
+            if (other.id === playerId) continue;
+            this.setVisible(playerId, other.id, this.covers(playerId, other.x, other.z), () => ({ player: other }));
+        }
+        for (const entity of mobs.list()) {
+            this.setVisible(playerId, entity.id, this.covers(playerId, entity.x, entity.z), () => ({ entity }));
+        }
+    }
+
+    // A player moved: state to everyone who sees it, enter/leave to those whose edge it crossed
+    playerMoved(playerId, changedChunk) {
+        const player = this.server.players[playerId];
+        const { x, y, z, yaw, pitch } = player;
+        const state = { id: playerId, t: Date.now(), x, y, z, yaw, pitch };
+        for (const viewerId of this.visible.keys()) {
+            if (viewerId === playerId) continue;
+            const wasVisible = this.visible.get(viewerId).has(playerId);
+            const inView = this.setVisible(viewerId, playerId, this.covers(viewerId, x, z), () => ({ player }));
+            // A fresh enterView already carries the position
+            if (inView && wasVisible) this.server.sendTo(viewerId, MessageType.STATE, state);
+        }
+        if (changedChunk) this.refresh(playerId);
+    }
+
+    mobSpawned(entity) {
+        for (const viewerId of this.visible.keys()) {
+            if (!this.covers(viewerId, entity.x, entity.z)) continue;
+            this.visible.get(viewerId).add(entity.id);
+            this.server.sendTo(viewerId, MessageType.ENTITY_SPAWN, { entity });
+        }
+    }
+
+    // updates: [{ id, x, y, z, yaw, health }] from one mob tick; each viewer gets the ones it sees
+    mobsMoved(t, updates) {
+        for (const viewerId of this.visible.keys()) {
+            const seen = [];
+            for (const update of updates) {
+                const wasVisible = this.visible.get(viewerId).has(update.id);
+                const inView = this.setVisible(viewerId, update.id, this.covers(viewerId, update.x, update.z),
+                    () => ({ entity: this.server.mobs.stateOf(update.id) }));
+                if (inView && wasVisible) seen.push(update);
+            }
+            if (seen.length) this.server.sendTo(viewerId, MessageType.ENTITY_UPDATE, { t, entities: seen });
+        }
+    }
+
+    // Gone for good: only viewers that knew about it are told. The killer also gets `loot`.
+    mobRemoved(id, payload, killerId = null, loot = null) {
+        for (const [viewerId, seen] of this.visible) {
+            const isKiller = viewerId === killerId;
+            if (!seen.delete(id) && !isKiller) continue;
+            this.server.sendTo(viewerId, MessageType.ENTITY_DESPAWN, isKiller && loot ? { ...payload, ...loot } : payload);
+        }
+    }
+}
+
+InterestManager.INTEREST_RADIUS = INTEREST_RADIUS;
+
+module.exports = InterestManager;
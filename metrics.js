@@ -0,0 +1,105 @@
+// metrics.js
+// Health and metrics HTTP endpoints for the Node server (index.js), for uptime checks and scrapers.
+//
+//   GET /health   200 "ok" (text/plain) while the server is running
+//   GET /metrics  Prometheus text format (version 0.0.4)
+//
+// Message and byte counts are counters that only grow; the scraper turns them into rates.
+// Message types are labels, anything a client sends that is not a MessageType counts as 'unknown'.
+// Players, chunks and mobs are per room (room label). Tick durations are per timer and room:
+// 'mobs' (MobManager.tick) and 'match' (CtfMatch.tick, ctf rooms only); the max is since the previous scrape.
+const Protocol = require('./protocol');
+
+const KNOWN_TYPES = new Set(Object.values(Protocol.MessageType));
+const PREFIX = 'gametest';
+
+class ServerMetrics {
+    // server: { rooms } (name -> Room)
+    constructor(server) {
+        this.server = server;
+        this.received = new Map(); // message type -> count
+        this.sent = new Map();
+        this.bytesReceived = 0;
+        this.bytesSent = 0;
+        this.ticks = new Map(); // '{tick="...",room="..."}' labels -> { count, sum, last, max } in seconds
+    }
+
+    countReceived(type, bytes) {
+        const label = KNOWN_TYPES.has(type) ? type : 'unknown';
+        this.received.set(label, (this.received.get(label) || 0) + 1);
+        this.bytesReceived += bytes;
+    }
+
+    // A broadcast is encoded once but sent to every recipient
+    countSent(type, bytes, recipients = 1) {
+        this.sent.set(type, (this.sent.get(type) || 0) + recipients);
+        this.bytesSent += bytes * recipients;
+    }
+
+    // Run one tick of a room's timer and record how long it took
+    timeTick(name, room, fn) {
+        const start = process.hrtime.bigint();
+        try {
+            fn();
+        } finally {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            const labels = `{tick="${name}",room="${room}"}`;
+            const tick = this.ticks.get(labels) || { count: 0, sum: 0, last: 0, max: 0 };
+            tick.count++;
+            tick.sum += seconds;
+            tick.last = seconds;
+            tick.max = Math.max(tick.max, seconds);
+            this.ticks.set(labels, tick);
+        }
+    }
+
+    render() {
+        const rooms = [...this.server.rooms.values()];
+        const memory = process.memoryUsage();
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value] of samples) lines.push(`${name}${labels} ${value}`);
+        };
+        const byLabel = (key, entries) => [...entries].map(([label, value]) => [`{${key}="${label}"}`, value]);
+
+        const perRoom = (value) => rooms.map(room => [`{room="${room.name}"}`, value(room)]);
+
+        metric(`${PREFIX}_players_connected`, 'gauge', 'Players that completed the handshake.', perRoom(room => Object.keys(room.players).length));
+        metric(`${PREFIX}_chunks_loaded`, 'gauge', 'Chunks held in memory by the room world.', perRoom(room => room.world.chunks.size));
+        metric(`${PREFIX}_mobs`, 'gauge', 'Mobs alive in the room.', perRoom(room => room.mobs.list().length));
+        metric(`${PREFIX}_messages_received_total`, 'counter', 'Messages received from clients by type.', byLabel('type', this.received));
+        metric(`${PREFIX}_messages_sent_total`, 'counter', 'Messages sent to clients by type.', byLabel('type', this.sent));
+        metric(`${PREFIX}_received_bytes_total`, 'counter', 'Bytes of messages received from clients.', [['', this.bytesReceived]]);
+        metric(`${PREFIX}_sent_bytes_total`, 'counter', 'Bytes of messages sent to clients.', [['', this.bytesSent]]);
+
+        const ticks = [...this.ticks];
+        metric(`${PREFIX}_tick_duration_seconds`, 'summary', 'Time spent in server ticks.', [
+            ...ticks.map(([labels, tick]) => [`_sum${labels}`, tick.sum]),
+            ...ticks.map(([labels, tick]) => [`_count${labels}`, tick.count])
+        ]);
+        metric(`${PREFIX}_tick_duration_last_seconds`, 'gauge', 'Duration of the latest tick.',
+            ticks.map(([labels, tick]) => [labels, tick.last]));
+        metric(`${PREFIX}_tick_duration_max_seconds`, 'gauge', 'Longest tick since the previous scrape.',
+            ticks.map(([labels, tick]) => [labels, tick.max]));
+        for (const tick of this.ticks.values()) tick.max = 0;
+
+        metric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.', [['', memory.rss]]);
+        metric('nodejs_heap_size_used_bytes', 'gauge', 'V8 heap in use in bytes.', [['', memory.heapUsed]]);
+        metric('nodejs_heap_size_total_bytes', 'gauge', 'V8 heap size in bytes.', [['', memory.heapTotal]]);
+        metric('process_uptime_seconds', 'gauge', 'Seconds since the server started.', [['', process.uptime()]]);
+        return lines.join('\n') + '\n';
+    }
+
+    // Add /health and /metrics to the Express app
+    routes(app) {
+        app.get('/health', (req, res) => {
+            res.type('text/plain').send('ok\n');
+        });
+        app.get('/metrics', (req, res) => {
+            res.type('text/plain; version=0.0.4').send(this.render());
+        });
+    }
+}
+
+module.exports = ServerMetrics;
@@ -0,0 +1,385 @@
+// mobs.js
+// Server-simulated mobs for the Node server (index.js), so everyone fights the same creatures.
+//
+// Kinds (stats mirror the Pigman, Minutor and PigmanPriest classes in game.js):
+//   pigman   wanders near players, turns on whoever hits it
+//   minutor  lives in the maze under spawn and roams the wilder biomes, chases any player it can see
+//   priest   boss, only summoned by an operator (/summon priest); chases, hits hard and heals itself
+// The Phinox is a mount steered by its rider and stays client-side.
+//
+// Natural spawns near players are picked from the biome's spawn list (VoxelWorld.getMobSpawns).
+//
+// Every TICK_MS mobs move with the same gravity/hop/collision rules as the client classes,
+// then everything that changed goes out as entity updates (interest.js decides who hears about
+// what). Only survival players hurt or get hurt by mobs, matching single-player. Loot goes to the
+// killer in its entityDespawn.
+const TICK_MS = 100;
+const FRAMES_PER_TICK = TICK_MS / (1000 / 60); // Client mob speeds are per 60 fps frame
+const SPAWN_INTERVAL_MS = 5000;
+const MOBS_PER_PLAYER = 3;
+const MAX_NATURAL_MOBS = 30;
+const NATURAL_SPAWN_MIN = 16;
+const NATURAL_SPAWN_MAX = 40;
+const DESPAWN_DISTANCE = 96; // Natural mobs with nobody this close disappear
+const MINUTOR_COUNT = 2;
+const MINUTOR_RESPAWN_MS = 60 * 1000;
+// Maze bounds from VoxelWorld's dungeon carving: x,z in [-16,15], corridors at y=20..22
+const MAZE = { minX: -16, maxX: 15, minZ: -16, maxZ: 15, floorY: 19 };
+const AGGRO_RANGE = 32;
+const SIGHT_RANGE = 20;
+
+const KINDS = {
+    pigman: {
+        maxHealth: 15, speed: 0.08, wanderSpeed: 0.03, damage: 2, attackCooldown: 1000, attackRange: 2.0,
+        halfY: 0.7, jumpPower: 0.25, knockback: 0.3, aggressive: false,
+        loot: [{ type: 17, amount: 3 }] // Pork
+    },
+    minutor: {
+        maxHealth: 20, speed: 0.07, wanderSpeed: 0.04, damage: 15, attackCooldown: 1200, attackRange: 2.0,
+        halfY: 0.9, jumpPower: 0.3, knockback: 0.3, aggressive: true, needsSight: true,
+        loot: [{ type: 18, amount: 1 }] // Leather helmet
+    },
+    priest: {
+        maxHealth: 100, speed: 0.06, wanderSpeed: 0.02, damage: 5, attackCooldown: 1500, attackRange: 2.5,
+        halfY: 0.9, jumpPower: 0.3, knockback: 0.2, aggressive: true, healEvery: 8000, healAmount: 10,
+        loot: [{ type: 32, amount: 1 }, { type: 17, amount: 10 }] // Golden sword and pork
+    }
+};
+
+const GRAVITY = 0.015;
+const MAX_FALL_SPEED = 0.15; // Per frame; keeps a tick's fall under one block so mobs can't sink into the ground
+const HALF_WIDTH = 0.3;
+// On the client a knockback lasts about a frame before the mob steers again; here it lasts one tick,
+// so the push is scaled down to cover a similar distance
+const KNOCKBACK_SCALE = 2 / FRAMES_PER_TICK;
+
+class MobManager {
+    // server: { world, players, damagePlayer(playerId, attackerId, amount), isSurvival(playerId),
+    //          onSpawn(entity), onMove(t, updates), onRemove(id, payload, killerId, loot) }
+    constructor(server, { naturalSpawns = true } = {}) {
+        this.server = server;
+        this.naturalSpawns = naturalSpawns;
+        this.mobs = new Map(); // id -> mob
+        this.nextId = 1;
+        this.lastSpawnCheck = 0;
+        this.minutorDeaths = [];
+    }
+
+    has(id) {
+        return this.mobs.has(id);
+    }
+
+    // EntityState for entitySpawn and the welcome
+    state(mob) {
+        return {
+            id: mob.id, kind: mob.kind,
+            x: mob.x, y: mob.y, z: mob.z, yaw: mob.yaw,
+            health: mob.health, maxHealth: KINDS[mob.kind].maxHealth
+        };
+    }
+
+    list() {
+        return [...this.mobs.values()].map(mob => this.state(mob));
+    }
+
+    stateOf(id) {
+        return this.state(this.mobs.get(id));
+    }
+
+    spawn(kind, x, y, z, natural = false) {
+        const stats = KINDS[kind];
+        if (!stats) return null;
+        const mob = {
+            id: `e${this.nextId++}`,
+            kind, natural,
+            x, y, z, yaw: 0,
+            vx: 0, vy: 0, vz: 0, // Per 60 fps frame, like the client classes
+            onGround: false,
+            moving: false,
+            knockedBack: false,
+            health: stats.maxHealth,
+            target: null, // Player id being chased
+            wanderX: 0, wanderZ: 0, nextWanderChange: 0,
+            lastAttackAt: 0, lastHealAt: Date.now(), lastJumpAt: 0,
+            dirty: false
+        };
+        this.mobs.set(mob.id, mob);
+        this.server.onSpawn(this.state(mob));
+        return mob;
+    }
+
+    despawn(mob, reason, killerId = null) {
+        this.mobs.delete(mob.id);
+        if (mob.kind === 'minutor' && !mob.natural) this.minutorDeaths.push(Date.now());
+        // Everyone sees it go; only the killer gets the loot to pick up
+        const loot = killerId ? { x: mob.x, y: mob.y, z: mob.z, drops: KINDS[mob.kind].loot } : null;
+        this.server.onRemove(mob.id, { id: mob.id, reason }, killerId, loot);
+    }
+
+    // Highest solid block in a column; null when the column tops out in water or has no ground
+    surfaceY(x, z) {
+        const { world } = this.server;
+        for (let y = world.chunkHeight - 1; y > 0; y--) {
+            const block = world.getBlock(x, y, z);
+            if (block === 0) continue;
+            return world.isBlockSolid(block) ? y : null;
+        }
+        return null;
+    }
+
+    // Spawn near a player on behalf of an operator
+    summon(kind, player) {
+        const x = Math.floor(player.x + Math.sin(player.yaw) * -3);
+        const z = Math.floor(player.z + Math.cos(player.yaw) * -3);
+        const ground = this.surfaceY(x, z);
+        const y = ground === null ? player.y : ground + 1 + KINDS[kind].halfY + 0.001;
+        return this.spawn(kind, x + 0.5, y, z + 0.5);
+    }
+
+    // Keep MOBS_PER_PLAYER natural mobs around each player and MINUTOR_COUNT in the maze
+    spawnNatural(now) {
+        const players = Object.values(this.server.players);
+        const mobs = [...this.mobs.values()];
+
+        // Natural mobs nobody is near any more
+        for (const mob of mobs) {
+            if (!mob.natural) continue;
+            const nearest = Math.min(...players.map(p => Math.hypot(p.x - mob.x, p.z - mob.z)));
+            if (nearest > DESPAWN_DISTANCE) this.despawn(mob, 'despawned');
+        }
+        if (players.length === 0) return;
+
+        let natural = mobs.filter(mob => mob.natural && this.mobs.has(mob.id)).length;
+        for (const player of players) {
+            if (natural >= MAX_NATURAL_MOBS) break;
+            const nearby = mobs.filter(mob => mob.natural && Math.hypot(player.x - mob.x, player.z - mob.z) < NATURAL_SPAWN_MAX).length;
+            if (nearby >= MOBS_PER_PLAYER) continue;
+            const angle = Math.random() * Math.PI * 2;
+            const distance = NATURAL_SPAWN_MIN + Math.random() * (NATURAL_SPAWN_MAX - NATURAL_SPAWN_MIN);
+            const x = Math.floor(player.x + Math.cos(angle) * distance);
+            const z = Math.floor(player.z + Math.sin(angle) * distance);
+            const ground = this.surfaceY(x, z);
+            if (ground === null) continue;
+            const kind = this.pickKind(this.server.world.getMobSpawns(x, z));
+            if (!kind) continue;
+            this.spawn(kind, x + 0.5, ground + 1 + KINDS[kind].halfY + 0.001, z + 0.5, true);
+            natural++;
+        }
+
+        // Dead minutors come back after a while
+        this.minutorDeaths = this.minutorDeaths.filter(t => now - t < MINUTOR_RESPAWN_MS);
+        const minutors = mobs.filter(mob => mob.kind === 'minutor' && !mob.natural).length + this.minutorDeaths.length;
+        for (let i = minutors; i < MINUTOR_COUNT; i++) {
+            for (let attempt = 0; attempt < 20; attempt++) {
+                const x = MAZE.minX + Math.floor(Math.random() * (MAZE.maxX - MAZE.minX + 1));
+                const z = MAZE.minZ + Math.floor(Math.random() * (MAZE.maxZ - MAZE.minZ + 1));
+                const y = MAZE.floorY + 1;
+                const { world } = this.server;
+                if (world.getBlock(x, y, z) !== 0 || !world.isBlockSolid(world.getBlock(x, MAZE.floorY, z))) continue;
+                this.spawn('minutor', x + 0.5, y + KINDS.minutor.halfY + 0.1, z + 0.5);
+                break;
+            }
+        }
+    }
+
+    // Weighted random pick from a spawn list, [{ kind, weight }]; null when it is empty
+    pickKind(spawns) {
+        let roll = Math.random() * spawns.reduce((sum, spawn) => sum + spawn.weight, 0);
+        for (const spawn of spawns) {
+            roll -= spawn.weight;
+            if (roll < 0) return spawn.kind;
+        }
+        return null;
+    }
+
+    tick() {
+        const now = Date.now();
+        if (this.naturalSpawns && now - this.lastSpawnCheck >= SPAWN_INTERVAL_MS) {
+            this.lastSpawnCheck = now;
+            this.spawnNatural(now);
+        }
+
+        const updates = [];
+        for (const mob of this.mobs.values()) {
+            const before = `${mob.x.toFixed(2)},${mob.y.toFixed(2)},${mob.z.toFixed(2)},${mob.yaw.toFixed(2)}`;
+            this.think(mob, now);
+            this.move(mob, now);
+            const after = `${mob.x.toFixed(2)},${mob.y.toFixed(2)},${mob.z.toFixed(2)},${mob.yaw.toFixed(2)}`;
+            if (!this.mobs.has(mob.id)) continue; // Fell out of the world this tick
+            if (before !== after || mob.dirty) {
+                mob.dirty = false;
+                updates.push({ id: mob.id, x: mob.x, y: mob.y, z: mob.z, yaw: mob.yaw, health: mob.health });
+            }
+        }
+        if (updates.length) this.server.onMove(now, updates);
+    }
+
+    // Clear view from the mob's body to the player, sampled once per block like Minutor.update
+    canSee(mob, player) {
+        const { world } = this.server;
+        const dx = player.x - mob.x, dy = player.y - mob.y, dz = player.z - mob.z;
+        const distance = Math.hypot(dx, dy, dz);
+        if (distance > SIGHT_RANGE) return false;
+        for (let i = 1; i < Math.ceil(distance); i++) {
+            const f = i / distance;
+            if (world.isBlockSolid(world.getBlock(Math.floor(mob.x + dx * f), Math.floor(mob.y + dy * f), Math.floor(mob.z + dz * f)))) return false;
+        }
+        return true;
+    }
+
+    // Pick a target and a direction; attack when close enough
+    think(mob, now) {
+        const stats = KINDS[mob.kind];
+        const { players } = this.server;
+
+        if (stats.healEvery && now - mob.lastHealAt >= stats.healEvery && mob.health < stats.maxHealth) {
+            mob.health = Math.min(stats.maxHealth, mob.health + stats.healAmount);
+            mob.lastHealAt = now;
+            mob.dirty = true;
+        }
+
+        // Forget targets that left or got away
+        let target = mob.target && players[mob.target];
+        if (!target || Math.hypot(target.x - mob.x, target.z - mob.z) > AGGRO_RANGE) {
+            mob.target = null;
+            target = null;
+        }
+        if (stats.aggressive) {
+            let best = null;
+            let bestDistance = stats.needsSight ? SIGHT_RANGE : AGGRO_RANGE;
+            for (const player of Object.values(players)) {
+                const distance = Math.hypot(player.x - mob.x, player.y - mob.y, player.z - mob.z);
+                if (distance >= bestDistance) continue;
+                if (stats.needsSight && !this.canSee(mob, player)) continue;
+                best = player;
+                bestDistance = distance;
+            }
+            mob.target = best ? best.id : null;
+            target = best;
+        }
+
+        let dirX = 0, dirZ = 0, speed = stats.wanderSpeed;
+        if (target) {
+            dirX = target.x - mob.x;
+            dirZ = target.z - mob.z;
+            speed = stats.speed;
+        } else {
+            if (now >= mob.nextWanderChange) {
+                const angle = Math.random() * Math.PI * 2;
+                const pause = Math.random() < 0.25;
+                mob.wanderX = pause ? 0 : Math.sin(angle);
+                mob.wanderZ = pause ? 0 : Math.cos(angle);
+                mob.nextWanderChange = now + 1500 + Math.random() * 2000;
+            }
+            dirX = mob.wanderX;
+            dirZ = mob.wanderZ;
+        }
+
+        const length = Math.hypot(dirX, dirZ);
+        mob.moving = length > 0.05;
+        if (mob.knockedBack) {
+            mob.knockedBack = false; // Let the knockback play out for this tick
+        } else if (mob.moving) {
+            mob.vx = dirX / length * speed;
+            mob.vz = dirZ / length * speed;
+            mob.yaw = Math.atan2(dirX, dirZ);
+        } else {
+            mob.vx *= 0.6;
+            mob.vz *= 0.6;
+        }
+
+        if (target && this.server.isSurvival(target.id) && now - mob.lastAttackAt >= stats.attackCooldown) {
+            const distance = Math.hypot(target.x - mob.x, target.y - mob.y, target.z - mob.z);
+            if (distance < stats.attackRange) {
+                mob.lastAttackAt = now;
+                this.server.damagePlayer(target.id, mob.id, stats.damage);
+            }
+        }
+    }
+
+    collides(x, y, z, halfY) {
+        const { world } = this.server;
+        for (const ox of [-HALF_WIDTH, HALF_WIDTH]) {
+            for (const oy of [-halfY, halfY]) {
+                for (const oz of [-HALF_WIDTH, HALF_WIDTH]) {
+                    if (world.isBlockSolid(world.getBlock(Math.floor(x + ox), Math.floor(y + oy), Math.floor(z + oz)))) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // Gravity, a hop over single blocks, then per-axis collision (same order as Pigman.update)
+    move(mob, now) {
+        const { world } = this.server;
+        const stats = KINDS[mob.kind];
+        const { halfY } = stats;
+
+        const feetBlock = world.getBlock(Math.floor(mob.x), Math.floor(mob.y - halfY - 0.05), Math.floor(mob.z));
+        mob.onGround = world.isBlockSolid(feetBlock) && mob.vy <= 0;
+        if (mob.onGround) mob.vy = 0;
+        else mob.vy = Math.max(-MAX_FALL_SPEED, mob.vy - GRAVITY * FRAMES_PER_TICK);
+
+        if (mob.onGround && mob.moving && now - mob.lastJumpAt >= 350) {
+            const length = Math.hypot(mob.vx, mob.vz) || 1;
+            const probeX = Math.floor(mob.x + mob.vx / length * (HALF_WIDTH + 0.25));
+            const probeZ = Math.floor(mob.z + mob.vz / length * (HALF_WIDTH + 0.25));
+            const footY = Math.floor(mob.y - halfY + 0.01);
+            if (world.isBlockSolid(world.getBlock(probeX, footY, probeZ)) && !world.isBlockSolid(world.getBlock(probeX, footY + 1, probeZ))) {
+                mob.vy = stats.jumpPower;
+                mob.lastJumpAt = now;
+            }
+        }
+
+        const stepX = mob.vx * FRAMES_PER_TICK;
+        const stepY = mob.vy * FRAMES_PER_TICK;
+        const stepZ = mob.vz * FRAMES_PER_TICK;
+        if (!this.collides(mob.x + stepX, mob.y, mob.z, halfY)) mob.x += stepX;
+        else mob.vx = 0;
+        if (!this.collides(mob.x, mob.y, mob.z + stepZ, halfY)) mob.z += stepZ;
+        else mob.vz = 0;
+        if (!this.collides(mob.x, mob.y + stepY, mob.z, halfY)) {
+            mob.y += stepY;
+        } else {
+            // Landed: stand on top of the block below
+            if (stepY < 0) mob.y = Math.floor(mob.y - halfY + stepY) + 1 + halfY + 0.001;
+            mob.vy = 0;
+        }
+
+        // Fell out of the world
+        if (mob.y < -10) this.despawn(mob, 'despawned');
+    }
+
+    // A player hit a mob; reach and cooldown were already checked by the server
+    damage(id, playerId, amount) {
+        const mob = this.mobs.get(id);
+        if (!mob || !this.server.isSurvival(playerId)) return;
+        const stats = KINDS[mob.kind];
+        const player = this.server.players[playerId];
+
+        mob.health = Math.max(0, mob.health - amount);
+        mob.target = playerId; // Pigmen turn aggressive when hit
+        mob.dirty = true;
+        const dx = mob.x - player.x, dz = mob.z - player.z;
+        const length = Math.hypot(dx, dz) || 1;
+        mob.vx = dx / length * stats.knockback * KNOCKBACK_SCALE;
+        mob.vz = dz / length * stats.knockback * KNOCKBACK_SCALE;
+        mob.vy = 0.15;
+        mob.knockedBack = true;
+
+        if (mob.health <= 0) {
+            this.despawn(mob, 'killed', playerId);
+        }
+    }
+
+    // Distance check for attacks
+    position(id) {
+        const mob = this.mobs.get(id);
+        return mob ? { x: mob.x, y: mob.y, z: mob.z } : null;
+    }
+}
+
+MobManager.TICK_MS = TICK_MS;
+MobManager.KINDS = Object.keys(KINDS);
+
+module.exports = MobManager;
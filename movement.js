@@ -0,0 +1,137 @@
+// movement.js
+// Movement checks for the Node server (index.js): could the player have walked to where its state says?
+//
+// Clients run their own physics (Player.update in game.js) and report positions every STATE_INTERVAL_MS.
+// Each report is compared with the last accepted one using the client's per-frame (60fps) limits:
+//   horizontal  Player.sprintSpeed (also the Phinox flySpeed and roughly a knockback push)
+//   up          Player.jumpPower, the fastest anything lifts a player
+//   down        0.5, the fall speed cap
+// Time is counted in a bucket of frames that refills as real time passes, so a few reports
+// arriving in a burst after a network hiccup still pass.
+//
+// Players who may not fly (survival, not riding a Phinox) must also obey gravity: once off the
+// ground they may rise at most a jump's height, and must be below their take-off height again
+// within MAX_HANG_MS. Water counts as ground since players can swim up.
+//
+// Legitimate teleports (respawning) are announced with allowTeleport before the client makes them.
+const PLAYER_SPEED = 0.25; // Player.sprintSpeed
+const PLAYER_RISE = 0.3; // Player.jumpPower
+const PLAYER_FALL = 0.5; // Player.update fall speed cap
+const GRAVITY = 0.015; // Player.gravity
+const FRAME_MS = 1000 / 60;
+const TOLERANCE = 1.25; // Headroom over the client's limits for frame timing differences
+const MAX_BURST_FRAMES = 60; // At most one second of movement is saved up
+const SNAP_SLACK = 0.5; // Collision and step snapping move players a little without velocity
+const JUMP_HEIGHT = PLAYER_RISE * PLAYER_RISE / (2 * GRAVITY) + 1; // Highest jump plus a block of slack
+const MAX_HANG_MS = 1500; // A jump is over in about 0.7s
+const HALF_HEIGHT = 1; // Player.size.y / 2; positions are the middle of the player
+const FOOT_OFFSETS = [-0.3, 0, 0.3]; // Same samples as the client's ground check
+const TELEPORT_RADIUS = 4;
+const TELEPORT_TIMEOUT_MS = 10 * 1000;
+
+class MovementValidator {
+    // server: { world }
+    constructor(server) {
+        this.server = server;
+        this.tracks = new Map(); // playerId -> track, see playerJoined
+    }
+
+    playerJoined(playerId, position) {
+        const now = Date.now();
+        this.tracks.set(playerId, {
+            valid: { ...position }, // Last accepted position
+            ground: { ...position }, // Where it last stood (or swam), for fly offenders
+            checkedAt: now,
+            frames: MAX_BURST_FRAMES,
+            airSince: null, // Time it left the ground, null while supported
+            teleports: [] // [{ x, y, z, until }] destinations it may jump to
+        });
+    }
+
+    playerLeft(playerId) {
+        this.tracks.delete(playerId);
+    }
+
+    // The player is about to be moved to position by its own client (e.g. respawning)
+    allowTeleport(playerId, position) {
+        const track = this.tracks.get(playerId);
+        if (!track) return;
+        track.teleports.push({ x: position.x, y: position.y, z: position.z, until: Date.now() + TELEPORT_TIMEOUT_MS });
+    }
+
+    // Is the player standing on something or swimming?
+    isSupported(x, y, z) {
+        const { world } = this.server;
+        const feetY = y - HALF_HEIGHT;
+        const bx = Math.floor(x), bz = Math.floor(z);
+        if (world.getBlock(bx, Math.floor(feetY), bz) === 5 || world.getBlock(bx, Math.floor(y + HALF_HEIGHT - 0.1), bz) === 5) return true;
+        for (const ox of FOOT_OFFSETS) {
+            for (const oz of FOOT_OFFSETS) {
+                const fx = Math.floor(x + ox), fz = Math.floor(z + oz);
+                if (world.isBlockSolid(world.getBlock(fx, Math.floor(feetY - 0.01), fz))) return true;
+                if (world.isBlockSolid(world.getBlock(fx, Math.floor(feetY - SNAP_SLACK), fz))) return true;
+            }
+        }
+        return false;
+    }
+
+    // Fliers count as supported, so getting off a Phinox mid-air starts a fall from there
+    accept(track, state, now, canFly) {
+        track.valid = { x: state.x, y: state.y, z: state.z };
+        if (canFly || this.isSupported(state.x, state.y, state.z)) {
+            track.ground = { ...track.valid };
+            track.airSince = null;
+        } else if (track.airSince === null) {
+            track.airSince = now;
+        }
+    }
+
+    // Returns null when the reported position is fine (it becomes the last valid one), otherwise
+    // 'speed' or 'fly'. canFly: creative players and Phinox riders.
+    check(playerId, state, canFly) {
+        const track = this.tracks.get(playerId);
+        const now = Date.now();
+        track.frames = Math.min(track.frames + (now - track.checkedAt) / FRAME_MS, MAX_BURST_FRAMES);
+        track.checkedAt = now;
+
+        track.teleports = track.teleports.filter(t => t.until > now);
+        const teleport = track.teleports.find(t => Math.hypot(state.x - t.x, state.y - t.y, state.z - t.z) <= TELEPORT_RADIUS);
+        if (teleport) {
+            track.teleports = [];
+            track.frames = MAX_BURST_FRAMES;
+            track.airSince = null;
+            track.ground = { x: teleport.x, y: teleport.y, z: teleport.z };
+            this.accept(track, state, now, canFly);
+            return null;
+        }
+
+        const { valid } = track;
+        const horizontal = Math.max(0, Math.hypot(state.x - valid.x, state.z - valid.z) - SNAP_SLACK);
+        const up = Math.max(0, state.y - valid.y - SNAP_SLACK);
+        const down = Math.max(0, valid.y - state.y - SNAP_SLACK);
+        const needed = Math.max(horizontal / PLAYER_SPEED, up / PLAYER_RISE, down / PLAYER_FALL) / TOLERANCE;
+        if (needed > track.frames) return 'speed';
+
+        if (!canFly && !this.isSupported(state.x, state.y, state.z)) {
+            const airSince = track.airSince === null ? now : track.airSince;
+            if (state.y > track.ground.y + JUMP_HEIGHT) return 'fly';
+            if (now - airSince > MAX_HANG_MS && state.y >= track.ground.y) return 'fly';
+        }
+
+        track.frames -= needed;
+        this.accept(track, state, now, canFly);
+        return null;
+    }
+
+    // Where to put a player whose state was rejected: fliers go back to the ground
+    resetPosition(playerId, reason) {
+        const track = this.tracks.get(playerId);
+        if (reason === 'fly') {
+            track.valid = { ...track.ground };
+            track.airSince = null;
+        }
+        return { ...track.valid };
+    }
+}
+
+module.exports = MovementValidator;
@@ -0,0 +1,314 @@
+// Shared multiplayer protocol
+// Loaded by the browser via <script src="protocol.js"> (exposes globalThis.Protocol)
+// and by the Node server via require('./protocol') so both halves stay in sync.
+//
+// Every message is a JSON object sent as one WebSocket text frame with a `type`
+// field. Bump PROTOCOL_VERSION whenever a message shape changes incompatibly;
+// the server rejects clients whose hello carries a different version.
+//
+// Handshake:
+//   C->S hello       { version, name, team, account?, key?, room? }
+//                    (account/key: email and secret key of a server account, see accounts.js;
+//                     room: name of the room to join, default the first)
+//   S->C welcome     { version, id, room: RoomInfo, survival, players: [PlayerState], restore? }
+//                    (room tells the client which world to generate; players is everyone in the room,
+//                     including the new player; clients skip their own id.
+//                     Which of them are nearby follows as enterView messages.
+//                     survival: the game mode the server picked for you, the room's unless an op set
+//                     yours with /gamemode; restore { x, y, z, yaw, pitch } is the saved position of a
+//                     returning player)
+//   S->C reject      { reason, message }                       (socket is closed right after; also used to kick)
+//
+// Session:
+//   S->C join        { player: PlayerState }                  (connected; to everyone in the room)
+//   S->C leave       { id }                                   (disconnected; to everyone in the room)
+//   S->C enterView   { player: PlayerState } | { entity: EntityState } (came within your interest area)
+//   S->C leaveView   { id }                                   (player or entity went out of it)
+//   C->S state       { seq, correction, x, y, z, yaw, pitch } (every STATE_INTERVAL_MS; correction = last
+//                    positionCorrection applied)
+//   S->C state       { id, t, x, y, z, yaw, pitch }            (t = server time in ms, used to interpolate remote players)
+// The interest area is the square of chunks within renderDistance of your own chunk (see interest.js).
+// state, entity messages, blockChange and containerChange only arrive for things inside it; chunks
+// edited outside it are streamed as chunk messages when you come closer.
+//   S->C positionCorrection { correction, seq, x, y, z, reason } (server position for the sender's state seq;
+//                    reason out_of_world | speed | fly, see movement.js)
+//   S->C gameMode    { survival }                             (an op switched your game mode with /gamemode)
+//   C->S mount       { action }                               (summon | mount | dismount | recall, your Phinox.
+//                    Creative players fly anyway; survival players only while the server knows they ride:
+//                    summoning needs ground under you, mounting a Phinox within MOUNT_REACH, and dying
+//                    dismounts)
+//   S->C mount       { riding, phinox }                       (the server's view after a refused action or a
+//                    forced dismount; phinox false means you have none)
+// Clients sending more than 60 messages a second have the rest dropped, and are kicked at 240.
+//   C->S blockChange { x, y, z, blockType }                   (blockType 0 = break, otherwise place)
+//   S->C blockChange { id, x, y, z, blockType }               (accepted edits only; echoed to the sender as an ack)
+//   S->C blockCorrection { x, y, z, blockType, reason }       (rejected edit; blockType is the real block or null if unknown)
+//   S->C inventory   { slots }                                (survival only: the server's copy of your inventory, array
+//                    of 0 or { type, amount, ... }; sent after welcome and whenever your copy is known to be
+//                    wrong, e.g. a refused craft. Otherwise it only changes the way the client predicts:
+//                    breaking and placing blocks, container moves, crafts and the drops of mobs you kill)
+//   C->S craft       { recipe }                               (survival only; index into RECIPES)
+//   S->C chunk       { cx, cz, blocks, containers }           (edited chunk, sent as the player comes near it)
+//
+// Chests and candles (contents are owned by the server, see Room.handleContainerChange):
+//   C->S containerOpen   { x, y, z }                          (player opened the chest/candle there)
+//   S->C container       { x, y, z, kind, slots }             (its current contents, the answer to containerOpen)
+//   C->S containerChange { seq, x, y, z, changes: [{ slot, from, to }] } (one move in the open container's UI;
+//                        applied all or nothing, and only if every slot still holds `from`, so two players
+//                        can't both take the same item. In survival the items put in must come from the
+//                        player's inventory and the items taken out go into it; a refused move is followed
+//                        by an inventory message)
+//   S->C containerChange { id, seq, x, y, z, changes: [{ slot, item }] } (accepted move; echoed to the sender
+//                        as an ack of its seq)
+//   S->C containerCorrection { seq, x, y, z, slots }          (rejected move; slots are the real contents, null
+//                        when the container isn't open or out of reach)
+//   C->S containerClose  { x, y, z }
+// from, to and item are slot entries: 0 or { type, amount, ... }.
+//   C->S chat        { text }                                 (text starting with / is an admin command, see admin.js)
+//   S->C chat        { id, name, text }                       (echoed to the sender too; id null for server notices)
+//   C->S ping        { n, rtt? }                              (every PING_INTERVAL_MS; rtt = the client's latest round
+//                    trip in ms, once it has one)
+//   S->C pong        { n, pings: { id: ms } }                 (answers ping n at once; pings: the latest rtt of every
+//                    player in the room that reported one, for the player list)
+//
+// Mobs (simulated by the server, see mobs.js):
+//   S->C entitySpawn   { entity: EntityState }                 (new mob in your area; mobs already there come as enterView)
+//   S->C entityUpdate  { t, entities: [{ id, x, y, z, yaw, health }] } (mobs you see that moved or changed this tick)
+//   S->C entityDespawn { id, reason, x?, y?, z?, drops? }      (reason killed | despawned; the killer alone gets
+//                      the position and drops: [{ type, amount }] to spawn as pickups)
+//   C->S attack      { target, damage }                       (target may be an entity id: hitting a mob)
+//   S->C damage      { attacker, amount }                     (attacker may be an entity id: a mob hit you)
+// EntityState: { id, kind, x, y, z, yaw, health, maxHealth }, kind pigman | minutor | priest.
+// Entity ids start with 'e', player ids with 'p'.
+//
+// Capture the flag (rooms in ctf mode):
+//   S->C match       { phase, remaining, scores: { red, blue }, flags: { red: Flag, blue: Flag }, winner, friendlyFire }
+//                    (phase lobby | countdown | match | results; remaining ms in the phase; sent on every change)
+//   C->S attack      { target, damage }                       (melee hit on another player; damage from Player.getAttackDamage)
+//   S->C damage      { attacker, amount }                     (to the victim, applied with Player.takeDamage)
+//   C->S died        { by }                                   (victim's health reached 0; it respawns at its base.
+//                                                             Also sent outside matches when respawning at the world spawn)
+// Flag: { home: {x,y,z}, spawn: {x,y,z}, carrier: player id or null }. The flag itself is a block
+// (FLAG_BLOCKS); taking it is a blockChange that breaks it, server-made changes carry id null.
+//
+// Chunk blocks are base64 of the chunk's Uint8Array (VoxelWorld.encodeChunkBlocks, same as saveWorld).
+// containers maps 'x,y,z' -> { kind, slots } for every chest/candle in the chunk whose contents are known.
+//
+// Rooms: a server runs one or more worlds, each with its own players (see room.js).
+// GET /rooms on the server's HTTP port lists them as JSON: [{ name, worldType, seed, mode, survival, players }]
+// (players is the count). RoomInfo in welcome is the same without the count.
+// worldType is one of WORLD_TYPES, mode sandbox | ctf; the seed (a 32-bit integer) goes to VoxelWorld.
+// survival is the room's default game mode (false: creative).
+//
+// PlayerState: { id, name, team, x, y, z, yaw, pitch, cosmetics }
+// Cosmetics: { nameColor?, cape?, tint? }, each a '#rrggbb' color granted by the server's account list
+// (empty for guests). Clients render exactly what they are given, including for themselves.
+// Positions are world units (1 block = 1 unit), yaw/pitch are radians.
+
+const Protocol = {
+    PROTOCOL_VERSION: 4,
+
+    MessageType: {
+        HELLO: 'hello',
+        WELCOME: 'welcome',
+        REJECT: 'reject',
+        JOIN: 'join',
+        LEAVE: 'leave',
+        STATE: 'state',
+        POSITION_CORRECTION: 'positionCorrection',
+        GAME_MODE: 'gameMode',
+        MOUNT: 'mount',
+        BLOCK_CHANGE: 'blockChange',
+        BLOCK_CORRECTION: 'blockCorrection',
+        INVENTORY: 'inventory',
+        CRAFT: 'craft',
+        CHUNK: 'chunk',
+        CONTAINER: 'container',
+        CONTAINER_OPEN: 'containerOpen',
+        CONTAINER_CHANGE: 'containerChange',
+        CONTAINER_CORRECTION: 'containerCorrection',
+        CONTAINER_CLOSE: 'containerClose',
+        CHAT: 'chat',
+        MATCH: 'match',
+        ATTACK: 'attack',
+        DAMAGE: 'damage',
+        DIED: 'died',
+        ENTITY_SPAWN: 'entitySpawn',
+        ENTITY_UPDATE: 'entityUpdate',
+        ENTITY_DESPAWN: 'entityDespawn',
+        ENTER_VIEW: 'enterView',
+        LEAVE_VIEW: 'leaveView',
+        PING: 'ping',
+        PONG: 'pong'
+    },
+
+    RejectReason: {
+        VERSION_MISMATCH: 'version_mismatch',
+        BAD_HELLO: 'bad_hello',
+        BANNED: 'banned',
+        NOT_WHITELISTED: 'not_whitelisted',
+        KICKED: 'kicked',
+        FLOODING: 'flooding',
+        UNKNOWN_ROOM: 'unknown_room',
+        NAME_TAKEN: 'name_taken'
+    },
+
+    TEAMS: ['red', 'blue'],
+    FLAG_BLOCKS: { red: 37, blue: 38 },
+    MAX_NAME_LENGTH: 24,
+    MOUNT_REACH: 3, // Blocks between a player and the Phinox it mounts
+    MAX_CHAT_LENGTH: 200,
+    STATE_INTERVAL_MS: 50, // Clients send their state at most this often
+    PING_INTERVAL_MS: 2000,
+    INVENTORY_SLOTS: 30,
+    CONTAINER_SLOTS: { chest: 20, candle: 3 },
+    COSMETIC_FIELDS: ['nameColor', 'cape', 'tint'],
+    WORLD_TYPES: ['default', 'flat', 'islands', 'fortress', 'fairia'],
+    // Survival crafting (the inventory screen's recipe list); the server checks and applies crafts
+    RECIPES: [
+        { inputs: { 6: 1 }, result: 13, resultAmount: 2, name: '1 Wood → 2 Planks' },
+        { inputs: { 13: 2 }, result: 15, resultAmount: 1, name: '2 Planks → 1 Stick' },
+        { inputs: { 13: 1 }, result: 14, resultAmount: 1, name: '1 Plank → 1 Paper' },
+        { inputs: { 14: 1, 15: 1 }, result: 16, resultAmount: 1, name: '1 Paper + 1 Stick → 1 Scroll' },
+        { inputs: { 17: 2 }, result: 21, resultAmount: 1, name: '2 Pork → Leather Boots' },
+        { inputs: { 17: 3 }, result: 20, resultAmount: 1, name: '3 Pork → Leather Leggings' },
+        { inputs: { 17: 4 }, result: 18, resultAmount: 1, name: '4 Pork → Leather Helmet' },
+        { inputs: { 17: 5 }, result: 19, resultAmount: 1, name: '5 Pork → Leather Chestplate' },
+        { inputs: { 3: 2, 15: 1 }, result: 22, resultAmount: 1, name: '2 Stone + 1 Stick → Stone Sword' },
+        { inputs: { 15: 1, 24: 1 }, result: 25, resultAmount: 1, name: '1 Stick + 1 Coal → 1 Torch' },
+        { inputs: { 16: 1, 8: 1, 27: 1 }, result: 28, resultAmount: 1, name: '1 Scroll + 1 Ruby + 1 Mana Orb → 1 Fortitudo Scroll' },
+        { inputs: { 16: 1, 8: 1 }, result: 35, resultAmount: 1, name: '1 Scroll + 1 Ruby → 1 Smiteth Scroll' },
+        { inputs: { 1: 1, 27: 1 }, result: 36, resultAmount: 1, name: '1 Dirt + 1 Mana Orb → 1 Gloom' },
+        { inputs: { 3: 1, 13: 1 }, result: 30, resultAmount: 1, name: '1 Stone + 1 Plank → 1 Chisel' },
+        { inputs: { 1: 5 }, result: 31, resultAmount: 1, name: '5 Dirt → 1 Cloud Pillow' }
+    ],
+    ROOM_NAME: /^[A-Za-z0-9_-]{1,24}$/,
+
+    // Serialize a message of the given type
+    encode(type, payload = {}) {
+        return JSON.stringify({ type, ...payload });
+    },
+
+    // Parse a raw frame; returns null for anything that is not a typed JSON object
+    decode(data) {
+        let msg;
+        try {
+            msg = JSON.parse(typeof data === 'string' ? data : String(data));
+        } catch {
+            return null;
+        }
+        if (!msg || typeof msg !== 'object' || typeof msg.type !== 'string') return null;
+        return msg;
+    },
+
+    sanitizeName(name) {
+        const trimmed = String(name == null ? '' : name).replace(/[\u0000-\u001f]/g, '').trim();
+        return trimmed.slice(0, Protocol.MAX_NAME_LENGTH) || 'Player';
+    },
+
+    // Chat text: single line, no control characters, capped length; '' means drop the message
+    sanitizeChat(text) {
+        return String(text == null ? '' : text).replace(/[\u0000-\u001f]/g, ' ').trim().slice(0, Protocol.MAX_CHAT_LENGTH);
+    },
+
+    // Keep only known cosmetic fields holding '#rrggbb' colors
+    readCosmetics(cosmetics) {
+        const result = {};
+        if (!cosmetics || typeof cosmetics !== 'object') return result;
+        for (const field of Protocol.COSMETIC_FIELDS) {
+            const value = cosmetics[field];
+            if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) result[field] = value.toLowerCase();
+        }
+        return result;
+    },
+
+    sanitizeTeam(team) {
+        return Protocol.TEAMS.includes(team) ? team : 'red';
+    },
+
+    // Pull a finite number out of a message field, falling back when missing/NaN
+    toNumber(value, fallback = 0) {
+        const n = Number(value);
+        return Number.isFinite(n) ? n : fallback;
+    },
+
+    // Normalize an incoming state message into position/orientation fields
+    readState(msg) {
+        return {
+            x: Protocol.toNumber(msg.x),
+            y: Protocol.toNumber(msg.y, 70),
+            z: Protocol.toNumber(msg.z),
+            yaw: Protocol.toNumber(msg.yaw),
+            pitch: Protocol.toNumber(msg.pitch)
+        };
+    },
+
+    // Normalize an incoming block change; returns null when coordinates/type are unusable
+    readBlockChange(msg) {
+        const x = Number(msg.x), y = Number(msg.y), z = Number(msg.z), blockType = Number(msg.blockType);
+        if (![x, y, z, blockType].every(Number.isInteger)) return null;
+        if (blockType < 0 || blockType > 255) return null;
+        return { x, y, z, blockType };
+    },
+
+    // Normalize an inventory slot array (same shape as Player.inventory)
+    readInventory(slots) {
+        return Protocol.readSlots(slots, Protocol.INVENTORY_SLOTS);
+    },
+
+    // Normalize a containerChange request; returns null for bad coordinates, slot numbers or repeated slots
+    readContainerChange(msg) {
+        const x = Number(msg.x), y = Number(msg.y), z = Number(msg.z);
+        if (![x, y, z].every(Number.isInteger) || !Array.isArray(msg.changes)) return null;
+        const maxSlots = Math.max(...Object.values(Protocol.CONTAINER_SLOTS));
+        if (msg.changes.length === 0 || msg.changes.length > maxSlots) return null;
+        const changes = [];
+        for (const change of msg.changes) {
+            const slot = Number(change && change.slot);
+            if (!Number.isInteger(slot) || slot < 0 || slot >= maxSlots) return null;
+            if (changes.some(other => other.slot === slot)) return null;
+            const [from, to] = Protocol.readSlots([change.from, change.to], 2);
+            changes.push({ slot, from, to });
+        }
+        return { seq: Protocol.toNumber(msg.seq), x, y, z, changes };
+    },
+
+    // Two slot entries hold the same thing (field order doesn't matter)
+    sameItem(a, b) {
+        const canonical = (item) => (item && typeof item === 'object')
+            ? JSON.stringify(Object.keys(item).sort().map(key => [key, item[key]]))
+            : String(item || 0);
+        return canonical(a) === canonical(b);
+    },
+
+    // Normalize a container update; returns null for unknown kinds or bad coordinates
+    readContainer(msg) {
+        const x = Number(msg.x), y = Number(msg.y), z = Number(msg.z);
+        if (![x, y, z].every(Number.isInteger)) return null;
+        const size = Protocol.CONTAINER_SLOTS[msg.kind];
+        if (!size) return null;
+        return { x, y, z, kind: msg.kind, slots: Protocol.readSlots(msg.slots, size) };
+    },
+
+    // Normalize any slot array to `count` entries of 0 or { type, amount, ... }
+    readSlots(slots, count) {
+        const inventory = new Array(count).fill(0);
+        if (!Array.isArray(slots)) return inventory;
+        for (let i = 0; i < inventory.length && i < slots.length; i++) {
+            const item = slots[i];
+            if (Number.isInteger(item) && item > 0) {
+                inventory[i] = item; // Legacy numeric slot
+            } else if (item && typeof item === 'object' && Number.isInteger(item.type) && item.type > 0) {
+                const amount = Math.max(0, Math.floor(Protocol.toNumber(item.amount, 1)));
+                if (amount > 0) inventory[i] = { ...item, amount };
+            }
+        }
+        return inventory;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Protocol;
+} else {
+    globalThis.Protocol = Protocol;
+}
@@ -0,0 +1,69 @@
+// replay.js
+// Records a room's message stream to a file for tournament review and bug reports; the browser
+// client plays it back (Watch Replay in the main menu, Game.startReplay in game.js).
+//
+// A recording is JSON Lines in <data dir>/replays/<room>-<start time>.jsonl:
+//   line 1   { replay: 1, protocol, room: RoomInfo, startedAt, players: [PlayerState],
+//              entities: [EntityState], match, chunks: [{ cx, cz, blocks, containers }] }
+//            (the room as recording started: everyone in it, its mobs, the ctf match state or null,
+//             and every chunk edited since boot, like chunk messages)
+//   then     { at, type, ...payload }, one per event, at = ms since startedAt
+// Events are the messages clients get, recorded once for the whole room rather than per interest
+// area: join, leave, chat, match, state, blockChange, containerChange and the entity messages.
+// Combat adds two of its own:
+//   damage { attacker, target, amount }   (accepted hit; either side may be a player or an entity id)
+//   died   { id, by }                     (player died, by: the killer's id or null)
+// Lines are buffered and appended every FLUSH_INTERVAL_MS, and on stop.
+const fs = require('fs');
+const path = require('path');
+const Protocol = require('./protocol');
+
+const FORMAT_VERSION = 1;
+const FLUSH_INTERVAL_MS = 1000;
+
+class ReplayRecorder {
+    // header: everything of line 1 but replay, protocol and startedAt
+    constructor(dir, header) {
+        this.startedAt = Date.now();
+        const stamp = new Date(this.startedAt).toISOString().replace(/[:.]/g, '-');
+        this.file = path.join(dir, `${header.room.name}-${stamp}.jsonl`);
+        this.lines = [];
+        this.events = 0;
+
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify({
+            replay: FORMAT_VERSION,
+            protocol: Protocol.PROTOCOL_VERSION,
+            startedAt: this.startedAt,
+            ...header
+        }) + '\n');
+        this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+    }
+
+    record(type, payload) {
+        this.lines.push(JSON.stringify({ at: Date.now() - this.startedAt, type, ...payload }));
+        this.events++;
+    }
+
+    flush() {
+        if (!this.lines.length) return;
+        const data = this.lines.join('\n') + '\n';
+        this.lines = [];
+        try {
+            fs.appendFileSync(this.file, data);
+        } catch (e) {
+            console.error(`Failed to write replay ${this.file}:`, e.message);
+        }
+    }
+
+    // Returns { file, events, duration } (duration in ms)
+    stop() {
+        clearInterval(this.flushTimer);
+        this.flush();
+        return { file: this.file, events: this.events, duration: Date.now() - this.startedAt };
+    }
+}
+
+ReplayRecorder.FORMAT_VERSION = FORMAT_VERSION;
+
+module.exports = ReplayRecorder;
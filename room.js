@@ -0,0 +1,840 @@
+// room.js
+// One world on the Node server (index.js) and everyone playing in it.
+//
+// A server runs one or more rooms (see rooms.json in index.js). Each room has its own world
+// (worldType and seed), players, saved data, mobs and, in ctf mode, its own match. Players only
+// see, hear and chat with the players of their room; admin commands and server notices span all
+// rooms.
+//
+// The handshake (version check, bans, accounts) happens in index.js, which then hands the socket
+// to a room with join() and forwards every later message to handleMessage().
+// While a recording runs (startRecording, see replay.js) everything the room's players could see
+// is also written to a replay file.
+const Protocol = require('./protocol');
+const { VoxelWorld } = require('./world');
+const WorldStorage = require('./storage');
+const CtfMatch = require('./ctf');
+const MobManager = require('./mobs');
+const InterestManager = require('./interest');
+const MovementValidator = require('./movement');
+const ReplayRecorder = require('./replay');
+
+const { MessageType } = Protocol;
+const MATCH_TICK_MS = 250;
+const MAX_PING_MS = 60 * 1000; // Reported latencies are clamped to this
+
+// Block edit validation (mirrors the client's raycast and placement rules)
+const EYE_HEIGHT = 1.3; // Player.getCamera eye offset
+const REACH_DISTANCE = 6 + 2; // Client raycast reach plus slack for latency
+const BEDROCK_LEVEL = 2; // Rows below this are unbreakable
+const MAX_BLOCK_ID = 39;
+const FLAG_TYPES = new Set(Object.values(Protocol.FLAG_BLOCKS));
+const NON_PLACEABLE = new Set([30, 31, ...FLAG_TYPES]); // Chisel, Cloud Pillow, flags
+const MAX_STACK = 99;
+const WORLD_MARGIN = 64; // How far above/below the world a reported position may be
+const WORLD_SPAWN = { x: 0, y: 70, z: 0 }; // Where clients start and respawn (see the Game constructor)
+
+// PvP (CTF matches only)
+const ATTACK_REACH = 4 + 2; // Client attack range plus slack for latency
+const ATTACK_COOLDOWN_MS = 250;
+const MAX_ATTACK_DAMAGE = 20; // Best sword with a large scroll bonus
+
+// Deaths, which the victim's client reports
+const RESPAWN_COOLDOWN_MS = 5000; // Deaths reported sooner after the last one are ignored
+const KILL_CREDIT_MS = 10 * 1000; // A death is credited to whoever hit the player within this time
+
+// Chunk streaming: edited chunks are sent to each client as it comes within range
+const STREAM_RADIUS = InterestManager.INTEREST_RADIUS + 1; // Client renderDistance plus one so data arrives before meshing
+const CONTAINER_BLOCKS = { 26: 'chest', 29: 'candle' };
+
+function itemType(item) {
+    return (item && typeof item === 'object') ? item.type : item;
+}
+
+// Remove one of blockType from a survival inventory; false when the player has none
+function takeFromInventory(inventory, blockType) {
+    for (let i = 0; i < inventory.length; i++) {
+        const item = inventory[i];
+        if (itemType(item) !== blockType) continue;
+        if (typeof item === 'object') {
+            if (item.amount <= 0) continue;
+            item.amount--;
+            if (item.amount <= 0) inventory[i] = 0;
+        } else {
+            inventory[i] = 0;
+        }
+        return true;
+    }
+    return false;
+}
+
+// How many of blockType an inventory holds
+function countInInventory(inventory, blockType) {
+    return inventory.reduce((sum, item) => {
+        if (itemType(item) !== blockType) return sum;
+        return sum + (typeof item === 'object' ? item.amount : 1);
+    }, 0);
+}
+
+// Same stacking rules as Game.performBlockDestruction
+function addToInventory(inventory, blockType) {
+    for (const item of inventory) {
+        if (item && typeof item === 'object' && item.type === blockType && item.amount < MAX_STACK) {
+            item.amount++;
+            return true;
+        }
+    }
+    const empty = inventory.indexOf(0);
+    if (empty === -1) return false;
+    inventory[empty] = { type: blockType, amount: 1 };
+    return true;
+}
+
+// What a client may put into a container slot: nothing, or a plain stack of a known item
+function isPlainItem(item) {
+    if (!item) return true;
+    if (typeof item !== 'object') return item <= MAX_BLOCK_ID;
+    return Object.keys(item).length === 2 && item.type <= MAX_BLOCK_ID && item.amount <= MAX_STACK;
+}
+
+// type -> how many of it a container move hands the player (negative for what it puts in)
+function containerMoveDelta(changes) {
+    const delta = new Map();
+    const count = (item, sign) => {
+        if (!item) return;
+        const type = itemType(item);
+        delta.set(type, (delta.get(type) || 0) + sign * (typeof item === 'object' ? item.amount : 1));
+    };
+    for (const { from, to } of changes) {
+        count(from, 1);
+        count(to, -1);
+    }
+    return delta;
+}
+
+class Room {
+    // config: { name, worldType, seed, mode ('sandbox' | 'ctf'), survival, dir, replayDir, friendlyFire }
+    // server: { send(socket, type, payload), countSent(type, data, recipients),
+    //          runCommand(sender, text, reply), timeTick(tick, room, fn) }
+    constructor(config, server) {
+        this.name = config.name;
+        this.worldType = config.worldType;
+        this.seed = config.seed;
+        this.mode = config.mode;
+        this.survival = config.survival; // Game mode of players without a /gamemode of their own
+        this.replayDir = config.replayDir;
+        this.server = server;
+        this.recorder = null; // ReplayRecorder while recording
+
+        // The server owns the authoritative world; clients only request edits
+        this.world = new VoxelWorld(this.worldType, this.seed);
+        this.world.lightingEnabled = false; // Lightmaps are a rendering concern
+        this.storage = new WorldStorage(config.dir);
+        this.movement = new MovementValidator({ world: this.world });
+
+        // id -> { id, name, team, x, y, z, yaw, pitch, cosmetics } (public, sent to other clients)
+        this.players = {};
+        // id -> { socket, ip, account, survival, inventory, chunkRevisions, streamCenter, ... } (private)
+        this.sessions = new Map();
+        // 'cx,cz' -> revision for every chunk edited since boot (block changes or container contents)
+        this.chunkRevisions = new Map();
+        // 'x,y,z' -> { kind, slots } for chests/candles whose contents players have changed
+        this.containers = new Map();
+        // name -> { x, y, z, yaw, pitch, inventory, survival? } for everyone who has played here
+        // (survival only when /gamemode gave the player a different mode than the room's)
+        this.savedPlayers = new Map();
+
+        const sendTo = (playerId, type, payload) => this.sendTo(playerId, type, payload);
+        this.mobs = new MobManager({
+            world: this.world, players: this.players,
+            damagePlayer: (playerId, attacker, amount) => this.damagePlayer(playerId, attacker, amount),
+            isSurvival: (playerId) => this.sessions.has(playerId) && this.sessions.get(playerId).survival,
+            onSpawn: (entity) => {
+                this.record(MessageType.ENTITY_SPAWN, { entity });
+                this.interest.mobSpawned(entity);
+            },
+            onMove: (t, updates) => {
+                this.record(MessageType.ENTITY_UPDATE, { t, entities: updates });
+                this.interest.mobsMoved(t, updates);
+            },
+            onRemove: (id, payload, killerId, loot) => {
+                this.record(MessageType.ENTITY_DESPAWN, payload);
+                // The killer's client spawns the drops as pickups; the server credits them right away
+                if (loot) this.giveItems(killerId, loot.drops);
+                this.interest.mobRemoved(id, payload, killerId, loot);
+            }
+        }, { naturalSpawns: this.mode !== 'ctf' });
+        this.interest = new InterestManager({ world: this.world, players: this.players, mobs: this.mobs, sendTo });
+
+        this.match = null; // CtfMatch in ctf rooms
+        if (this.mode === 'ctf') {
+            this.match = new CtfMatch({
+                world: this.world,
+                players: this.players,
+                broadcast: (type, payload) => this.broadcast(type, payload),
+                setBlock: (x, y, z, blockType) => this.setServerBlock(x, y, z, blockType),
+                notice: (text) => this.notice(text),
+                allowTeleport: (playerId, position) => this.movement.allowTeleport(playerId, position),
+                log: (text) => this.log(text)
+            }, { friendlyFire: !!config.friendlyFire });
+        }
+    }
+
+    // What the main menu lists (GET /rooms) and what welcome tells the client to generate
+    info() {
+        return {
+            name: this.name,
+            worldType: this.worldType,
+            seed: this.seed,
+            mode: this.mode,
+            survival: this.survival,
+            players: Object.keys(this.players).length
+        };
+    }
+
+    start() {
+        setInterval(() => this.server.timeTick('mobs', this.name, () => this.mobs.tick()), MobManager.TICK_MS);
+        if (this.match) {
+            setInterval(() => this.server.timeTick('match', this.name, () => this.match.tick()), MATCH_TICK_MS);
+        }
+    }
+
+    log(text) {
+        console.log(`[${this.name}] ${text}`);
+    }
+
+    // Start writing a replay (see replay.js); returns its file, or null when already recording
+    startRecording() {
+        if (this.recorder) return null;
+        const chunks = [...this.chunkRevisions.keys()].map(key => {
+            const [cx, cz] = key.split(',').map(Number);
+            return this.chunkMessage(cx, cz);
+        });
+        const { name, worldType, seed, mode } = this;
+        this.recorder = new ReplayRecorder(this.replayDir, {
+            room: { name, worldType, seed, mode },
+            players: Object.values(this.players),
+            entities: this.mobs.list(),
+            match: this.match ? this.match.state() : null,
+            chunks
+        });
+        this.log(`Recording to ${this.recorder.file}`);
+        this.notice('This room is being recorded');
+        return this.recorder.file;
+    }
+
+    // Returns { file, events, duration }, or null when not recording
+    stopRecording() {
+        if (!this.recorder) return null;
+        const result = this.recorder.stop();
+        this.recorder = null;
+        this.log(`Recorded ${result.events} events to ${result.file}`);
+        return result;
+    }
+
+    record(type, payload) {
+        if (this.recorder) this.recorder.record(type, payload);
+    }
+
+    sendTo(playerId, type, payload) {
+        const session = this.sessions.get(playerId);
+        if (session) this.server.send(session.socket, type, payload);
+    }
+
+    // Send to every player in the room, optionally skipping one id
+    broadcast(type, payload, exceptId = null) {
+        this.record(type, payload);
+        const data = Protocol.encode(type, payload);
+        let recipients = 0;
+        for (const [id, { socket }] of this.sessions) {
+            if (id === exceptId || socket.readyState !== socket.OPEN) continue;
+            socket.send(data);
+            recipients++;
+        }
+        this.server.countSent(type, data, recipients);
+    }
+
+    // Chat line from the server itself
+    notice(text) {
+        this.log(`[notice] ${text}`);
+        this.broadcast(MessageType.CHAT, { id: null, name: 'Server', text });
+    }
+
+    chunkKeyAt(x, z) {
+        const { world } = this;
+        return world.getChunkKey(Math.floor(x / world.chunkSize), Math.floor(z / world.chunkSize));
+    }
+
+    // Bump a chunk's revision after an edit; returns the new revision.
+    // sendChunkUpdate moves the clients that receive the edit live along with it.
+    markChunkEdited(key) {
+        const revision = (this.chunkRevisions.get(key) || 0) + 1;
+        this.chunkRevisions.set(key, revision);
+        return revision;
+    }
+
+    containersInChunk(cx, cz) {
+        const { chunkSize } = this.world;
+        const result = {};
+        for (const [key, container] of this.containers) {
+            const [x, , z] = key.split(',').map(Number);
+            if (Math.floor(x / chunkSize) === cx && Math.floor(z / chunkSize) === cz) {
+                result[key] = container;
+            }
+        }
+        return result;
+    }
+
+    chunkMessage(cx, cz) {
+        return { cx, cz, blocks: this.world.encodeChunkBlocks(cx, cz), containers: this.containersInChunk(cx, cz) };
+    }
+
+    // Send every edited chunk near the player that its client has not seen at the current revision.
+    // Returns true when the player entered another chunk.
+    streamChunks(playerId) {
+        const { world } = this;
+        const player = this.players[playerId];
+        const session = this.sessions.get(playerId);
+        const pcx = Math.floor(player.x / world.chunkSize);
+        const pcz = Math.floor(player.z / world.chunkSize);
+        const center = world.getChunkKey(pcx, pcz);
+        if (center === session.streamCenter) return false;
+        session.streamCenter = center;
+
+        for (const [key, revision] of this.chunkRevisions) {
+            if ((session.chunkRevisions.get(key) || 0) >= revision) continue;
+            const [cx, cz] = key.split(',').map(Number);
+            if (Math.abs(cx - pcx) > STREAM_RADIUS || Math.abs(cz - pcz) > STREAM_RADIUS) continue;
+            this.server.send(session.socket, MessageType.CHUNK, this.chunkMessage(cx, cz));
+            session.chunkRevisions.set(key, revision);
+        }
+        return true;
+    }
+
+    // Block and container updates only go to players whose area covers the chunk (see interest.js).
+    // The chunk's revision moves on for them; everyone else is now behind and gets the whole chunk
+    // from streamChunks once they come close.
+    sendChunkUpdate(x, z, type, payload, exceptId = null) {
+        this.record(type, payload);
+        const key = this.chunkKeyAt(x, z);
+        const known = this.markChunkEdited(key) - 1;
+        for (const [id, session] of this.sessions) {
+            if (!this.interest.covers(id, x, z)) continue;
+            if ((session.chunkRevisions.get(key) || 0) !== known) {
+                // Missed an earlier change: a single block would leave the rest stale
+                const [cx, cz] = key.split(',').map(Number);
+                this.server.send(session.socket, MessageType.CHUNK, this.chunkMessage(cx, cz));
+            }
+            if (id !== exceptId) this.server.send(session.socket, type, payload);
+            session.chunkRevisions.set(key, known + 1);
+        }
+    }
+
+    // Server-made edit (game mode rules); id null tells clients no player made it
+    setServerBlock(x, y, z, blockType) {
+        this.world.setBlock(x, y, z, blockType);
+        this.sendChunkUpdate(x, z, MessageType.BLOCK_CHANGE, { id: null, x, y, z, blockType });
+    }
+
+    // Remember where a connected player is, what they carry (survival inventory only) and their game mode
+    rememberPlayer(playerId) {
+        const { name, x, y, z, yaw, pitch } = this.players[playerId];
+        const session = this.sessions.get(playerId);
+        const previous = this.savedPlayers.get(name);
+        const inventory = session.survival ? session.inventory : (previous ? previous.inventory : null);
+        const state = { x, y, z, yaw, pitch, inventory };
+        if (session.survival !== this.survival) state.survival = session.survival;
+        this.savedPlayers.set(name, state);
+    }
+
+    load() {
+        const saved = this.storage.load();
+        for (const [key, blocks] of Object.entries(saved.chunks)) {
+            const [cx, cz] = key.split(',').map(Number);
+            this.world.loadChunkBlocks(cx, cz, blocks);
+            this.chunkRevisions.set(key, 1); // Newer than every client's generated copy
+        }
+        for (const [kind, stored] of [['chest', saved.containers.chestStorage], ['candle', saved.containers.candleStorage]]) {
+            for (const [key, slots] of Object.entries(stored)) {
+                this.containers.set(key, { kind, slots: Protocol.readSlots(slots, Protocol.CONTAINER_SLOTS[kind]) });
+            }
+        }
+        for (const [name, state] of Object.entries(saved.players)) {
+            this.savedPlayers.set(name, state);
+        }
+        this.log(`Loaded ${this.chunkRevisions.size} chunks, ${this.containers.size} containers and ${this.savedPlayers.size} players from ${this.storage.dir}`);
+    }
+
+    save() {
+        for (const playerId of this.sessions.keys()) this.rememberPlayer(playerId);
+
+        const chunks = {};
+        for (const key of this.chunkRevisions.keys()) {
+            const [cx, cz] = key.split(',').map(Number);
+            chunks[key] = this.world.encodeChunkBlocks(cx, cz);
+        }
+        const chestStorage = {};
+        const candleStorage = {};
+        for (const [key, { kind, slots }] of this.containers) {
+            (kind === 'candle' ? candleStorage : chestStorage)[key] = slots;
+        }
+
+        try {
+            this.storage.save({
+                chunks,
+                containers: { chestStorage, candleStorage },
+                players: Object.fromEntries(this.savedPlayers)
+            });
+            this.log(`World saved (${this.chunkRevisions.size} chunks, ${this.containers.size} containers, ${this.savedPlayers.size} players)`);
+        } catch (e) {
+            console.error(`[${this.name}] Failed to save world:`, e.message);
+        }
+    }
+
+    // Finish the handshake for a player index.js accepted into this room
+    // account: the email the player authenticated with, null for guests
+    join(playerId, socket, ip, hello, account, cosmetics) {
+        const { players, sessions } = this;
+        const name = Protocol.sanitizeName(hello.name);
+        const saved = this.savedPlayers.get(name);
+        const survival = saved && typeof saved.survival === 'boolean' ? saved.survival : this.survival;
+        players[playerId] = {
+            id: playerId,
+            name,
+            team: Protocol.sanitizeTeam(hello.team),
+            ...WORLD_SPAWN, yaw: 0, pitch: 0,
+            cosmetics
+        };
+        sessions.set(playerId, {
+            socket,
+            ip,
+            account,
+            survival,
+            // Survival players start empty; only the server changes it (see the inventory message)
+            inventory: Protocol.readInventory(saved && saved.inventory),
+            chunkRevisions: new Map(), // 'cx,cz' -> revision this client has
+            streamCenter: null,
+            correctionId: 0, // Count of positionCorrections sent
+            lastAttackAt: 0,
+            lastHitBy: null, // Player or mob id that last damaged this player (see damagePlayer)
+            lastHitAt: 0,
+            lastDiedAt: 0,
+            openContainer: null, // 'x,y,z' of the chest/candle the player has open
+            phinox: null, // { x, y, z } of the player's Phinox while it has one summoned
+            riding: false, // On that Phinox, which lets survival players fly
+            ping: null // Round trip in ms as the client last reported it
+        });
+
+        // Returning players continue where they logged out
+        let restore;
+        if (saved) {
+            Object.assign(players[playerId], Protocol.readState(saved));
+            const { x, y, z, yaw, pitch } = players[playerId];
+            restore = { x, y, z, yaw, pitch };
+        }
+        this.movement.playerJoined(playerId, { x: players[playerId].x, y: players[playerId].y, z: players[playerId].z });
+        this.log(`Player joined: ${name} (${playerId}, ${players[playerId].team})`);
+
+        this.server.send(socket, MessageType.WELCOME, {
+            version: Protocol.PROTOCOL_VERSION,
+            id: playerId,
+            room: { name: this.name, worldType: this.worldType, seed: this.seed, mode: this.mode, survival: this.survival },
+            survival,
+            players: Object.values(players),
+            restore
+        });
+        if (survival) this.sendInventory(playerId);
+        this.broadcast(MessageType.JOIN, { player: players[playerId] }, playerId);
+        if (this.match) {
+            this.match.onPlayerJoined(playerId);
+            this.server.send(socket, MessageType.MATCH, this.match.state());
+        }
+        this.streamChunks(playerId);
+        this.interest.playerJoined(playerId);
+        this.interest.playerMoved(playerId, false); // Let nearby players see the newcomer
+    }
+
+    leave(playerId) {
+        this.log(`Player disconnected: ${playerId}`);
+        this.rememberPlayer(playerId);
+        delete this.players[playerId];
+        this.sessions.delete(playerId);
+        this.interest.playerLeft(playerId);
+        this.movement.playerLeft(playerId);
+        this.broadcast(MessageType.LEAVE, { id: playerId });
+        if (this.match) this.match.onPlayerLeft(playerId);
+    }
+
+    handleMessage(playerId, msg) {
+        const session = this.sessions.get(playerId);
+        switch (msg.type) {
+            case MessageType.STATE:
+                this.handleState(playerId, msg);
+                break;
+            case MessageType.BLOCK_CHANGE: {
+                const change = Protocol.readBlockChange(msg);
+                if (change) this.handleBlockChange(playerId, change);
+                break;
+            }
+            case MessageType.CRAFT:
+                this.handleCraft(playerId, msg);
+                break;
+            case MessageType.MOUNT:
+                this.handleMount(playerId, msg);
+                break;
+            case MessageType.ATTACK:
+                this.handleAttack(playerId, msg);
+                break;
+            case MessageType.DIED: {
+                // Health is the client's, so a death is taken on its word; limited so that it is no
+                // free teleport. Clients respawn at the world spawn, or at their base in a match (see CtfMatch)
+                const now = Date.now();
+                if (now - session.lastDiedAt < RESPAWN_COOLDOWN_MS) break;
+                session.lastDiedAt = now;
+                this.movement.allowTeleport(playerId, WORLD_SPAWN);
+                if (session.riding) {
+                    session.riding = false;
+                    this.sendTo(playerId, MessageType.MOUNT, { riding: false, phinox: !!session.phinox });
+                }
+                // Only whoever the server saw hit the player last, and is still there, gets the kill
+                const hitBy = msg.by === session.lastHitBy && now - session.lastHitAt < KILL_CREDIT_MS ? msg.by : null;
+                const killer = this.sessions.has(hitBy) || this.mobs.position(hitBy) ? hitBy : null;
+                session.lastHitBy = null;
+                this.record(MessageType.DIED, { id: playerId, by: killer });
+                if (this.match) this.match.onPlayerDied(playerId, this.sessions.has(killer) ? killer : null);
+                break;
+            }
+            case MessageType.CHAT: {
+                const text = Protocol.sanitizeChat(msg.text);
+                if (!text) break;
+                const { name } = this.players[playerId];
+                if (text.startsWith('/')) {
+                    this.server.runCommand({ name, account: session.account }, text, (reply) => {
+                        this.server.send(session.socket, MessageType.CHAT, { id: null, name: 'Server', text: reply });
+                    });
+                    break;
+                }
+                this.log(`[chat] ${name}: ${text}`);
+                this.broadcast(MessageType.CHAT, { id: playerId, name, text });
+                break;
+            }
+            case MessageType.CONTAINER_OPEN:
+                this.handleContainerOpen(playerId, msg);
+                break;
+            case MessageType.CONTAINER_CHANGE: {
+                const change = Protocol.readContainerChange(msg);
+                if (change) this.handleContainerChange(playerId, change);
+                break;
+            }
+            case MessageType.CONTAINER_CLOSE:
+                session.openContainer = null;
+                break;
+            case MessageType.PING:
+                if (msg.rtt != null) session.ping = Math.round(Math.min(MAX_PING_MS, Math.max(0, Protocol.toNumber(msg.rtt))));
+                this.server.send(session.socket, MessageType.PONG, { n: Protocol.toNumber(msg.n), pings: this.pings() });
+                break;
+            default:
+                break;
+        }
+    }
+
+    // id -> latest round trip in ms, for everyone in the room who reported one
+    pings() {
+        const result = {};
+        for (const [id, { ping }] of this.sessions) {
+            if (ping !== null) result[id] = ping;
+        }
+        return result;
+    }
+
+    // Keep the server's copy of the player's Phinox (see Protocol mount). Refused actions are answered
+    // with that copy so the client undoes them.
+    handleMount(playerId, msg) {
+        const session = this.sessions.get(playerId);
+        const { x, y, z } = this.players[playerId];
+        switch (msg.action) {
+            case 'summon':
+                // It appears under the player, so summoning mid-air would be a way out of any fall
+                if (session.survival && !this.movement.isSupported(x, y, z)) break;
+                session.phinox = { x, y, z };
+                session.riding = true;
+                return;
+            case 'mount': {
+                const { phinox } = session;
+                if (!phinox || Math.hypot(x - phinox.x, y - phinox.y, z - phinox.z) > Protocol.MOUNT_REACH) break;
+                session.riding = true;
+                return;
+            }
+            case 'dismount':
+                session.riding = false;
+                return;
+            case 'recall':
+                session.phinox = null;
+                session.riding = false;
+                return;
+            default:
+                return;
+        }
+        this.sendTo(playerId, MessageType.MOUNT, { riding: session.riding, phinox: !!session.phinox });
+    }
+
+    // /gamemode: switch a player between survival and creative
+    setSurvival(playerId, survival) {
+        this.sessions.get(playerId).survival = survival;
+        this.sendTo(playerId, MessageType.GAME_MODE, { survival });
+        if (survival) this.sendInventory(playerId);
+    }
+
+    // Put a player back at its last accepted position; its client reconciles against the state `seq`
+    correctPlayer(playerId, seq, reason) {
+        const session = this.sessions.get(playerId);
+        const { x, y, z } = this.movement.resetPosition(playerId, reason);
+        Object.assign(this.players[playerId], { x, y, z });
+        session.correctionId++;
+        this.server.send(session.socket, MessageType.POSITION_CORRECTION, { correction: session.correctionId, seq, x, y, z, reason });
+    }
+
+    handleState(playerId, msg) {
+        const session = this.sessions.get(playerId);
+        // Sent before the client applied our latest correction
+        if (Protocol.toNumber(msg.correction) < session.correctionId) return;
+
+        const seq = Protocol.toNumber(msg.seq);
+        const state = Protocol.readState(msg);
+        if (state.y < -WORLD_MARGIN || state.y > this.world.chunkHeight + WORLD_MARGIN) {
+            this.correctPlayer(playerId, seq, 'out_of_world');
+            return;
+        }
+        // Creative players fly with F6, survival players only on a Phinox
+        const violation = this.movement.check(playerId, state, !session.survival || session.riding);
+        if (violation) {
+            this.correctPlayer(playerId, seq, violation);
+            return;
+        }
+        if (session.riding) session.phinox = { x: state.x, y: state.y - 1, z: state.z }; // Riders sit on top
+
+        Object.assign(this.players[playerId], state);
+        if (this.recorder) {
+            const { x, y, z, yaw, pitch } = this.players[playerId];
+            this.record(MessageType.STATE, { id: playerId, t: Date.now(), x, y, z, yaw, pitch });
+        }
+        const changedChunk = this.streamChunks(playerId);
+        this.interest.playerMoved(playerId, changedChunk);
+    }
+
+    // Returns null when the edit is allowed, otherwise a short rejection reason
+    validateBlockChange(player, session, change) {
+        const { world, match } = this;
+        const { x, y, z, blockType } = change;
+        if (y < 0 || y >= world.chunkHeight) return 'out_of_world';
+
+        const dx = x + 0.5 - player.x;
+        const dy = y + 0.5 - (player.y + EYE_HEIGHT);
+        const dz = z + 0.5 - player.z;
+        if (Math.hypot(dx, dy, dz) > REACH_DISTANCE) return 'reach';
+
+        const current = world.getBlock(x, y, z);
+        if (blockType === 0) {
+            // Break: must hit something, and bedrock rows are permanent
+            if (current === 0 || current === 5) return 'air';
+            if (y < BEDROCK_LEVEL) return 'bedrock';
+            if (FLAG_TYPES.has(current) && !(match && match.canTakeFlag(player, current))) return 'flag';
+            return null;
+        }
+
+        // Place: only into empty space, only real blocks, only what the player carries
+        if (current !== 0) return 'occupied';
+        if (blockType > MAX_BLOCK_ID || NON_PLACEABLE.has(blockType)) return 'not_placeable';
+        if (session.survival && !session.inventory.some(item => itemType(item) === blockType && (typeof item !== 'object' || item.amount > 0))) {
+            return 'not_in_inventory';
+        }
+        return null;
+    }
+
+    handleBlockChange(playerId, change) {
+        const { world } = this;
+        const player = this.players[playerId];
+        const session = this.sessions.get(playerId);
+        const reason = this.validateBlockChange(player, session, change);
+
+        if (reason) {
+            // Tell the sender what the block really is; it rolls back its own prediction.
+            // Out-of-reach targets are not looked up so clients cannot force far chunk generation.
+            const known = reason !== 'out_of_world' && reason !== 'reach';
+            this.server.send(session.socket, MessageType.BLOCK_CORRECTION, {
+                x: change.x, y: change.y, z: change.z,
+                blockType: known ? world.getBlock(change.x, change.y, change.z) : null,
+                reason
+            });
+            if (session.survival) this.sendInventory(playerId); // It may have spent or gained an item for it
+            return;
+        }
+
+        const previous = world.getBlock(change.x, change.y, change.z);
+        const spilled = CONTAINER_BLOCKS[previous] ? this.containerAt(change.x, change.y, change.z).slots : null;
+        world.setBlock(change.x, change.y, change.z, change.blockType);
+        if (spilled) {
+            // Contents spill on the breaker's client and go to its inventory
+            this.containers.delete(`${change.x},${change.y},${change.z}`);
+            this.giveItems(playerId, spilled.filter(item => item).map(item => typeof item === 'object' ? item : { type: item, amount: 1 }));
+        }
+        const placedKind = CONTAINER_BLOCKS[change.blockType];
+        if (placedKind) {
+            // Placed containers start empty, also one put back where the dungeon's loot chest stood
+            this.containers.set(`${change.x},${change.y},${change.z}`, { kind: placedKind, slots: new Array(Protocol.CONTAINER_SLOTS[placedKind]).fill(0) });
+        }
+        const tookFlag = FLAG_TYPES.has(previous);
+        if (session.survival && !tookFlag) {
+            if (change.blockType === 0) addToInventory(session.inventory, previous);
+            else takeFromInventory(session.inventory, change.blockType);
+        }
+        // Echoed to the sender as well, which acknowledges its pending edit
+        this.sendChunkUpdate(change.x, change.z, MessageType.BLOCK_CHANGE, { id: playerId, ...change });
+        if (tookFlag) this.match.onFlagTaken(playerId, previous);
+    }
+
+    // Melee hit on another player or a mob: checked here, applied by the victim's client
+    handleAttack(playerId, msg) {
+        const { sessions, players, match } = this;
+        const session = sessions.get(playerId);
+        const attacker = players[playerId];
+        const now = Date.now();
+        const amount = Math.min(MAX_ATTACK_DAMAGE, Math.max(0, Protocol.toNumber(msg.damage)));
+
+        // Hitting a mob
+        const mob = this.mobs.position(msg.target);
+        if (mob) {
+            if (now - session.lastAttackAt < ATTACK_COOLDOWN_MS) return;
+            if (Math.hypot(mob.x - attacker.x, mob.y - attacker.y, mob.z - attacker.z) > ATTACK_REACH) return;
+            session.lastAttackAt = now;
+            this.record(MessageType.DAMAGE, { attacker: playerId, target: msg.target, amount });
+            this.mobs.damage(msg.target, playerId, amount);
+            return;
+        }
+
+        if (!match || !sessions.has(msg.target) || msg.target === playerId) return;
+        const target = players[msg.target];
+
+        if (now - session.lastAttackAt < ATTACK_COOLDOWN_MS) return;
+        if (Math.hypot(target.x - attacker.x, target.y - attacker.y, target.z - attacker.z) > ATTACK_REACH) return;
+        if (!match.allowsDamage(attacker, target)) return;
+
+        session.lastAttackAt = now;
+        this.damagePlayer(msg.target, playerId, amount);
+    }
+
+    // attacker: a player or entity id; the victim's client applies the damage
+    damagePlayer(playerId, attacker, amount) {
+        const session = this.sessions.get(playerId);
+        session.lastHitBy = attacker;
+        session.lastHitAt = Date.now();
+        this.record(MessageType.DAMAGE, { attacker, target: playerId, amount });
+        this.sendTo(playerId, MessageType.DAMAGE, { attacker, amount });
+    }
+
+    // The chest/candle at x,y,z if the player can reach it; its contents start from the world's
+    // (see VoxelWorld.initialContainerSlots) until someone opens it
+    reachableContainer(playerId, x, y, z) {
+        const player = this.players[playerId];
+        const dx = x + 0.5 - player.x;
+        const dy = y + 0.5 - (player.y + EYE_HEIGHT);
+        const dz = z + 0.5 - player.z;
+        if (Math.hypot(dx, dy, dz) > REACH_DISTANCE) return null;
+        if (!CONTAINER_BLOCKS[this.world.getBlock(x, y, z)]) return null;
+        return this.containerAt(x, y, z);
+    }
+
+    // The chest/candle at x,y,z (which must be one)
+    containerAt(x, y, z) {
+        const kind = CONTAINER_BLOCKS[this.world.getBlock(x, y, z)];
+        const container = this.containers.get(`${x},${y},${z}`);
+        if (container && container.kind === kind) return container;
+        return { kind, slots: this.world.initialContainerSlots(kind, x, y, z) };
+    }
+
+    // Tell a survival player what the server thinks it carries
+    sendInventory(playerId) {
+        this.sendTo(playerId, MessageType.INVENTORY, { slots: this.sessions.get(playerId).inventory });
+    }
+
+    // Add items ([{ type, amount }]) to a survival player's inventory; whatever doesn't fit is lost,
+    // as on the client
+    giveItems(playerId, items) {
+        const session = this.sessions.get(playerId);
+        if (!session || !session.survival) return;
+        for (const { type, amount } of items) {
+            for (let i = 0; i < amount; i++) addToInventory(session.inventory, type);
+        }
+    }
+
+    // Survival crafting: the inputs must be in the server's copy of the inventory. The client has
+    // already crafted; a refused craft sends it the real inventory.
+    handleCraft(playerId, msg) {
+        const session = this.sessions.get(playerId);
+        if (!session.survival) return;
+        const recipe = Number.isInteger(msg.recipe) ? Protocol.RECIPES[msg.recipe] : null;
+        const inputs = recipe ? Object.entries(recipe.inputs).map(([type, amount]) => [Number(type), amount]) : [];
+        if (!recipe || inputs.some(([type, amount]) => countInInventory(session.inventory, type) < amount)) {
+            this.sendInventory(playerId);
+            return;
+        }
+        for (const [type, amount] of inputs) {
+            for (let i = 0; i < amount; i++) takeFromInventory(session.inventory, type);
+        }
+        this.giveItems(playerId, [{ type: recipe.result, amount: recipe.resultAmount }]);
+    }
+
+    // Answer with the current contents; only the open container's slots may be changed
+    handleContainerOpen(playerId, msg) {
+        const x = Number(msg.x), y = Number(msg.y), z = Number(msg.z);
+        if (![x, y, z].every(Number.isInteger)) return;
+        const container = this.reachableContainer(playerId, x, y, z);
+        if (!container) return;
+        const session = this.sessions.get(playerId);
+        session.openContainer = `${x},${y},${z}`;
+        // Kept from now on (and saved), so generated contents are only there the first time
+        this.containers.set(session.openContainer, container);
+        this.server.send(session.socket, MessageType.CONTAINER, { x, y, z, kind: container.kind, slots: container.slots });
+    }
+
+    // Apply a move if every slot it touches still holds what the player saw there. Another player may
+    // have taken an item first; the loser gets the real contents back and undoes its move.
+    // A move is a swap with the player's inventory: a survival player can only put in what it holds,
+    // and whatever goes in or comes out is taken from or added to its inventory in the same step.
+    handleContainerChange(playerId, change) {
+        const session = this.sessions.get(playerId);
+        const { seq, x, y, z, changes } = change;
+        const key = `${x},${y},${z}`;
+        const container = session.openContainer === key ? this.reachableContainer(playerId, x, y, z) : null;
+        const delta = containerMoveDelta(changes);
+        const applies = container && changes.every(({ slot, from, to }) =>
+            slot < container.slots.length && Protocol.sameItem(container.slots[slot], from) &&
+            (Protocol.sameItem(to, from) || isPlainItem(to))) &&
+            (!session.survival || [...delta].every(([type, amount]) =>
+                amount >= 0 || countInInventory(session.inventory, type) >= -amount));
+        if (!applies) {
+            this.server.send(session.socket, MessageType.CONTAINER_CORRECTION, { seq, x, y, z, slots: container ? container.slots : null });
+            if (session.survival) this.sendInventory(playerId);
+            return;
+        }
+
+        for (const { slot, to } of changes) container.slots[slot] = to;
+        if (session.survival) {
+            for (const [type, amount] of delta) {
+                if (amount < 0) {
+                    for (let i = 0; i < -amount; i++) takeFromInventory(session.inventory, type);
+                } else {
+                    this.giveItems(playerId, [{ type, amount }]);
+                }
+            }
+        }
+        this.containers.set(key, container);
+        // Echoed to the sender as well, which acknowledges its pending move
+        this.sendChunkUpdate(x, z, MessageType.CONTAINER_CHANGE, {
+            id: playerId, seq, x, y, z,
+            changes: changes.map(({ slot, to }) => ({ slot, item: to }))
+        });
+    }
+}
+
+module.exports = Room;
@@ -0,0 +1,61 @@
+// storage.js
+// On-disk persistence for the Node server (index.js).
+//
+// Layout of the data directory:
+//   chunks.json      { 'cx,cz': base64 blocks }            (edited chunks only, same encoding as saveWorld)
+//   containers.json  { chestStorage: { 'x,y,z': slots }, candleStorage: { 'x,y,z': slots } }
+//   players.json     { name: { x, y, z, yaw, pitch, inventory } }
+//   ops.json, whitelist.json, bans.json   (admin lists, see admin.js)
+//   accounts.json    (player accounts and their cosmetics, see accounts.js)
+//   rooms.json       [{ name, worldType, seed, mode, friendlyFire, record }]   (optional, see index.js)
+//   rooms/<name>/    chunks, containers and players of every room but the first
+//   replays/         <room>-<start time>.jsonl recordings (see replay.js)
+//
+// Files are written to a temporary name and renamed, so a crash mid-save leaves the previous copy intact.
+const fs = require('fs');
+const path = require('path');
+
+class WorldStorage {
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    readJson(name, fallback) {
+        const file = path.join(this.dir, name);
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.warn(`Could not read ${file}:`, e.message);
+            return fallback;
+        }
+    }
+
+    writeJson(name, data) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const file = path.join(this.dir, name);
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+    }
+
+    // Returns { chunks, containers, players }; empty objects when nothing was saved yet
+    load() {
+        const containers = this.readJson('containers.json', {});
+        return {
+            chunks: this.readJson('chunks.json', {}),
+            containers: {
+                chestStorage: containers.chestStorage || {},
+                candleStorage: containers.candleStorage || {}
+            },
+            players: this.readJson('players.json', {})
+        };
+    }
+
+    save({ chunks, containers, players }) {
+        this.writeJson('chunks.json', chunks);
+        this.writeJson('containers.json', containers);
+        this.writeJson('players.json', players);
+    }
+}
+
+module.exports = WorldStorage;
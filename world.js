@@ -0,0 +1,1252 @@
+// Voxel world data and terrain generation
+// Shared by the browser (loaded before game.js, exposes globalThis.VoxelWorld)
+// and the Node server (require('./world')), which owns the authoritative copy.
+
+// Fallback deterministic value-noise implementation when SimplexNoise
+// from CDN is blocked (Tracking Prevention). This provides noise2D(x,y)
+// and noise3D(x,y,z) returning values in approximately -1..1 so existing
+// code continues to work unchanged.
+if (typeof SimplexNoise === 'undefined') {
+    globalThis.SimplexNoise = class SimplexNoise {
+        constructor(seed = 0) {
+            this.seed = seed | 0;
+        }
+
+        // Small integer hashing function producing 0..1
+        _hash(i, j) {
+            let n = i * 374761393 + j * 668265263 + (this.seed << 1);
+            n = (n ^ (n >>> 13)) * 1274126177;
+            return (n & 0x7fffffff) / 0x7fffffff;
+        }
+
+        // Smooth value noise based on bilinear interpolation; returns roughly -1..1
+        noise2D(x, y) {
+            const xi = Math.floor(x);
+            const yi = Math.floor(y);
+            const tx = x - xi;
+            const ty = y - yi;
+
+            const v00 = this._hash(xi, yi);
+            const v10 = this._hash(xi + 1, yi);
+            const v01 = this._hash(xi, yi + 1);
+            const v11 = this._hash(xi + 1, yi + 1);
+
+            const lerp = (a, b, t) => a + (b - a) * t;
+            const nx0 = lerp(v00, v10, tx);
+            const nx1 = lerp(v01, v11, tx);
+            const n = lerp(nx0, nx1, ty);
+
+            return n * 2 - 1;
+        }
+
+        _hash3(i, j, k) {
+            let n = i * 374761393 + j * 668265263 + k * 1103515245 + (this.seed << 1);
+            n = (n ^ (n >>> 13)) * 1274126177;
+            return (n & 0x7fffffff) / 0x7fffffff;
+        }
+
+        // Trilinear value noise; smoothstepped so caves carved from it have round walls
+        noise3D(x, y, z) {
+            const xi = Math.floor(x);
+            const yi = Math.floor(y);
+            const zi = Math.floor(z);
+            const fade = (t) => t * t * (3 - 2 * t);
+            const tx = fade(x - xi);
+            const ty = fade(y - yi);
+            const tz = fade(z - zi);
+
+            const lerp = (a, b, t) => a + (b - a) * t;
+            const layer = (k) => lerp(
+                lerp(this._hash3(xi, yi, k), this._hash3(xi + 1, yi, k), tx),
+                lerp(this._hash3(xi, yi + 1, k), this._hash3(xi + 1, yi + 1, k), tx),
+                ty
+            );
+            const n = lerp(layer(zi), layer(zi + 1), tz);
+
+            return n * 2 - 1;
+        }
+    };
+}
+
+// The biome noise is seeded this far from the terrain noise; the default seed keeps its old 1337
+const BIOME_SEED_OFFSET = 1337 - 42;
+const CAVE_SEED_OFFSET = 7919;
+
+// Caves (default and islands worlds): worm tunnels everywhere underground, caverns only deep down
+const CAVE_MIN_Y = 3; // Bedrock and the row above stay solid
+const CAVE_ROOF = 5; // Blocks of ground kept over every cave, so the surface has no holes
+const TUNNEL_WIDTH = 0.09; // How close to zero both tunnel fields must be
+const CAVERN_MAX_Y = 40;
+const CAVERN_THRESHOLD = 0.55;
+const LAVA_LAKE_Y = 10; // Caves reaching this deep are flooded with lava up to here
+const WALL_COAL_CHANCE = 0.25; // Stone bordering a cave is coal this often
+
+// Default-world biomes come from two climate noises (getClimate): temperature and humidity.
+// Cold is snowy forest; hot is desert, or jungle where it is wet; in between, dry land is plains,
+// wet land swamp and the rest forest. Cool, dry land also rises into mountains (getMountainFactor).
+//   surface, filler  top block and the three below it
+//   shore            sand and clay beaches at the water's edge
+//   frozen           the top layer of water is ice
+//   tree             placeTree shape, treeChance how densely (0..1)
+//   mobs             natural spawns, { kind, weight } (see mobs.js)
+// Other world types use forest everywhere.
+const BIOMES = {
+    plains: { surface: 2, filler: 1, shore: true, tree: 'oak', treeChance: 0.01, mobs: [{ kind: 'pigman', weight: 1 }] },
+    forest: { surface: 2, filler: 1, shore: true, tree: 'oak', treeChance: 0.08, mobs: [{ kind: 'pigman', weight: 1 }] },
+    jungle: { surface: 2, filler: 1, shore: true, tree: 'jungle', treeChance: 0.2, mobs: [{ kind: 'pigman', weight: 3 }, { kind: 'minutor', weight: 1 }] },
+    swamp: { surface: 2, filler: 9, shore: true, tree: 'swamp', treeChance: 0.06, mobs: [{ kind: 'pigman', weight: 2 }, { kind: 'minutor', weight: 1 }] },
+    desert: { surface: 4, filler: 4, shore: false, tree: null, treeChance: 0, mobs: [{ kind: 'minutor', weight: 1 }] },
+    snowy_forest: { surface: 10, filler: 1, shore: false, frozen: true, tree: 'pine', treeChance: 0.08, mobs: [{ kind: 'pigman', weight: 1 }] },
+    mountains: { surface: 3, filler: 3, shore: false, tree: 'pine', treeChance: 0.03, mobs: [{ kind: 'minutor', weight: 1 }] }
+};
+const HUMIDITY_OFFSET = 1000; // Humidity samples the biome noise this far away from temperature
+const MOUNTAIN_TEMPERATURE = -0.05; // Mountains start below this temperature...
+const MOUNTAIN_HUMIDITY = -0.1; // ...and this humidity
+const MOUNTAIN_RAMP = 0.3; // Climate distance from the start to full height
+const MOUNTAIN_HEIGHT = 40; // Added to the terrain at full height
+const MOUNTAIN_SPAWN_CLEARANCE = 64; // No mountains this close to spawn, players arrive at y=70
+const SNOW_LINE = 68; // Surfaces this high are snow in any biome
+
+// Widest leaf radius of placeTree's shapes (jungle, swamp): trees standing this close to a chunk
+// can reach into it
+const TREE_REACH = 3;
+
+// Ore veins (default, islands, fairia and flat worlds), placed by placeOresInChunk after the caves:
+//   block       what the vein is made of
+//   minY, maxY  where a vein may start
+//   veins       veins per chunk on average (the fraction is the chance of one more)
+//   size        blocks per vein, a random walk that is then placed where it fits inside the chunk
+//   biomes      climates it appears in, null for everywhere. CLIMATE_WORLDS have getBiome's climate
+//               underground, also those whose surface is forest everywhere; the rest DEFAULT_CLIMATE.
+//   worlds      world types it appears in
+// Veins only replace stone and grim stone, so caves, lava and dirt are left alone.
+const ORES = [
+    { name: 'coal', block: 24, minY: 5, maxY: 70, veins: 24, size: 12, biomes: null, worlds: ['default', 'islands', 'fairia', 'flat'] },
+    { name: 'ruby', block: 8, minY: 3, maxY: 16, veins: 1.5, size: 4, biomes: ['desert', 'jungle'], worlds: ['default', 'islands', 'fairia'] },
+    { name: 'sapphire', block: 12, minY: 3, maxY: 24, veins: 1.5, size: 5, biomes: ['snowy_forest', 'mountains'], worlds: ['default', 'islands'] }
+];
+const ORE_HOST_BLOCKS = new Set([3, 33]); // Stone, Grim Stone
+const CLIMATE_WORLDS = new Set(['default', 'islands', 'fairia']);
+const DEFAULT_CLIMATE = 'forest'; // Climate of the other worlds' ores, like their surface
+const ORE_SEED_OFFSET = 104729;
+const VEIN_STEPS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+// Deterministic 0..1 random numbers from a seed and chunk coordinates (mulberry32)
+function chunkRandom(seed, cx, cz, salt) {
+    let state = (Math.imul(cx, 73856093) ^ Math.imul(cz, 19349663) ^ Math.imul(salt, 83492791) ^ seed) | 0;
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class VoxelWorld {
+    constructor(worldType = 'default', seed = VoxelWorld.DEFAULT_SEED) {
+        this.worldType = worldType; // 'default' | 'flat' | 'islands' | 'fortress' | 'fairia' | 'astral'
+        this.seed = seed;
+        this.chunks = new Map();
+        this.chunkSize = 16;
+        this.chunkHeight = 128;
+        this.tileSize = 1.0; // 1.0 = each voxel is 1.0 units
+        this.maxLightLevel = 15; // Skylight/block-light max
+        this.sunlightFactor = 1.0; // Scales skylight by time-of-day
+        this.ambientMinimum = 0.25; // Fallback ambient brightness (brighter daytime)
+        this.lightingEnabled = true; // Headless (server) worlds turn this off to skip lightmaps
+        // Everyone in a world uses the same seed (a server room's, see room.js), so terrain is identical
+        this.noise = new SimplexNoise(seed);
+        // Slightly larger scale and lower max height to reduce mountainous terrain
+        this.terrainScale = 0.06;
+        this.maxHeight = 40;
+        this.waterLevel = 30;
+
+        // Biome noise for the climate (temperature and humidity) that picks each region's BIOMES entry
+        this.biomeNoise = new SimplexNoise(seed + BIOME_SEED_OFFSET);
+        // 3D noise for caves
+        this.caveNoise = new SimplexNoise(seed + CAVE_SEED_OFFSET);
+
+        // Astral dimension should feel bright and airy
+        if (this.worldType === 'astral') {
+            this.sunlightFactor = 1.5;
+            this.ambientMinimum = 0.45;
+        }
+    }
+
+    getTerrainHeight(x, z) {
+        // Flat world: constant baseline with 25 stone, 3 dirt, 1 grass
+        if (this.worldType === 'flat') {
+            return 30; // height produces 25 stone (height-5), 3 dirt, 1 grass
+        }
+
+        // Islands: use radial falloff to create island shapes
+        if (this.worldType === 'islands') {
+            const nx = x * this.terrainScale * 0.8;
+            const nz = z * this.terrainScale * 0.8;
+            let height = this.noise.noise2D(nx, nz) * 0.6 + 0.4; // bias up a bit
+
+            // Apply radial falloff from world origin to create islands
+            const dist = Math.hypot(x, z);
+            const falloff = Math.max(0, 1 - (dist / 200));
+            height = height * falloff;
+
+            return Math.floor(height * this.maxHeight * 0.8) + 8;
+        }
+
+        // Astral: floating islands stay higher in the sky
+        if (this.worldType === 'astral') {
+            const islandNoise = this.noise.noise2D(x * 0.08, z * 0.08);
+            if (islandNoise < 0.2) return 0; // no island here
+            const heightNoise = this.noise.noise2D(x * 0.05 + 120, z * 0.05 - 120);
+            const top = 70 + Math.floor(heightNoise * 12 + 18); // cluster around y=70-100
+            return top;
+        }
+
+        // Default (original) terrain with gentler hills
+        const nx = x * this.terrainScale;
+        const nz = z * this.terrainScale;
+        // Reduce amplitude for gentler hills
+        const height = this.noise.noise2D(nx, nz) * 0.35 + 0.65; // bias upward, smaller variation
+        const base = Math.floor(height * this.maxHeight) + 15; // lower baseline to flatten overall
+        if (this.worldType !== 'default') return base;
+
+        // Mountains: smoothstepped so they rise out of the hills, with ridges from a faster noise
+        const m = this.getMountainFactor(x, z, this.getClimate(x, z));
+        if (m === 0) return base;
+        const ridge = Math.abs(this.noise.noise2D(x * 0.05 + 300, z * 0.05 - 300));
+        return base + Math.floor(m * m * (3 - 2 * m) * MOUNTAIN_HEIGHT * (0.5 + ridge * 0.5));
+    }
+
+    // Temperature and humidity at a column, both roughly -1..1
+    getClimate(x, z) {
+        return {
+            temperature: -this.biomeNoise.noise2D(x * 0.015, z * 0.015),
+            humidity: this.biomeNoise.noise2D(x * 0.02 + HUMIDITY_OFFSET, z * 0.02 - HUMIDITY_OFFSET)
+        };
+    }
+
+    // How mountainous a column is, 0..1: cool, dry land away from spawn
+    getMountainFactor(x, z, climate) {
+        const cool = (MOUNTAIN_TEMPERATURE - climate.temperature) / MOUNTAIN_RAMP;
+        const dry = (MOUNTAIN_HUMIDITY - climate.humidity) / MOUNTAIN_RAMP;
+        const away = (Math.hypot(x, z) - MOUNTAIN_SPAWN_CLEARANCE) / MOUNTAIN_SPAWN_CLEARANCE;
+        return Math.max(0, Math.min(1, cool, dry, away));
+    }
+
+    // Default-world biome name, a key of BIOMES (other worlds only use it for ores, see oreClimate)
+    getBiome(x, z) {
+        const climate = this.getClimate(x, z);
+        const { temperature, humidity } = climate;
+        if (temperature < -0.35) return 'snowy_forest';
+        if (temperature > 0.25) return humidity > 0.2 ? 'jungle' : 'desert';
+        if (this.getMountainFactor(x, z, climate) > 0.3) return 'mountains';
+        if (humidity < -0.3) return 'plains';
+        if (humidity > 0.35) return 'swamp';
+        return 'forest';
+    }
+
+    // Natural mob spawns for a column, [{ kind, weight }]; worlds without biomes get pigmen
+    getMobSpawns(x, z) {
+        return BIOMES[(this.worldType === 'default') ? this.getBiome(x, z) : 'forest'].mobs;
+    }
+
+    getChunkKey(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    getChunk(cx, cz) {
+        const key = this.getChunkKey(cx, cz);
+        if (!this.chunks.has(key)) {
+            const newChunk = this.generateChunk(cx, cz);
+            this.chunks.set(key, newChunk);
+            // Compute initial lighting for the newly generated chunk
+            if (this.lightingEnabled) this.computeLightingForChunk(cx, cz);
+        }
+        return this.chunks.get(key);
+    }
+
+    // Base64 of a chunk's block array (the format saveWorld stores and the server streams)
+    encodeChunkBlocks(cx, cz) {
+        const chunk = this.getChunk(cx, cz);
+        return btoa(String.fromCharCode.apply(null, chunk.blocks));
+    }
+
+    // Replace a chunk's blocks with data from a save or the server (base64 string or plain array)
+    loadChunkBlocks(cx, cz, data) {
+        const chunk = this.getChunk(cx, cz);
+        if (typeof data === 'string') {
+            const binaryString = atob(data);
+            const bytes = new Uint8Array(binaryString.length);
+            for (let i = 0; i < binaryString.length; i++) {
+                bytes[i] = binaryString.charCodeAt(i);
+            }
+            chunk.blocks = bytes;
+        } else {
+            chunk.blocks = new Uint8Array(data);
+        }
+        chunk.modified = true;
+        chunk.playerModified = true;
+        if (this.lightingEnabled) this.recomputeLightingAround(cx, cz);
+        return chunk;
+    }
+
+    generateChunk(cx, cz) {
+        const chunk = {
+            cx, cz,
+            blocks: new Uint8Array(this.chunkSize * this.chunkHeight * this.chunkSize),
+            skyLight: new Uint8Array(this.chunkSize * this.chunkHeight * this.chunkSize),
+            blockLight: new Uint8Array(this.chunkSize * this.chunkHeight * this.chunkSize),
+            modified: true
+        };
+
+        // Fairia dimension: grim stone roof, grim stone and lava underground
+        if (this.worldType === 'fairia') {
+            // Grim stone roof at y = chunkHeight-1
+            for (let x = 0; x < this.chunkSize; x++) {
+                for (let z = 0; z < this.chunkSize; z++) {
+                    chunk.blocks[this.getBlockIndex(x, this.chunkHeight-1, z)] = 33; // Grim Stone roof
+                }
+            }
+            // Terrain and underground
+            for (let x = 0; x < this.chunkSize; x++) {
+                for (let z = 0; z < this.chunkSize; z++) {
+                    const worldX = cx * this.chunkSize + x;
+                    const worldZ = cz * this.chunkSize + z;
+                    const height = this.getTerrainHeight(worldX, worldZ);
+                    for (let y = 0; y < this.chunkHeight-1; y++) {
+                        const idx = this.getBlockIndex(x, y, z);
+                        if (y === this.chunkHeight-2) {
+                            chunk.blocks[idx] = 33; // Grim Stone just below roof
+                        } else if (y > height) {
+                            chunk.blocks[idx] = 0; // Air
+                        } else if (y > height - 2) {
+                            chunk.blocks[idx] = 1; // Dirt
+                        } else if (y > height - 5) {
+                            chunk.blocks[idx] = 3; // Stone
+                        } else if (y > 10) {
+                            // Mix grim stone and stone
+                            chunk.blocks[idx] = (this.noise.noise2D(worldX * 0.1, worldZ * 0.1 + y) > 0.2) ? 33 : 3;
+                        } else {
+                            // Lava pools below y=10
+                            chunk.blocks[idx] = (this.noise.noise2D(worldX * 0.2, worldZ * 0.2 + y) > 0.1) ? 34 : 33;
+                        }
+                    }
+                }
+            }
+            this.placeOresInChunk(chunk, cx, cz);
+            return chunk;
+        }
+        // Astral dimension: floating islands in the sky with air beneath
+        if (this.worldType === 'astral') {
+            // Cathedral platform dimensions (needs to be placed first)
+            const cathedralPlatformMinX = -20;
+            const cathedralPlatformMaxX = 20;
+            const cathedralPlatformMinZ = -20;
+            const cathedralPlatformMaxZ = 20;
+            const cathedralPlatformY = 74; // Base of platform
+            
+            // Cathedral building dimensions (smaller, sits on platform)
+            const cathedralMinX = -15;
+            const cathedralMaxX = 15;
+            const cathedralMinZ = -15;
+            const cathedralMaxZ = 15;
+            
+            for (let x = 0; x < this.chunkSize; x++) {
+                for (let z = 0; z < this.chunkSize; z++) {
+                    // Keep a thin bedrock layer at the bottom for safety
+                    chunk.blocks[this.getBlockIndex(x, 0, z)] = 3;
+                    chunk.blocks[this.getBlockIndex(x, 1, z)] = 3;
+
+                    const worldX = cx * this.chunkSize + x;
+                    const worldZ = cz * this.chunkSize + z;
+                    
+                    // Create solid platform for cathedral at origin
+                    if (worldX >= cathedralPlatformMinX && worldX <= cathedralPlatformMaxX && 
+                        worldZ >= cathedralPlatformMinZ && worldZ <= cathedralPlatformMaxZ) {
+                        // Build cathedral platform (10 blocks thick)
+                        for (let y = cathedralPlatformY - 10; y <= cathedralPlatformY; y++) {
+                            const idx = this.getBlockIndex(x, y, z);
+                            if (y === cathedralPlatformY) {
+                                chunk.blocks[idx] = 2; // Grass top
+                            } else if (y >= cathedralPlatformY - 2) {
+                                chunk.blocks[idx] = 1; // Dirt layer
+                            } else {
+                                chunk.blocks[idx] = 3; // Stone base
+                            }
+                        }
+                        continue; // Skip normal island generation for cathedral area
+                    }
+                    
+                    const islandNoise = this.noise.noise2D(worldX * 0.04, worldZ * 0.04);
+                    if (islandNoise < 0.1) continue; // Mostly empty sky
+
+                    const heightNoise = this.noise.noise2D(worldX * 0.05 + 120, worldZ * 0.05 - 120);
+                    const topY = 70 + Math.floor(heightNoise * 12 + 18); // ~70-100 range
+                    const thickness = 8 + Math.floor((islandNoise + 1) * 5); // 8-18 blocks thick
+                    const startY = Math.max(2, topY - thickness);
+                    const endY = Math.min(this.chunkHeight - 1, topY);
+
+                    for (let y = startY; y <= endY; y++) {
+                        const idx = this.getBlockIndex(x, y, z);
+                        if (y === endY) {
+                            chunk.blocks[idx] = 2; // Grass on the very top
+                        } else if (y >= endY - 2) {
+                            chunk.blocks[idx] = 1; // Dirt near surface
+                        } else {
+                            chunk.blocks[idx] = 3; // Stone core
+                        }
+                    }
+                }
+            }
+
+            // Cathedral structure (using platform variables)
+            const cathedralFloorY = 75;
+            const cathedralRoofY = 95;
+
+            for (let x = 0; x < this.chunkSize; x++) {
+                for (let z = 0; z < this.chunkSize; z++) {
+                    const worldX = cx * this.chunkSize + x;
+                    const worldZ = cz * this.chunkSize + z;
+
+                    if (worldX >= cathedralMinX && worldX <= cathedralMaxX && worldZ >= cathedralMinZ && worldZ <= cathedralMaxZ) {
+                        // Cathedral structure
+                        for (let y = cathedralFloorY; y <= cathedralRoofY; y++) {
+                            const idx = this.getBlockIndex(x, y, z);
+                            
+                            // Floor
+                            if (y === cathedralFloorY) {
+                                chunk.blocks[idx] = 7; // Brick floor
+                                continue;
+                            }
+
+                            // Roof
+                            if (y === cathedralRoofY) {
+                                chunk.blocks[idx] = 7; // Brick roof
+                                continue;
+                            }
+
+                            // Walls (outer perimeter)
+                            if (worldX === cathedralMinX || worldX === cathedralMaxX || worldZ === cathedralMinZ || worldZ === cathedralMaxZ) {
+                                // Leave entrance on north side (minZ) centered at x=0
+                                if (worldZ === cathedralMinZ && worldX >= -3 && worldX <= 3 && y <= cathedralFloorY + 5) {
+                                    chunk.blocks[idx] = 0; // Door opening
+                                } else {
+                                    chunk.blocks[idx] = 7; // Brick walls
+                                }
+                                continue;
+                            }
+
+                            // Plank pews - rows of planks facing the podium
+                            const relX = worldX;
+                            const relZ = worldZ;
+                            // Pews in rows, leaving center aisle at x=0
+                            if (y === cathedralFloorY + 1 && relZ >= -10 && relZ <= 5) {
+                                // Left pews (x: -12 to -4)
+                                if (relX >= -12 && relX <= -4 && relZ % 3 === 0) {
+                                    chunk.blocks[idx] = 13; // Plank pews
+                                    continue;
+                                }
+                                // Right pews (x: 4 to 12)
+                                if (relX >= 4 && relX <= 12 && relZ % 3 === 0) {
+                                    chunk.blocks[idx] = 13; // Plank pews
+                                    continue;
+                                }
+                            }
+
+                            // Brick podium at the south end (maxZ side)
+                            if (relZ >= 10 && relZ <= 13 && Math.abs(relX) <= 5 && y <= cathedralFloorY + 2) {
+                                chunk.blocks[idx] = 7; // Brick podium
+                                continue;
+                            }
+
+                            // Torches at the four corners
+                            if (y === cathedralFloorY + 2) {
+                                if ((worldX === cathedralMinX + 1 && worldZ === cathedralMinZ + 1) ||
+                                    (worldX === cathedralMaxX - 1 && worldZ === cathedralMinZ + 1) ||
+                                    (worldX === cathedralMinX + 1 && worldZ === cathedralMaxZ - 1) ||
+                                    (worldX === cathedralMaxX - 1 && worldZ === cathedralMaxZ - 1)) {
+                                    chunk.blocks[idx] = 25; // Torch
+                                    continue;
+                                }
+                            }
+
+                            // Interior is air
+                            chunk.blocks[idx] = 0;
+                        }
+                    }
+                }
+            }
+
+            return chunk;
+        }
+        let dungeonEntryHeight = null;
+        const heights = new Array(this.chunkSize * this.chunkSize); // Surface of each column, for the caves
+        // Generate terrain
+        for (let x = 0; x < this.chunkSize; x++) {
+            for (let z = 0; z < this.chunkSize; z++) {
+                const worldX = cx * this.chunkSize + x;
+                const worldZ = cz * this.chunkSize + z;
+
+                // Fortress mode: construct a 64x64x64 stone cube centered at origin
+                if (this.worldType === 'fortress') {
+                    for (let y = 0; y < this.chunkHeight; y++) {
+                        const worldY = y;
+                        // Cube bounds: from -32..31 in X and Z, and 0..63 in Y
+                        if (worldX >= -32 && worldX < 32 && worldZ >= -32 && worldZ < 32 && worldY >= 0 && worldY < 64) {
+                            // Fill with stone
+                            chunk.blocks[this.getBlockIndex(x, y, z)] = 3; // Stone
+                        } else {
+                            // outside fortress is air
+                            chunk.blocks[this.getBlockIndex(x, y, z)] = 0;
+                        }
+                    }
+                    continue;
+                }
+
+                const height = this.getTerrainHeight(worldX, worldZ);
+                heights[x + z * this.chunkSize] = height;
+                if (worldX === 0 && worldZ === 0) dungeonEntryHeight = height;
+                const biome = BIOMES[(this.worldType === 'default') ? this.getBiome(worldX, worldZ) : 'forest'];
+                // Beaches of sand and clay where temperate land meets the water
+                const shore = biome.shore && (this.worldType === 'default' || this.worldType === 'islands') && height <= this.waterLevel + 1;
+
+                for (let y = 0; y < this.chunkHeight; y++) {
+                    const worldY = y;
+
+                    // Bedrock
+                    if (worldY < 2) {
+                        chunk.blocks[this.getBlockIndex(x, y, z)] = 3; // Bedrock
+                        continue;
+                    }
+
+                    // Solid stone deep below surface
+                    if (worldY < height - 3) {
+                        // Ores are added afterwards, see placeOresInChunk
+                        const pocketNoise = this.noise.noise2D(worldX * 0.1 + worldY, worldZ * 0.1 + worldY);
+                        const r = (pocketNoise + 1) / 2; // Convert -1..1 to 0..1
+                        
+                        // Grim Stone appears deeper (below y=15)
+                        if (worldY < 15) {
+                            chunk.blocks[this.getBlockIndex(x, y, z)] = 33; // Grim Stone
+                        } else if (r < 0.08) {
+                            // Lava pockets underground (above y=15)
+                            chunk.blocks[this.getBlockIndex(x, y, z)] = 34; // Lava
+                        } else {
+                            chunk.blocks[this.getBlockIndex(x, y, z)] = 3; // Stone
+                        }
+                        continue;
+                    }
+
+                    // Surface/sub-surface layers (vary by biome)
+                    if (worldY < height) {
+                        if (shore) {
+                            if (worldY >= height - 1) chunk.blocks[this.getBlockIndex(x, y, z)] = 4; // Sand
+                            else if (worldY >= height - 4) chunk.blocks[this.getBlockIndex(x, y, z)] = 9; // Clay
+                            else chunk.blocks[this.getBlockIndex(x, y, z)] = 1; // Dirt
+                        } else {
+                            chunk.blocks[this.getBlockIndex(x, y, z)] = biome.filler;
+                        }
+                        continue;
+                    }
+
+                    // Surface block (top) varies by biome; snow caps above the snow line
+                    if (worldY === height) {
+                        if (shore) chunk.blocks[this.getBlockIndex(x, y, z)] = 4; // Sand near water
+                        else if (height >= SNOW_LINE) chunk.blocks[this.getBlockIndex(x, y, z)] = 10; // Snow
+                        else chunk.blocks[this.getBlockIndex(x, y, z)] = biome.surface;
+                        continue;
+                    }
+
+                    // Water and underwater areas (leave water blocks intact); frozen over in cold biomes
+                    if (worldY < this.waterLevel) {
+                        chunk.blocks[this.getBlockIndex(x, y, z)] = (biome.frozen && worldY === this.waterLevel - 1) ? 39 : 5; // Ice or Water
+                        continue;
+                    }
+                }
+            }
+        }
+
+        if (this.worldType !== 'fortress') this.growTreesInChunk(chunk);
+
+        if (this.worldType === 'default' || this.worldType === 'islands') {
+            this.carveCavesInChunk(chunk, cx, cz, heights);
+        }
+        this.placeOresInChunk(chunk, cx, cz);
+
+        // Carve dungeon/maze near spawn
+        this.carveDungeonInChunk(chunk, cx, cz, dungeonEntryHeight !== null ? dungeonEntryHeight : this.getTerrainHeight(0, 0));
+
+        return chunk;
+    }
+
+    // The tree standing on world column (x, z), or null: { height (of the ground), shape }.
+    // Only depends on the seed, so any chunk can tell where its neighbors' trees are.
+    treeAt(x, z) {
+        const height = this.getTerrainHeight(x, z);
+        if (height <= this.waterLevel + 1 || height >= SNOW_LINE) return null;
+        const biome = BIOMES[(this.worldType === 'default') ? this.getBiome(x, z) : 'forest'];
+        if (!biome.tree) return null;
+        // Use seeded noise for deterministic tree placement across clients
+        const treeNoise = this.noise.noise2D(x * 0.3, z * 0.3);
+        const r = (treeNoise + 1) / 2; // Convert -1..1 to 0..1
+        return r < biome.treeChance ? { height, shape: biome.tree } : null;
+    }
+
+    // Grow the chunk's trees and the parts of its neighbors' trees that reach into it. Nothing is
+    // written outside the chunk, so it comes out the same whichever chunk generates first, and
+    // edits loaded over it afterwards (a save, the server) are never grown back into.
+    growTreesInChunk(chunk) {
+        const minX = chunk.cx * this.chunkSize;
+        const minZ = chunk.cz * this.chunkSize;
+        for (let x = minX - TREE_REACH; x < minX + this.chunkSize + TREE_REACH; x++) {
+            for (let z = minZ - TREE_REACH; z < minZ + this.chunkSize + TREE_REACH; z++) {
+                const tree = this.treeAt(x, z);
+                if (tree) this.placeTree(chunk, x, z, tree.height, tree.shape);
+            }
+        }
+    }
+
+    // Grow the part inside the chunk of a tree on world column (worldX, worldZ) whose ground is at
+    // height. Shapes:
+    //   oak     4-5 trunk, round canopy on top
+    //   pine    6-7 trunk, cone of leaves down most of it
+    //   jungle  8-10 trunk, wide flat crown
+    //   swamp   3-4 trunk, low crown spreading wider than it is tall
+    // Trunks replace what is there, leaves only fill air, so overlapping trees agree in any order.
+    placeTree(chunk, worldX, worldZ, height, shape) {
+        const variation = Math.abs(this.noise.noise2D(worldX * 0.5, worldZ * 0.5)); // 0..1
+        const layers = []; // [{ y, radius }] of the leaves
+        let trunkHeight;
+        if (shape === 'pine') {
+            trunkHeight = 6 + Math.floor(variation * 2);
+            for (let ly = 2; ly <= trunkHeight + 1; ly++) {
+                layers.push({ y: height + ly, radius: Math.max(0, Math.floor((trunkHeight + 1 - ly) / 2)) });
+            }
+        } else if (shape === 'jungle') {
+            trunkHeight = 8 + Math.floor(variation * 3);
+            const topY = height + trunkHeight;
+            layers.push({ y: topY - 1, radius: 2 }, { y: topY, radius: 3 }, { y: topY + 1, radius: 2 });
+        } else if (shape === 'swamp') {
+            trunkHeight = 3 + Math.floor(variation * 2);
+            const topY = height + trunkHeight;
+            layers.push({ y: topY, radius: 3 }, { y: topY + 1, radius: 2 });
+        } else {
+            // Oak: canopy 2-3 blocks tall, radius decreases toward top
+            trunkHeight = 4 + Math.floor(variation * 2);
+            const leafHeight = 2 + Math.floor(Math.abs(this.noise.noise2D(worldX * 0.7, worldZ * 0.7)) * 1.5);
+            for (let ly = 0; ly < leafHeight; ly++) {
+                layers.push({ y: height + trunkHeight + 1 + ly, radius: ly === leafHeight - 1 ? 1 : 2 });
+            }
+        }
+
+        const x = worldX - chunk.cx * this.chunkSize;
+        const z = worldZ - chunk.cz * this.chunkSize;
+        const inside = (bx, bz) => bx >= 0 && bx < this.chunkSize && bz >= 0 && bz < this.chunkSize;
+
+        // Wood trunk, starting above the surface
+        if (inside(x, z)) {
+            for (let ty = 1; ty <= trunkHeight; ty++) {
+                if (height + ty < this.chunkHeight) chunk.blocks[this.getBlockIndex(x, height + ty, z)] = 6; // Wood
+            }
+        }
+
+        for (const { y, radius } of layers) {
+            if (y >= this.chunkHeight) continue;
+            for (let lx = -radius; lx <= radius; lx++) {
+                for (let lz = -radius; lz <= radius; lz++) {
+                    // Spherical shape roughly
+                    if (Math.sqrt(lx * lx + lz * lz) > radius + 0.5) continue;
+                    if (!inside(x + lx, z + lz)) continue;
+                    const idx = this.getBlockIndex(x + lx, y, z + lz);
+                    if (chunk.blocks[idx] === 0) chunk.blocks[idx] = 11; // Leafs
+                }
+            }
+        }
+    }
+
+    // Is (x, y, z) inside a cave? Worm tunnels run where two 3D noise fields are both near zero,
+    // caverns where a slower field peaks. surface: the column's getTerrainHeight.
+    isCave(x, y, z, surface) {
+        if (y < CAVE_MIN_Y || y > surface - CAVE_ROOF) return false;
+        // Keep the spawn dungeon's walls whole
+        if (x >= -18 && x <= 17 && z >= -18 && z <= 17 && y >= 16 && y <= 26) return false;
+        const a = this.caveNoise.noise3D(x * 0.045, y * 0.07, z * 0.045);
+        if (Math.abs(a) < TUNNEL_WIDTH) {
+            const b = this.caveNoise.noise3D(x * 0.045 + 500, y * 0.07, z * 0.045 - 500);
+            if (Math.abs(b) < TUNNEL_WIDTH) return true;
+        }
+        if (y > CAVERN_MAX_Y) return false;
+        return this.caveNoise.noise3D(x * 0.025 - 300, y * 0.05, z * 0.025 + 300) > CAVERN_THRESHOLD;
+    }
+
+    // Hollow out the chunk's caves: air, lava below LAVA_LAKE_Y, and coal seams in the stone walls.
+    // Only depends on the seed and world coordinates, so caves line up across chunk borders.
+    carveCavesInChunk(chunk, cx, cz, heights) {
+        const size = this.chunkSize;
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
+                const surface = heights[x + z * size];
+                const worldX = cx * size + x;
+                const worldZ = cz * size + z;
+                for (let y = CAVE_MIN_Y; y <= surface - CAVE_ROOF; y++) {
+                    if (this.isCave(worldX, y, worldZ, surface)) {
+                        chunk.blocks[this.getBlockIndex(x, y, z)] = y <= LAVA_LAKE_Y ? 34 : 0; // Lava or air
+                    }
+                }
+            }
+        }
+
+        // Exposed ore: stone next to open cave air; neighbors in other chunks are asked isCave
+        const isOpen = (x, y, z) => {
+            if (y <= LAVA_LAKE_Y) return false;
+            if (x >= 0 && x < size && z >= 0 && z < size) return chunk.blocks[this.getBlockIndex(x, y, z)] === 0;
+            const worldX = cx * size + x, worldZ = cz * size + z;
+            return this.isCave(worldX, y, worldZ, this.getTerrainHeight(worldX, worldZ));
+        };
+        for (let x = 0; x < size; x++) {
+            for (let z = 0; z < size; z++) {
+                const surface = heights[x + z * size];
+                for (let y = CAVE_MIN_Y; y <= surface - CAVE_ROOF; y++) {
+                    const idx = this.getBlockIndex(x, y, z);
+                    if (chunk.blocks[idx] !== 3) continue;
+                    if (!isOpen(x + 1, y, z) && !isOpen(x - 1, y, z) && !isOpen(x, y, z + 1) &&
+                        !isOpen(x, y, z - 1) && !isOpen(x, y + 1, z) && !isOpen(x, y - 1, z)) continue;
+                    const worldX = cx * size + x, worldZ = cz * size + z;
+                    const r = (this.caveNoise.noise3D(worldX * 0.3 + 900, y * 0.3, worldZ * 0.3) + 1) / 2;
+                    if (r < WALL_COAL_CHANCE) chunk.blocks[idx] = 24; // Coal
+                }
+            }
+        }
+    }
+
+    // Climate the ORES biomes are checked against at world column (x, z)
+    oreClimate(x, z) {
+        return CLIMATE_WORLDS.has(this.worldType) ? this.getBiome(x, z) : DEFAULT_CLIMATE;
+    }
+
+    // Grow the ORES veins of this chunk's world type. Veins stay inside the chunk, and the
+    // random numbers come from the seed and chunk coordinates, so every client gets the same ore.
+    placeOresInChunk(chunk, cx, cz) {
+        const size = this.chunkSize;
+        ORES.forEach((ore, oreIndex) => {
+            if (!ore.worlds.includes(this.worldType)) return;
+            const random = chunkRandom(this.seed + ORE_SEED_OFFSET, cx, cz, oreIndex);
+            const count = Math.floor(ore.veins) + (random() < ore.veins % 1 ? 1 : 0);
+            for (let v = 0; v < count; v++) {
+                // Walk the vein first, then move it inside the chunk so no border cuts it flat
+                const steps = [[0, 0, 0]];
+                while (steps.length < ore.size) {
+                    const [px, py, pz] = steps[steps.length - 1];
+                    const [dx, dy, dz] = VEIN_STEPS[Math.floor(random() * VEIN_STEPS.length)];
+                    steps.push([px + dx, py + dy, pz + dz]);
+                }
+                const low = [0, 1, 2].map(axis => Math.min(...steps.map(step => step[axis])));
+                const high = [0, 1, 2].map(axis => Math.max(...steps.map(step => step[axis])));
+                const x = Math.floor(random() * (size - (high[0] - low[0]))) - low[0];
+                const z = Math.floor(random() * (size - (high[2] - low[2]))) - low[2];
+                const y = Math.max(2 - low[1], ore.minY + Math.floor(random() * (ore.maxY - ore.minY + 1)));
+                if (ore.biomes && !ore.biomes.includes(this.oreClimate(cx * size + x, cz * size + z))) continue;
+                for (const [dx, dy, dz] of steps) {
+                    const idx = this.getBlockIndex(x + dx, y + dy, z + dz);
+                    if (ORE_HOST_BLOCKS.has(chunk.blocks[idx])) chunk.blocks[idx] = ore.block;
+                }
+            }
+        });
+    }
+
+    carveDungeonInChunk(chunk, cx, cz, surfaceHeightAtEntry) {
+        // Dungeon footprint: x,z in [-16,15], floor y=19, corridors at y=20..22, ceiling y=23, room at y=19..21
+        const minX = -16, maxX = 15;
+        const minZ = -16, maxZ = 15;
+        const floorY = 19;
+        const ceilingY = 23;
+        const roomY = 19;
+
+        const worldYStartShaft = surfaceHeightAtEntry + 3; // start a bit above ground
+        const shaftHalf = 0; // 1x1 shaft
+
+        const roomCorner = this.dungeonRoomCorner(cx, cz);
+        const roomCenterX = roomCorner.x;
+        const roomCenterZ = roomCorner.z;
+
+        for (let x = 0; x < this.chunkSize; x++) {
+            for (let z = 0; z < this.chunkSize; z++) {
+                const worldX = cx * this.chunkSize + x;
+                const worldZ = cz * this.chunkSize + z;
+
+                // Skip if outside footprint and not the shaft
+                const inFootprint = worldX >= minX && worldX <= maxX && worldZ >= minZ && worldZ <= maxZ;
+                const inShaft = Math.abs(worldX) <= shaftHalf && Math.abs(worldZ) <= shaftHalf;
+                if (!inFootprint && !inShaft) continue;
+
+                for (let y = 0; y < this.chunkHeight; y++) {
+                    const idx = this.getBlockIndex(x, y, z);
+                    const worldY = y;
+
+                    // Entrance shaft from surface down to corridor top so it always meets the maze
+                    if (inShaft && worldY <= worldYStartShaft && worldY >= floorY + 1) {
+                        chunk.blocks[idx] = 0; // air
+                        chunk.modified = true;
+                        chunk.playerModified = true;
+                        continue;
+                    }
+
+                    if (!inFootprint) continue;
+
+                    // Stairs/walkway connecting maze to room
+                    const toRoomX = worldX - roomCenterX;
+                    const toRoomZ = worldZ - roomCenterZ;
+                    const distToRoom = Math.sqrt(toRoomX * toRoomX + toRoomZ * toRoomZ);
+                    const inStair = distToRoom >= 5 && distToRoom <= 8 && Math.abs(toRoomX) <= 1 && Math.abs(toRoomZ) <= 8;
+                    if (inStair) {
+                        const stairFloor = floorY; // keep stairs level to meet room floor cleanly
+                        if (worldY === stairFloor) {
+                            chunk.blocks[idx] = 3; // walkway/step surface
+                            chunk.modified = true;
+                            chunk.playerModified = true;
+                            continue;
+                        }
+                        if (worldY > stairFloor && worldY < ceilingY) {
+                            chunk.blocks[idx] = 0; // air above steps
+                            chunk.modified = true;
+                            chunk.playerModified = true;
+                            continue;
+                        }
+                        // keep stone below the walkway for support
+                        if (worldY < stairFloor) {
+                            chunk.blocks[idx] = 3;
+                            continue;
+                        }
+                    }
+
+                    // Base floor and ceiling
+                    if (worldY === floorY) {
+                        chunk.blocks[idx] = 3; // stone floor
+                        continue;
+                    }
+                    if (worldY === ceilingY) {
+                        chunk.blocks[idx] = 3; // stone ceiling
+                        continue;
+                    }
+
+                    // Room carving at random corner
+                    const roomDx = worldX - roomCenterX;
+                    const roomDz = worldZ - roomCenterZ;
+                    const inRoom = Math.abs(roomDx) <= 4 && Math.abs(roomDz) <= 4 && worldY >= roomY && worldY <= roomY + 2;
+                    if (inRoom) {
+                        if (worldY === roomY) {
+                            chunk.blocks[idx] = 3; // stone floor
+                        } else {
+                            // Place a chest at room center on floor+1
+                            if (roomDx === 0 && roomDz === 0 && worldY === roomY + 1) {
+                                chunk.blocks[idx] = 26; // chest block
+                            } else {
+                                chunk.blocks[idx] = 0; // air
+                            }
+                        }
+                        chunk.modified = true;
+                        chunk.playerModified = true;
+                        continue;
+                    }
+
+                    // Maze corridors at y=20..22 (air), walls elsewhere remain stone
+                    if (worldY > floorY && worldY < ceilingY) {
+                        // Grid maze: 3-wide corridors on 7-block grid with noise variation
+                        const gx = ((worldX % 7) + 7) % 7;
+                        const gz = ((worldZ % 7) + 7) % 7;
+                        const n = this.noise.noise2D(worldX * 0.25, worldZ * 0.25);
+                        // Carve 3-wide corridors: center (0) and ±1 from grid lines
+                        const carve = (gx <= 1 || gx >= 6) || (gz <= 1 || gz >= 6) || n > 0.35;
+                        if (carve) {
+                            chunk.blocks[idx] = 0; // corridor air
+                            chunk.modified = true;
+                            chunk.playerModified = true;
+
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Center of the dungeon room as chunk (cx, cz) carves it: a corner of the footprint picked by noise.
+    // Each chunk picks its own, so the chest only exists where the corner falls inside that chunk.
+    dungeonRoomCorner(cx, cz) {
+        const corners = [
+            { x: -12, z: -12 }, // southwest
+            { x: -12, z: 11 },  // northwest
+            { x: 11, z: -12 },  // southeast
+            { x: 11, z: 11 }    // northeast
+        ];
+        const noiseVal = (this.noise.noise2D(cx * 7.3, cz * 8.1) + 1) * 0.5; // map -1..1 to 0..1
+        const cornerIndex = Math.floor(noiseVal * corners.length) % corners.length;
+        return corners[cornerIndex];
+    }
+
+    // Is (x, y, z) where carveDungeonInChunk puts the room's chest (on the floor at the room center)?
+    isDungeonChest(x, y, z) {
+        if (y !== 20) return false;
+        const corner = this.dungeonRoomCorner(Math.floor(x / this.chunkSize), Math.floor(z / this.chunkSize));
+        return corner.x === x && corner.z === z;
+    }
+
+    // What a chest/candle holds before anyone changes it: the dungeon room chest starts with two
+    // Mana Orbs, everything else empty. Clients and the server both start from this.
+    initialContainerSlots(kind, x, y, z) {
+        const slots = new Array(kind === 'candle' ? 3 : 20).fill(0);
+        if (kind === 'chest' && this.isDungeonChest(x, y, z)) {
+            slots[0] = { type: 27, amount: 1 }; // Mana Orb
+            slots[1] = { type: 27, amount: 1 }; // Mana Orb (2 total)
+        }
+        return slots;
+    }
+
+    getBlockIndex(x, y, z) {
+        return y * this.chunkSize * this.chunkSize + z * this.chunkSize + x;
+    }
+
+    getLightIndex(x, y, z) {
+        return y * this.chunkSize * this.chunkSize + z * this.chunkSize + x;
+    }
+
+    getBlock(wx, wy, wz) {
+        if (wy < 0 || wy >= this.chunkHeight) return 0; // Out of bounds = air
+
+        const cx = Math.floor(wx / this.chunkSize);
+        const cz = Math.floor(wz / this.chunkSize);
+        const lx = ((wx % this.chunkSize) + this.chunkSize) % this.chunkSize;
+        const lz = ((wz % this.chunkSize) + this.chunkSize) % this.chunkSize;
+
+        const chunk = this.getChunk(cx, cz);
+        return chunk.blocks[this.getBlockIndex(lx, wy, lz)] || 0;
+    }
+
+    setBlock(wx, wy, wz, blockType) {
+        if (wy < 0 || wy >= this.chunkHeight) return;
+
+        const cx = Math.floor(wx / this.chunkSize);
+        const cz = Math.floor(wz / this.chunkSize);
+        const lx = ((wx % this.chunkSize) + this.chunkSize) % this.chunkSize;
+        const lz = ((wz % this.chunkSize) + this.chunkSize) % this.chunkSize;
+
+        const chunk = this.getChunk(cx, cz);
+        const idx = this.getBlockIndex(lx, wy, lz);
+        const prevBlock = chunk.blocks[idx];
+        chunk.blocks[idx] = blockType;
+        chunk.modified = true;
+        chunk.playerModified = true; // Mark this chunk as modified by player action
+
+        if (!this.lightingEnabled) return;
+
+        // Recompute skylight for this and neighbors
+        this.recomputeLightingAround(cx, cz);
+
+        // If a torch/magic candle was added or removed, only recompute lighting around it (not globally)
+        const isEmissive = (b) => b === 25 || b === 29;
+        if (isEmissive(prevBlock) || isEmissive(blockType)) {
+            // Only recompute block lights in nearby chunks to avoid global recalc lag
+            this.propagateBlockLightLocalAround(wx, wy, wz);
+        }
+    }
+
+    propagateBlockLightLocalAround(wx, wy, wz) {
+        // Recompute block lights only in a 3x3 area of chunks around the light source
+        const cx = Math.floor(wx / this.chunkSize);
+        const cz = Math.floor(wz / this.chunkSize);
+        
+        for (let ocx = cx - 1; ocx <= cx + 1; ocx++) {
+            for (let ocz = cz - 1; ocz <= cz + 1; ocz++) {
+                const chunk = this.getChunk(ocx, ocz);
+                if (chunk && chunk.blockLight) {
+                    // Clear blockLight in this chunk
+                    chunk.blockLight.fill(0);
+                }
+            }
+        }
+        
+        // Propagate from sources in nearby chunks only
+        for (let ocx = cx - 1; ocx <= cx + 1; ocx++) {
+            for (let ocz = cz - 1; ocz <= cz + 1; ocz++) {
+                const chunk = this.getChunk(ocx, ocz);
+                if (chunk) {
+                    try {
+                        this.propagateBlockLightFromSources(chunk, ocx, ocz);
+                    } catch (e) {
+                        console.error(`Error propagating block light at chunk (${ocx}, ${ocz}):`, e);
+                    }
+                }
+            }
+        }
+    }
+
+    isTransparentForLight(blockType) {
+        // Non-solid and light-permeable blocks allow light through
+        return !this.isBlockSolid(blockType);
+    }
+
+    getChunkAndLocal(wx, wy, wz) {
+        const cx = Math.floor(wx / this.chunkSize);
+        const cz = Math.floor(wz / this.chunkSize);
+        const lx = ((wx % this.chunkSize) + this.chunkSize) % this.chunkSize;
+        const lz = ((wz % this.chunkSize) + this.chunkSize) % this.chunkSize;
+        const chunk = this.chunks.get(this.getChunkKey(cx, cz));
+        if (!chunk) return null;
+        return { chunk, cx, cz, lx, ly: wy, lz };
+    }
+
+    getSkyLight(wx, wy, wz) {
+        if (wy < 0 || wy >= this.chunkHeight) return 0;
+        const data = this.getChunkAndLocal(wx, wy, wz);
+        if (!data) return 0;
+        return data.chunk.skyLight[this.getLightIndex(data.lx, wy, data.lz)] || 0;
+    }
+
+    getBlockLight(wx, wy, wz) {
+        if (wy < 0 || wy >= this.chunkHeight) return 0;
+        const data = this.getChunkAndLocal(wx, wy, wz);
+        if (!data) return 0;
+        return data.chunk.blockLight[this.getLightIndex(data.lx, wy, data.lz)] || 0;
+    }
+
+    getCombinedLight(wx, wy, wz) {
+        const skyRaw = this.getSkyLight(wx, wy, wz) / this.maxLightLevel;
+        const sky = skyRaw * (this.sunlightFactor || 1.0);
+        const blockRaw = this.getBlockLight(wx, wy, wz) / this.maxLightLevel;
+        // Brighter block lights in Astral; allow higher-than-normal brightness
+        const blockBoost = (this.worldType === 'astral') ? 1.5 : 1.35;
+        const block = blockRaw * blockBoost;
+        // Let block light dominate, skylight provides base
+        let combined = Math.max(block, sky);
+        // Permit up to 1.50 brightness in Astral
+        const maxCombined = (this.worldType === 'astral') ? 1.5 : 1.0;
+        combined = Math.min(maxCombined, combined);
+        // Always ensure at least ambient floor
+        const ambient = this.ambientMinimum || 0.15;
+        return Math.max(combined, ambient);
+    }
+
+    computeSkylightForChunk(chunk, cx, cz) {
+        const cs = this.chunkSize;
+        const ch = this.chunkHeight;
+        chunk.skyLight.fill(0);
+
+        // Simple vertical skylight: open sky columns get max light that decays downward until blocked
+        for (let x = 0; x < cs; x++) {
+            for (let z = 0; z < cs; z++) {
+                let light = this.maxLightLevel;
+                for (let y = ch - 1; y >= 0; y--) {
+                    const idx = this.getLightIndex(x, y, z);
+                    const blockType = chunk.blocks[idx];
+                    if (this.isTransparentForLight(blockType)) {
+                        chunk.skyLight[idx] = light;
+                        // Decay per block; astral stays brighter/deeper
+                        const decay = (this.worldType === 'astral') ? 0.995 : 0.98;
+                        if (light > 0) light *= decay;
+                    } else {
+                        // Opaque blocks block skylight; reset below
+                        light = 0;
+                        chunk.skyLight[idx] = 0;
+                    }
+                }
+            }
+        }
+
+        // Horizontal/vertical skylight flood-fill so side-exposed blocks receive sky light
+        const queue = [];
+        for (let x = 0; x < cs; x++) {
+            for (let z = 0; z < cs; z++) {
+                for (let y = 0; y < ch; y++) {
+                    const level = chunk.skyLight[this.getLightIndex(x, y, z)];
+                    if (level > 1) {
+                        queue.push({ wx: cx * cs + x, wy: y, wz: cz * cs + z, level });
+                    }
+                }
+            }
+        }
+
+        const dirs = [
+            [1, 0, 0], [-1, 0, 0],
+            [0, 1, 0], [0, -1, 0],
+            [0, 0, 1], [0, 0, -1]
+        ];
+
+        while (queue.length > 0) {
+            const { wx, wy, wz, level } = queue.shift();
+            const nextLevel = level - 1;
+            if (nextLevel <= 0) continue;
+
+            for (const [dx, dy, dz] of dirs) {
+                const nx = wx + dx;
+                const ny = wy + dy;
+                const nz = wz + dz;
+                if (ny < 0 || ny >= this.chunkHeight) continue;
+                const target = this.getChunkAndLocal(nx, ny, nz);
+                if (!target) continue;
+                const tidx = this.getLightIndex(target.lx, ny, target.lz);
+                const blockType = target.chunk.blocks[tidx];
+                if (!this.isTransparentForLight(blockType)) continue;
+                if ((target.chunk.skyLight[tidx] || 0) >= nextLevel) continue;
+                target.chunk.skyLight[tidx] = nextLevel;
+                queue.push({ wx: nx, wy: ny, wz: nz, level: nextLevel });
+            }
+        }
+    }
+
+    propagateBlockLightFromSources(chunk, cx, cz) {
+        const cs = this.chunkSize;
+        const ch = this.chunkHeight;
+        chunk.blockLight.fill(0);
+
+        const queue = [];
+        const pushLight = (wx, wy, wz, level) => {
+            if (wy < 0 || wy >= ch || level <= 0) return;
+            const target = this.getChunkAndLocal(wx, wy, wz);
+            if (!target) return;
+            const idx = this.getLightIndex(target.lx, wy, target.lz);
+            if (target.chunk.blockLight[idx] >= level) return;
+            target.chunk.blockLight[idx] = level;
+            queue.push({ wx, wy, wz, level });
+        };
+
+        // Seed with torches and emissive blocks (torch=25, magic candle=29)
+        for (let x = 0; x < cs; x++) {
+            for (let z = 0; z < cs; z++) {
+                for (let y = 0; y < ch; y++) {
+                    const idx = this.getLightIndex(x, y, z);
+                    const blockType = chunk.blocks[idx];
+                    if (blockType === 25 || blockType === 29) {
+                        const wx = cx * cs + x;
+                        const wz = cz * cs + z;
+                        const wy = y;
+                        pushLight(wx, wy, wz, this.maxLightLevel);
+                    }
+                }
+            }
+        }
+
+        // 6-direction flood fill with decay
+        const dirs = [
+            [1, 0, 0], [-1, 0, 0],
+            [0, 1, 0], [0, -1, 0],
+            [0, 0, 1], [0, 0, -1]
+        ];
+
+        while (queue.length > 0) {
+            const { wx, wy, wz, level } = queue.shift();
+            const nextLevel = level - 1;
+            if (nextLevel <= 0) continue;
+
+            for (const [dx, dy, dz] of dirs) {
+                const nx = wx + dx;
+                const ny = wy + dy;
+                const nz = wz + dz;
+                const neighbor = this.getChunkAndLocal(nx, ny, nz);
+                if (!neighbor) continue;
+                const nIdx = this.getLightIndex(neighbor.lx, ny, neighbor.lz);
+                const blockType = neighbor.chunk.blocks[nIdx];
+                if (!this.isTransparentForLight(blockType)) continue;
+                if (neighbor.chunk.blockLight[nIdx] >= nextLevel) continue;
+                neighbor.chunk.blockLight[nIdx] = nextLevel;
+                queue.push({ wx: nx, wy: ny, wz: nz, level: nextLevel });
+            }
+        }
+    }
+
+    computeLightingForChunk(cx, cz) {
+        const key = this.getChunkKey(cx, cz);
+        const chunk = this.chunks.get(key);
+        if (!chunk) return;
+        this.computeSkylightForChunk(chunk, cx, cz);
+        this.propagateBlockLightFromSources(chunk, cx, cz);
+    }
+
+    recomputeLightingAround(cx, cz) {
+        // Recompute this chunk and its immediate neighbors for light continuity
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                const k = this.getChunkKey(cx + dx, cz + dz);
+                if (this.chunks.has(k)) {
+                    this.computeLightingForChunk(cx + dx, cz + dz);
+                }
+            }
+        }
+    }
+
+    // Recompute block lights across all loaded chunks.
+    // Clears existing blockLight and re-propagates from all emissive sources (torch=25, candle=29).
+    recomputeAllBlockLights() {
+        // Clear blockLight in all chunks first to avoid stale values
+        for (const chunk of this.chunks.values()) {
+            if (chunk && chunk.blockLight) {
+                chunk.blockLight.fill(0);
+            }
+        }
+        // Propagate from sources in every chunk; propagation crosses chunk boundaries
+        for (const chunk of this.chunks.values()) {
+            if (!chunk) continue;
+            const { cx, cz } = chunk;
+            this.propagateBlockLightFromSources(chunk, cx, cz);
+        }
+    }
+
+    isBlockSolid(blockType) {
+        // Treat water (5), lava (34), leafs (11), torch (25), magic candle (29) as non-solid for face culling/collision
+        return blockType > 0 && blockType !== 5 && blockType !== 34 && blockType !== 11 && blockType !== 25 && blockType !== 29;
+    }
+
+    getVisibleBlocksInChunk(cx, cz) {
+        const chunk = this.getChunk(cx, cz);
+        const visibleBlocks = [];
+
+        for (let x = 0; x < this.chunkSize; x++) {
+            for (let y = 0; y < this.chunkHeight; y++) {
+                for (let z = 0; z < this.chunkSize; z++) {
+                    const blockType = chunk.blocks[this.getBlockIndex(x, y, z)];
+                    if (blockType === 0) continue; // Skip air
+
+                    // Check if any face is exposed
+                    const wx = cx * this.chunkSize + x;
+                    const wy = y;
+                    const wz = cz * this.chunkSize + z;
+
+                    let hasVisibleFace = false;
+                    // Check 6 neighbors
+                    if (this.getBlock(wx + 1, wy, wz) === 0) hasVisibleFace = true;
+                    if (this.getBlock(wx - 1, wy, wz) === 0) hasVisibleFace = true;
+                    if (this.getBlock(wx, wy + 1, wz) === 0) hasVisibleFace = true;
+                    if (this.getBlock(wx, wy - 1, wz) === 0) hasVisibleFace = true;
+                    if (this.getBlock(wx, wy, wz + 1) === 0) hasVisibleFace = true;
+                    if (this.getBlock(wx, wy, wz - 1) === 0) hasVisibleFace = true;
+
+                    if (hasVisibleFace) {
+                        visibleBlocks.push({ x: wx, y: wy, z: wz, blockType });
+                    }
+                }
+            }
+        }
+
+        return visibleBlocks;
+    }
+}
+
+VoxelWorld.DEFAULT_SEED = 42; // Terrain every world had before seeds could be chosen
+
+// Seeds are 32-bit integers. Typed whole numbers are used as they are; any other text is hashed
+// (like Java's String.hashCode), so the same word always makes the same world.
+VoxelWorld.parseSeed = (value) => {
+    const text = String(value).trim();
+    if (/^-?\d+$/.test(text)) return Number(text) | 0;
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (Math.imul(hash, 31) + text.charCodeAt(i)) | 0;
+    }
+    return hash;
+};
+
+VoxelWorld.randomSeed = () => Math.floor(Math.random() * 0x7fffffff);
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VoxelWorld, SimplexNoise: globalThis.SimplexNoise };
+} else {
+    globalThis.VoxelWorld = VoxelWorld;
+}